@@ -12,17 +12,33 @@ const checkCookiesControllerFactory = require('./controllers/checkCookiesControl
 const sendConnectionRequestsControllerFactory = require('./controllers/sendConnectionRequestsController');
 const sendOpenProfileMessagesControllerFactory = require('./controllers/sendOpenProfileMessagesController');
 const checkConnectionRequestsControllerFactory = require('./controllers/checkConnectionRequestsController');
+const withdrawConnectionRequestsControllerFactory = require('./controllers/withdrawConnectionRequestsController');
+const syncRepliesControllerFactory = require('./controllers/syncRepliesController');
 const sendConnectionMessagesControllerFactory = require('./controllers/sendConnectionMessagesController');
+const cancelJobControllerFactory = require('./controllers/cancelJobController');
+const listJobsControllerFactory = require('./controllers/listJobsController');
+const getJobControllerFactory = require('./controllers/getJobController');
+const listDeadLetterJobsControllerFactory = require('./controllers/listDeadLetterJobsController');
+const requeueJobControllerFactory = require('./controllers/requeueJobController');
+const jobEventsControllerFactory = require('./controllers/jobEventsController');
+const pauseAutomationControllerFactory = require('./controllers/pauseAutomationController');
+const resumeAutomationControllerFactory = require('./controllers/resumeAutomationController');
+const previewNextSendControllerFactory = require('./controllers/previewNextSendController');
+const campaignForecastControllerFactory = require('./controllers/campaignForecastController');
+const saveCampaignTemplatesControllerFactory = require('./controllers/saveCampaignTemplatesController');
+const previewTemplateControllerFactory = require('./controllers/previewTemplateController');
+const listSchedulersControllerFactory = require('./controllers/listSchedulersController');
+const enableSchedulerControllerFactory = require('./controllers/enableSchedulerController');
+const disableSchedulerControllerFactory = require('./controllers/disableSchedulerController');
+const triggerSchedulerControllerFactory = require('./controllers/triggerSchedulerController');
 
 // Import schedulers
-const { checkCookiesForActiveCampaigns } = require('./scheduler/checkCookiesScheduler');
-const { checkAndProcessCampaigns: checkConnections } = require('./scheduler/checkConnectionRequestsScheduler');
-const { checkAndProcessCampaigns: sendConnections } = require('./scheduler/sendConnectionsScheduler');
-const { processMessaging } = require('./scheduler/sendConnectionMessagesScheduler');
+const schedulerRegistry = require('./scheduler/schedulerRegistry');
 
 // Other necessary imports
 const { initializeBot } = require('./telegramBot');
 const jobQueueManager = require('./utils/jobQueueManager');
+const leaseManager = require('./utils/leaseManager');
 
 const app = express();
 const logger = createLogger();
@@ -63,7 +79,36 @@ const checkCookiesController = checkCookiesControllerFactory(supabase);
 const sendConnectionRequestsController = sendConnectionRequestsControllerFactory(supabase);
 const sendOpenProfileMessagesController = sendOpenProfileMessagesControllerFactory(supabase);
 const checkConnectionRequestsController = checkConnectionRequestsControllerFactory(supabase);
+const withdrawConnectionRequestsController = withdrawConnectionRequestsControllerFactory(supabase);
+const syncRepliesController = syncRepliesControllerFactory(supabase);
 const sendConnectionMessagesController = sendConnectionMessagesControllerFactory(supabase);
+const cancelJobController = cancelJobControllerFactory(supabase);
+const listJobsController = listJobsControllerFactory(supabase);
+const getJobController = getJobControllerFactory(supabase);
+const listDeadLetterJobsController = listDeadLetterJobsControllerFactory(supabase);
+const requeueJobController = requeueJobControllerFactory(supabase);
+const jobEventsController = jobEventsControllerFactory(supabase);
+const pauseAutomationController = pauseAutomationControllerFactory(supabase);
+const resumeAutomationController = resumeAutomationControllerFactory(supabase);
+const previewNextSendController = previewNextSendControllerFactory(supabase);
+const campaignForecastController = campaignForecastControllerFactory(supabase);
+const saveCampaignTemplatesController = saveCampaignTemplatesControllerFactory(supabase);
+const previewTemplateController = previewTemplateControllerFactory(supabase);
+const listSchedulersController = listSchedulersControllerFactory(supabase);
+const enableSchedulerController = enableSchedulerControllerFactory(supabase);
+const disableSchedulerController = disableSchedulerControllerFactory(supabase);
+const triggerSchedulerController = triggerSchedulerControllerFactory(supabase);
+
+// Attach the job queue to the jobs table once every controller has registered its job handler,
+// so jobs queued or running before a restart are picked up again
+jobQueueManager.initialize(supabase).catch((error) => {
+  logger.error(`Failed to initialize job queue: ${error.message}`);
+});
+
+// Start the schedulers with the enabled flags and cron overrides stored in the database
+schedulerRegistry.initialize(supabase).catch((error) => {
+  logger.error(`Failed to initialize schedulers: ${error.message}`);
+});
 
 /**
  * API Routes for LinkedIn automation operations
@@ -118,6 +163,30 @@ app.post('/api/check-connection-requests', async (req, res, next) => {
   }
 });
 
+/**
+ * Withdraw connection requests that have been pending too long
+ * @route POST /api/withdraw-connection-requests
+ */
+app.post('/api/withdraw-connection-requests', async (req, res, next) => {
+  try {
+    await withdrawConnectionRequestsController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Read an account's Sales Navigator inbox and stop the sequences of leads who replied
+ * @route POST /api/sync-replies
+ */
+app.post('/api/sync-replies', async (req, res, next) => {
+  try {
+    await syncRepliesController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Send messages to accepted connections
  * @route POST /api/send-connection-messages
@@ -130,68 +199,231 @@ app.post('/api/send-connection-messages', async (req, res, next) => {
   }
 });
 
-// New endpoint for triggering schedulers manually
-app.post('/api/trigger-scheduler', async (req, res) => {
-  const { scheduler } = req.body;
-  const logger = createLogger();
+/**
+ * List jobs, filtered by campaign, type, status and creation date
+ * @route GET /api/jobs
+ */
+app.get('/api/jobs', async (req, res, next) => {
+  try {
+    await listJobsController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
 
-  if (!scheduler) {
-    return res.status(400).json({
-      success: false,
-      error: 'Scheduler name is required'
-    });
+/**
+ * List jobs that exhausted their retry attempts. Registered before /api/jobs/:jobId so it is not read as a job ID.
+ * @route GET /api/jobs/dead-letter
+ */
+app.get('/api/jobs/dead-letter', async (req, res, next) => {
+  try {
+    await listDeadLetterJobsController(req, res);
+  } catch (error) {
+    next(error);
   }
+});
 
+/**
+ * Get a job with its per-lead progress
+ * @route GET /api/jobs/:jobId
+ */
+app.get('/api/jobs/:jobId', async (req, res, next) => {
   try {
-    switch (scheduler) {
-      case 'check-cookies':
-        logger.info('Manually triggering cookie check scheduler');
-        // Send response first
-        res.json({
-          success: true,
-          message: `Triggered ${scheduler} scheduler`
-        });
-        await checkCookiesForActiveCampaigns();
-        break;
-      case 'check-connections':
-        logger.info('Manually triggering connection check scheduler');
-        res.json({
-          success: true,
-          message: `Triggered ${scheduler} scheduler`
-        });
-        await checkConnections();
-        break;
-      case 'send-connections':
-        logger.info('Manually triggering connection send scheduler');
-        res.json({
-          success: true,
-          message: `Triggered ${scheduler} scheduler`
-        });
-        await sendConnections();
-        break;
-      case 'send-messages':
-        logger.info('Manually triggering message send scheduler');
-        res.json({
-          success: true,
-          message: `Triggered ${scheduler} scheduler`
-        });
-        await processMessaging();
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          error: `Unknown scheduler: ${scheduler}`
-        });
-    }
+    await getJobController(req, res);
   } catch (error) {
-    // Only send error response if we haven't sent a response yet
-    if (!res.headersSent) {
-      logger.error(`Error triggering ${scheduler} scheduler: ${error.message}`);
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
-    }
+    next(error);
+  }
+});
+
+/**
+ * Stream a job's lifecycle events, and resistance and cooldown events for its campaign, as Server-Sent Events
+ * @route GET /api/jobs/:jobId/events
+ */
+app.get('/api/jobs/:jobId/events', async (req, res, next) => {
+  try {
+    await jobEventsController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Cancel a queued job, or stop a running job after its current lead
+ * @route POST /api/jobs/:jobId/cancel
+ */
+app.post('/api/jobs/:jobId/cancel', async (req, res, next) => {
+  try {
+    await cancelJobController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Put a dead-lettered job back on the queue
+ * @route POST /api/jobs/:jobId/requeue
+ */
+app.post('/api/jobs/:jobId/requeue', async (req, res, next) => {
+  try {
+    await requeueJobController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Pause a campaign: schedulers skip it, its queued jobs are held and its running job stops after the current lead
+ * @route POST /api/campaigns/:campaignId/pause
+ */
+app.post('/api/campaigns/:campaignId/pause', async (req, res, next) => {
+  try {
+    await pauseAutomationController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Resume a paused campaign
+ * @route POST /api/campaigns/:campaignId/resume
+ */
+app.post('/api/campaigns/:campaignId/resume', async (req, res, next) => {
+  try {
+    await resumeAutomationController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Pause all automation
+ * @route POST /api/automation/pause
+ */
+app.post('/api/automation/pause', async (req, res, next) => {
+  try {
+    await pauseAutomationController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Resume all automation
+ * @route POST /api/automation/resume
+ */
+app.post('/api/automation/resume', async (req, res, next) => {
+  try {
+    await resumeAutomationController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stream every job lifecycle, resistance and cooldown event as Server-Sent Events
+ * @route GET /api/events
+ */
+app.get('/api/events', async (req, res, next) => {
+  try {
+    await jobEventsController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Preview when a lead is next due a message in a campaign, honouring sending windows and holidays
+ * @route GET /api/leads/:leadId/next-send
+ */
+app.get('/api/leads/:leadId/next-send', async (req, res, next) => {
+  try {
+    await previewNextSendController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Project a campaign's remaining requests, acceptances and messages day by day
+ * @route GET /api/campaigns/:campaignId/forecast
+ */
+app.get('/api/campaigns/:campaignId/forecast', async (req, res, next) => {
+  try {
+    await campaignForecastController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Validate and save a campaign's message templates
+ * @route PUT /api/campaigns/:campaignId/templates
+ */
+app.put('/api/campaigns/:campaignId/templates', async (req, res, next) => {
+  try {
+    await saveCampaignTemplatesController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Render a campaign template for some leads and lint it, without sending anything
+ * @route POST /api/templates/preview
+ */
+app.post('/api/templates/preview', async (req, res, next) => {
+  try {
+    await previewTemplateController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List the schedulers with their next run, last run and last result
+ * @route GET /api/schedulers
+ */
+app.get('/api/schedulers', async (req, res, next) => {
+  try {
+    await listSchedulersController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Turn a scheduler's cron runs back on
+ * @route POST /api/schedulers/:name/enable
+ */
+app.post('/api/schedulers/:name/enable', async (req, res, next) => {
+  try {
+    await enableSchedulerController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stop a scheduler's cron runs
+ * @route POST /api/schedulers/:name/disable
+ */
+app.post('/api/schedulers/:name/disable', async (req, res, next) => {
+  try {
+    await disableSchedulerController(req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Run a scheduler now
+ * @route POST /api/trigger-scheduler
+ */
+app.post('/api/trigger-scheduler', async (req, res, next) => {
+  try {
+    await triggerSchedulerController(req, res);
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -238,16 +470,15 @@ app.get('/health', async (req, res) => {
 });
 
 // Graceful shutdown
+// Leases are released so other instances can take over scheduler runs and lanes straight away
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
-  // Add cleanup logic here if needed (e.g., close database connections)
-  process.exit(0);
+  leaseManager.releaseAll().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received: closing HTTP server');
-  // Add cleanup logic here if needed
-  process.exit(0);
+  leaseManager.releaseAll().finally(() => process.exit(0));
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * Controller for forecasting when a campaign will finish
+ * @module controllers/campaignForecastController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const { getMessageSequence, validateMessageSequence } = require('../utils/messageSequence');
+const { getSendingWindow } = require('../utils/sendingWindow');
+const { loadHolidayCalendar } = require('../utils/holidayCalendar');
+const { getAcceptanceStats, buildForecast } = require('../utils/campaignForecast');
+const { getCampaignAllowance } = require('../utils/accountLimits');
+const { CONNECTION_CONFIG } = require('../scheduler/sendConnectionsScheduler');
+
+const logger = createLogger();
+
+// Recent acceptances used to measure how long requests take to be accepted
+const ACCEPTANCE_LAG_SAMPLE = 200;
+
+// Leads fetched per request; PostgREST returns at most 1000 rows at a time
+const LEADS_PAGE_SIZE = 1000;
+
+/**
+ * Creates a controller function for the campaign forecast
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Count a campaign's scraped profiles with a connection status
+   * @param {number|string} campaignId - Campaign ID
+   * @param {string} status - connection_status
+   * @returns {Promise<number>}
+   */
+  const countProfiles = async (campaignId, status) => {
+    const { count, error } = await withTimeout(
+      supabase
+        .from('scraped_profiles')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign_id', campaignId.toString())
+        .eq('connection_status', status),
+      10000,
+      `Timeout while counting ${status} profiles`
+    );
+
+    if (error) {
+      throw new Error(`Failed to count ${status} profiles: ${error.message}`);
+    }
+    return count || 0;
+  };
+
+  /**
+   * A client's unreplied 1st-degree leads, fetched a page at a time
+   * @param {number|string} clientId - Client ID
+   * @returns {Promise<Object[]>} Leads with message_stage and last_contacted
+   */
+  const fetchLeads = async (clientId) => {
+    const leads = [];
+    for (let offset = 0; ; offset += LEADS_PAGE_SIZE) {
+      const { data: page, error } = await withTimeout(
+        supabase
+          .from('leads')
+          .select('id, message_stage, last_contacted')
+          .eq('client_id', clientId)
+          .eq('connection_level', '1st')
+          .eq('status', 'not_replied')
+          .order('id', { ascending: true })
+          .range(offset, offset + LEADS_PAGE_SIZE - 1),
+        10000,
+        'Timeout while fetching leads'
+      );
+
+      if (error) {
+        throw new Error(`Failed to fetch leads: ${error.message}`);
+      }
+
+      leads.push(...(page || []));
+      if (!page || page.length < LEADS_PAGE_SIZE) return leads;
+    }
+  };
+
+  /**
+   * Express route handler for GET /api/campaigns/:campaignId/forecast.
+   * Projects the campaign day by day: connection requests to the profiles not sent yet at the
+   * campaign's share of its LinkedIn account's daily and weekly caps, acceptances at the campaign's historical rate and lag, and the messages each stage
+   * sends after its working-day delay. Only days the sending window opens on and that aren't
+   * holidays send anything.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { campaignId } = req.params;
+
+    if (!Number.isInteger(Number(campaignId))) {
+      return res.status(400).json({ success: false, error: 'campaignId must be an integer' });
+    }
+
+    try {
+      const { data: campaign, error: campaignError } = await withTimeout(
+        supabase
+          .from('campaigns')
+          .select('id, client_id, cookies, linkedin_account_id, invitation_weight, connection_messages, timezone, sending_timezone, sending_start_hour, sending_end_hour, sending_days, holiday_calendar')
+          .eq('id', campaignId)
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching campaign'
+      );
+
+      if (campaignError) {
+        logger.error(`Failed to fetch campaign ${campaignId}: ${campaignError.message}`);
+        return res.status(500).json({ success: false, error: `Failed to fetch campaign: ${campaignError.message}` });
+      }
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: `Campaign ${campaignId} not found` });
+      }
+
+      const sendingWindow = getSendingWindow(campaign);
+      if (!sendingWindow) {
+        return res.status(400).json({ success: false, error: `Campaign ${campaignId} has no valid sending window` });
+      }
+
+      // An invalid sequence sends no messages, so only requests and acceptances are projected
+      const sequenceErrors = validateMessageSequence(campaign.connection_messages);
+      const sequence = sequenceErrors.length === 0 ? getMessageSequence(campaign.connection_messages) : [];
+
+      const [notSent, pending, connected] = await Promise.all([
+        countProfiles(campaign.id, 'not sent'),
+        countProfiles(campaign.id, 'pending'),
+        countProfiles(campaign.id, 'connected')
+      ]);
+
+      const { data: accepted, error: acceptedError } = await withTimeout(
+        supabase
+          .from('scraped_profiles')
+          .select('last_connection_attempt, last_checked')
+          .eq('campaign_id', campaign.id.toString())
+          .eq('connection_status', 'connected')
+          .not('last_connection_attempt', 'is', null)
+          .order('last_checked', { ascending: false })
+          .limit(ACCEPTANCE_LAG_SAMPLE),
+        10000,
+        'Timeout while fetching accepted profiles'
+      );
+
+      if (acceptedError) {
+        throw new Error(`Failed to fetch accepted profiles: ${acceptedError.message}`);
+      }
+
+      const { data: tracking, error: trackingError } = await withTimeout(
+        supabase
+          .from('daily_connection_tracking')
+          .select('connections_sent')
+          .eq('campaign_id', campaign.id)
+          .eq('date', new Date().toISOString().split('T')[0])
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching daily connection count'
+      );
+
+      if (trackingError) {
+        throw new Error(`Failed to fetch daily connection count: ${trackingError.message}`);
+      }
+
+      // Leads already connected carry on through the sequence from their current stage
+      const leads = await fetchLeads(campaign.client_id);
+
+      const calendar = await loadHolidayCalendar(supabase, campaign, sendingWindow.timeZone);
+      const { acceptanceRate, acceptanceLagDays, source } = getAcceptanceStats(
+        { connected, pending, accepted: accepted || [] },
+        calendar
+      );
+      const sentToday = tracking?.connections_sent || 0;
+
+      // The scheduler sends a campaign no more than its share of the account, and the weekly share is
+      // spread over the days the window opens; without an account only the campaign limit applies
+      const account = await getCampaignAllowance(supabase, campaign);
+      const requestsPerDay = account
+        ? Math.min(CONNECTION_CONFIG.requestsPerDay, account.dailyShare, account.weeklyShare / sendingWindow.days.length)
+        : CONNECTION_CONFIG.requestsPerDay;
+
+      const forecast = buildForecast({
+        notSent,
+        pending,
+        requestsPerDay,
+        sentToday,
+        requestsToday: account ? account.allowance : undefined,
+        acceptanceRate,
+        acceptanceLagDays,
+        leads,
+        sequence,
+        window: sendingWindow,
+        calendar
+      });
+
+      return res.json({
+        success: true,
+        campaignId: campaign.id,
+        generatedAt: new Date().toISOString(),
+        remaining: {
+          notSent,
+          pending,
+          leads: leads.length
+        },
+        assumptions: {
+          requestsPerDay: Math.round(requestsPerDay * 100) / 100,
+          sentToday,
+          account: account && {
+            dailyLimit: account.dailyLimit,
+            weeklyLimit: account.weeklyLimit,
+            dailyShare: account.dailyShare,
+            weeklyShare: account.weeklyShare,
+            allowanceToday: account.allowance,
+            sharedWith: account.sharedWith
+          },
+          acceptanceRate: Math.round(acceptanceRate * 1000) / 1000,
+          acceptanceLagDays,
+          acceptanceSource: source,
+          stages: sequence.filter((stage) => stage.active).map((stage) => ({
+            stage: stage.stage,
+            delayDays: stage.delayDays,
+            maxPerDay: stage.maxPerDay
+          })),
+          sequenceErrors,
+          sendingWindow,
+          holidayCalendar: calendar.region
+        },
+        ...forecast
+      });
+    } catch (error) {
+      logger.error(`Error forecasting campaign ${campaignId}: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
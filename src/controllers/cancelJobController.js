@@ -0,0 +1,81 @@
+/**
+ * Controller for cancelling queued or running jobs
+ * @module controllers/cancelJobController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const jobQueueManager = require('../utils/jobQueueManager');
+
+const logger = createLogger();
+
+// Job statuses that can no longer be cancelled
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'dead_letter'];
+
+/**
+ * Creates a controller function for cancelling a job
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for cancelling a job.
+   * Queued jobs are cancelled immediately; a running job stops after the lead it is working on
+   * and records its partial counts itself.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { jobId } = req.params;
+
+    try {
+      const { data: job, error: jobError } = await withTimeout(
+        supabase
+          .from('jobs')
+          .select('job_id, type, status, campaign_id')
+          .eq('job_id', jobId)
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching job'
+      );
+
+      if (jobError) {
+        logger.error(`Failed to fetch job ${jobId}: ${jobError.message}`);
+        return res.status(500).json({ success: false, error: `Failed to fetch job: ${jobError.message}` });
+      }
+
+      if (!job) {
+        return res.status(404).json({ success: false, error: `Job ${jobId} not found` });
+      }
+
+      if (FINAL_STATUSES.includes(job.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Job ${jobId} is already ${job.status}`
+        });
+      }
+
+      const outcome = await jobQueueManager.cancelJob(job.job_id);
+
+      if (!outcome) {
+        logger.warn(`Job ${jobId} (${job.status}) could not be cancelled, it is no longer queued or running`);
+        return res.status(409).json({
+          success: false,
+          error: `Job ${jobId} is no longer queued or running`
+        });
+      }
+
+      logger.info(`Job ${jobId} of type ${job.type} for campaign ${job.campaign_id}: ${outcome.status}`);
+
+      return res.json({
+        success: true,
+        jobId: job.job_id,
+        status: outcome.status
+      });
+    } catch (error) {
+      logger.error(`Error cancelling job ${jobId}: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
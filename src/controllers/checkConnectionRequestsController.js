@@ -1,9 +1,12 @@
 const createLogger = require('../utils/logger');
 const { withTimeout } = require('../utils/databaseUtils');
+const { readIdempotencyKey, sendExistingJob } = require('../utils/idempotency');
+const { startConnectionCheck } = require('../services/jobService');
 const checkConnectionRequestsModule = require('../modules/checkConnectionRequests');
 const { bot, sendJobStatusReport } = require('../telegramBot');
 const jobQueueManager = require('../utils/jobQueueManager');
 const logActivity = require('../utils/activityLogger');
+const { buildProgress, describeLead, updateJobProgress } = require('../utils/jobProgress');
 
 const logger = createLogger();
 
@@ -11,8 +14,9 @@ const logger = createLogger();
 const randomDelay = (min, max) =>
   new Promise((resolve) => setTimeout(resolve, Math.floor(Math.random() * (max - min + 1)) + min));
 
-// Process the job asynchronously
-const processJob = async (currentJobId, supabase) => {
+// Process the job asynchronously; registerBrowser hands the browser to the job queue watchdog
+// and signal is aborted when the job is cancelled or its campaign paused
+const processJob = async (currentJobId, supabase, { signal, registerBrowser } = {}) => {
   const startTime = new Date().toISOString();
   let connectionChecker = null;
   let page = null;
@@ -166,6 +170,7 @@ const processJob = async (currentJobId, supabase) => {
     // Initialize the connection checker
     connectionChecker = checkConnectionRequestsModule();
     await connectionChecker.initializeBrowser(campaignData.cookies);
+    registerBrowser?.(connectionChecker.browser);
 
     const totalProfiles = profiles.length;
     let processedProfiles = 0;
@@ -174,14 +179,54 @@ const processJob = async (currentJobId, supabase) => {
     const failedChecks = [];
     let consecutiveFailures = 0;
 
+    // Counts recorded in jobs.result.progress
+    const progressCounts = (currentLead = null) => ({
+      total: totalProfiles,
+      processed: processedProfiles,
+      succeeded: processedProfiles - failedChecks.length,
+      failed: failedChecks.length,
+      currentLead,
+    });
+
     // Process profiles in batches
     for (let i = 0; i < profiles.length; i += batchSize) {
       const batch = profiles.slice(i, i + batchSize);
       logger.info(`Processing batch ${Math.floor(i / batchSize) + 1} (${batch.length} profiles)`);
 
       for (const profile of batch) {
+        // Stop cleanly between profiles once the job has been cancelled or paused
+        if (signal?.aborted) {
+          logger.warn(`Job ${currentJobId} cancelled after ${processedProfiles} of ${totalProfiles} profiles`);
+          await withTimeout(
+            supabase
+              .from('jobs')
+              .update({
+                status: 'cancelled',
+                progress: processedProfiles / totalProfiles,
+                result: {
+                  totalProfilesChecked: processedProfiles,
+                  profilesAccepted,
+                  profilesMovedToLeads,
+                  failedChecks,
+                  progress: buildProgress(progressCounts()),
+                },
+                updated_at: new Date().toISOString(),
+              })
+              .eq('job_id', currentJobId),
+            10000,
+            'Timeout while updating job status'
+          );
+          await logActivity(supabase, campaignId, 'connection_check', 'success',
+            { total: processedProfiles, successful: profilesAccepted, failed: failedChecks.length },
+            null,
+            { startTime, cancelled: true }
+          );
+          return { success: true, cancelled: true };
+        }
+
         const fullName = `${profile.first_name} ${profile.last_name}`.trim();
         logger.info(`Checking connection status for ${fullName}`);
+        await updateJobProgress(supabase, currentJobId, progressCounts(describeLead(profile)));
 
         try {
           const result = await connectionChecker.checkConnectionStatus(profile.linkedin);
@@ -347,6 +392,7 @@ const processJob = async (currentJobId, supabase) => {
           if (consecutiveFailures >= 3) {
             const msg = `Job stopped due to 3 consecutive failures. Last error: ${error.message}`;
             logger.error(msg);
+            processedProfiles++;
 
             // Send Telegram notification
             await bot.sendMessage(
@@ -366,6 +412,7 @@ const processJob = async (currentJobId, supabase) => {
                     profilesAccepted,
                     profilesMovedToLeads,
                     failedChecks,
+                    progress: buildProgress(progressCounts()),
                   },
                   updated_at: new Date().toISOString(),
                 })
@@ -378,19 +425,6 @@ const processJob = async (currentJobId, supabase) => {
         }
 
         processedProfiles++;
-        const progress = processedProfiles / totalProfiles;
-        await withTimeout(
-          supabase
-            .from('jobs')
-            .update({
-              status: 'in_progress',
-              progress,
-              updated_at: new Date().toISOString(),
-            })
-            .eq('job_id', currentJobId),
-          10000,
-          'Timeout while updating job progress'
-        );
 
         // Small delay between profiles within a batch
         if (batch.indexOf(profile) < batch.length - 1) {
@@ -478,6 +512,7 @@ const processJob = async (currentJobId, supabase) => {
             profilesAccepted,
             profilesMovedToLeads,
             failedChecks,
+            progress: buildProgress(progressCounts()),
           },
           updated_at: new Date().toISOString(),
         })
@@ -540,6 +575,9 @@ const processJob = async (currentJobId, supabase) => {
  * @returns {Function} Express route handler
  */
 module.exports = (supabase) => {
+  // Jobs from the job service, and ones recovered after a restart, are run by their job ID
+  jobQueueManager.registerHandler('check_connection_requests', (payload, context) => processJob(context.jobId, supabase, context));
+
   /**
    * Express route handler for checking connection requests
    * @param {import('express').Request} req - Express request object
@@ -547,8 +585,6 @@ module.exports = (supabase) => {
    * @returns {Promise<void>}
    */
   return async (req, res) => {
-    let jobId = null;
-
     try {
       // Validate request body
       if (!req.body || typeof req.body !== 'object') {
@@ -558,88 +594,34 @@ module.exports = (supabase) => {
         });
       }
 
-      const { 
-        campaignId, 
-        batchSize = 5, 
-        maxProfiles = 50 
-      } = req.body;
+      const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
 
-      if (!campaignId) {
+      if (idempotencyError) {
         return res.status(400).json({
           success: false,
-          error: 'campaignId is required'
+          error: idempotencyError
         });
       }
 
-      // Create a job record
-      const { data: jobData, error: jobError } = await withTimeout(
-        supabase
-          .from('jobs')
-          .insert({
-            type: 'check_connection_requests',
-            status: 'queued',
-            campaign_id: campaignId,
-            batch_size: batchSize,
-            max_profiles: maxProfiles,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          })
-          .select()
-          .single(),
-        10000,
-        'Timeout while creating job record'
-      );
+      const { job, replayed } = await startConnectionCheck(supabase, req.body, { idempotencyKey });
 
-      if (jobError) {
-        logger.error(`Failed to create job record: ${jobError.message}`);
-        return res.status(500).json({
-          success: false,
-          error: `Failed to create job record: ${jobError.message}`
-        });
+      if (replayed) {
+        return sendExistingJob(res, idempotencyKey, job, 'check_connection_requests');
       }
 
-      jobId = jobData.job_id;
-      logger.info(`Created job with ID: ${jobId}`);
-
       // Return success response with job ID
-      res.status(200).json({
+      return res.status(200).json({
         success: true,
-        jobId
-      });
-
-      // Queue the job for processing
-      jobQueueManager.addJob(() => processJob(jobId, supabase), {
-        jobId,
-        type: 'check_connection_requests',
-        campaignId
-      }).catch(err => {
-        logger.error(`Queue processing failed for job ${jobId}: ${err.message}`);
+        jobId: job.job_id
       });
 
     } catch (error) {
       logger.error(`Error in check-connection-requests route: ${error.message}`);
-      
-      // If we created a job but something else failed, update its status
-      if (jobId) {
-        await withTimeout(
-          supabase
-            .from('jobs')
-            .update({
-              status: 'failed',
-              error: error.message,
-              error_category: 'request_validation_failed',
-              updated_at: new Date().toISOString(),
-            })
-            .eq('job_id', jobId),
-          10000,
-          'Timeout while updating job status'
-        );
-      }
 
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         error: error.message
       });
     }
   };
-};
\ No newline at end of file
+};
@@ -6,6 +6,8 @@
 const createLogger = require('../utils/logger');
 const lightCookieChecker = require('../modules/lightCookieChecker');
 const { withTimeout } = require('../utils/databaseUtils');
+const { readIdempotencyKey, sendExistingJob } = require('../utils/idempotency');
+const { startCookieCheck } = require('../services/jobService');
 const jobQueueManager = require('../utils/jobQueueManager');
 const puppeteer = require('puppeteer');
 
@@ -100,12 +102,229 @@ const validateCookiesWithPuppeteer = async (cookies) => {
   }
 };
 
+/**
+ * Checks a campaign's cookies and records the result on the campaign and the job
+ * @param {string} jobId - Job ID
+ * @param {number|string} campaignId - Campaign ID
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Promise<{cookiesStatus: string, message: string}|undefined>} undefined when the check could not run
+ */
+const runCookieCheck = async (jobId, campaignId, supabase) => {
+  try {
+    // Update job status to started
+    await withTimeout(
+      supabase
+        .from('jobs')
+        .update({
+          status: 'started',
+          updated_at: new Date().toISOString(),
+        })
+        .eq('job_id', jobId),
+      10000,
+      'Timeout while updating job status to started'
+    );
+
+    // Fetch campaign cookies from Supabase
+    const { data: campaignData, error: campaignError } = await withTimeout(
+      supabase
+        .from('campaigns')
+        .select('cookies, name')
+        .eq('id', parseInt(campaignId))
+        .single(),
+      10000,
+      'Timeout while fetching campaign data'
+    );
+
+    if (campaignError || !campaignData) {
+      logger.error(`Failed to fetch campaign ${campaignId}: ${campaignError?.message || 'No data found'}`);
+      await withTimeout(
+        supabase
+          .from('jobs')
+          .update({
+            status: 'failed',
+            error: 'Campaign not found',
+            error_category: 'campaign_load_failed',
+            updated_at: new Date().toISOString(),
+          })
+          .eq('job_id', jobId),
+        10000,
+        'Timeout while updating job status'
+      );
+      return;
+    }
+
+    if (!campaignData.cookies || !campaignData.cookies.li_a || !campaignData.cookies.li_at) {
+      logger.warn(`No valid cookies found for campaign ${campaignId}`);
+      await withTimeout(
+        supabase
+          .from('campaigns')
+          .update({
+            cookies_status: 'invalid',
+          })
+          .eq('id', parseInt(campaignId)),
+        10000,
+        'Timeout while updating cookies_status'
+      );
+      await withTimeout(
+        supabase
+          .from('jobs')
+          .update({
+            status: 'failed',
+            error: 'No valid cookies found for this campaign',
+            error_category: 'authentication_failed',
+            updated_at: new Date().toISOString(),
+          })
+          .eq('job_id', jobId),
+        10000,
+        'Timeout while updating job status'
+      );
+      return { cookiesStatus: 'invalid', message: 'No valid cookies found for this campaign' };
+    }
+
+    const cookies = [
+      { name: 'li_a', value: campaignData.cookies.li_a, domain: '.linkedin.com', path: '/' },
+      { name: 'li_at', value: campaignData.cookies.li_at, domain: '.linkedin.com', path: '/' }
+    ];
+
+    // First, try the lightweight cookie check
+    logger.info('Attempting lightweight cookie check...');
+    const lightCheckResult = await lightCookieChecker(cookies);
+
+    let validationResult = lightCheckResult.message;
+    let cookiesStatus = lightCheckResult.isValid ? 'valid' : 'invalid';
+
+    // If lightweight check fails or detects manual intervention, fall back to Puppeteer
+    if (!lightCheckResult.isValid && !lightCheckResult.message.includes('CAPTCHA') && !lightCheckResult.message.includes('Two-factor')) {
+      logger.info('Lightweight check failed. Falling back to Puppeteer-based check...');
+      const maxRetries = 5;
+
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+          logger.info(`Attempt ${attempt}/${maxRetries}: Validating cookies for campaign ${campaignId}`);
+          logger.info(`Cookies being validated: ${JSON.stringify(cookies.map(c => ({ name: c.name, domain: c.domain })))}`);
+          
+          const result = await validateCookiesWithPuppeteer(cookies);
+
+          if (result.isValid) {
+            validationResult = 'Cookies are valid';
+            cookiesStatus = 'valid';
+            logger.success(`Cookies validated successfully for campaign ${campaignId}`);
+            break;
+          } else if (result.message.includes('CAPTCHA')) {
+            cookiesStatus = 'manual_intervention_required';
+            validationResult = 'CAPTCHA detected. Manual intervention required.';
+            break;
+          } else if (result.message.includes('Two-factor')) {
+            cookiesStatus = 'manual_intervention_required';
+            validationResult = 'Two-factor authentication required.';
+            break;
+          }
+
+          validationResult = `Failed to validate cookies: ${result.message}`;
+          cookiesStatus = 'invalid';
+
+          if (attempt === maxRetries) {
+            logger.error(`All attempts failed for campaign ${campaignId}. Marking as invalid.`);
+          } else {
+            const delay = randomDelay(attempt);
+            logger.info(`Retrying in ${Math.round(delay/1000)} seconds...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+          }
+        } catch (error) {
+          logger.error(`Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
+          if (attempt === maxRetries) {
+            validationResult = `Failed to validate cookies after ${maxRetries} attempts: ${error.message}`;
+            cookiesStatus = 'invalid';
+          }
+        }
+      }
+    } else if (lightCheckResult.message.includes('CAPTCHA') || lightCheckResult.message.includes('Two-factor')) {
+      cookiesStatus = 'manual_intervention_required';
+      validationResult = lightCheckResult.message;
+    }
+
+    // Update cookies_status in the campaigns table
+    const { error: updateError } = await withTimeout(
+      supabase
+        .from('campaigns')
+        .update({
+          cookies_status: cookiesStatus,
+        })
+        .eq('id', parseInt(campaignId)),
+      10000,
+      'Timeout while updating cookies_status'
+    );
+
+    if (updateError) {
+      logger.error(`Failed to update cookies_status for campaign ${campaignId}: ${updateError.message}`);
+      await withTimeout(
+        supabase
+          .from('jobs')
+          .update({
+            status: 'failed',
+            error: 'Failed to update cookies status in the database',
+            error_category: 'database_update_failed',
+            updated_at: new Date().toISOString(),
+          })
+          .eq('job_id', jobId),
+        10000,
+        'Timeout while updating job status'
+      );
+      return;
+    }
+
+    logger.info(`Updated cookies_status to '${cookiesStatus}' for campaign ${campaignId}`);
+
+    // Return the result
+    await withTimeout(
+      supabase
+        .from('jobs')
+        .update({
+          status: 'completed',
+          result: validationResult,
+          cookies_status: cookiesStatus,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('job_id', jobId),
+      10000,
+      'Timeout while updating job status'
+    );
+
+    return { cookiesStatus, message: validationResult };
+  } catch (error) {
+    logger.error(`Error in job ${jobId}: ${error.message}`);
+    let errorCategory = 'unknown';
+    if (error.message.includes('Cookies are invalid')) {
+      errorCategory = 'authentication_failed';
+    } else if (error.message.includes('waitForSelector')) {
+      errorCategory = 'selector_timeout';
+    }
+    await withTimeout(
+      supabase
+        .from('jobs')
+        .update({
+          status: 'failed',
+          error: error.message,
+          error_category: errorCategory,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('job_id', jobId),
+      10000,
+      'Timeout while updating job status'
+    );
+    throw error; // Rethrow for the queue manager
+  }
+};
+
 /**
  * Creates a controller function for checking cookie validity
  * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
  * @returns {Function} Express route handler
  */
 module.exports = (supabase) => {
+  // Cookie checks from the job service run immediately, outside the queue
+  jobQueueManager.registerHandler('check_cookies', (payload, context) => runCookieCheck(context.jobId, payload.campaignId, supabase));
+
   /**
    * Express route handler for checking cookies
    * @param {import('express').Request} req - Express request object
@@ -113,8 +332,6 @@ module.exports = (supabase) => {
    * @returns {Promise<void>}
    */
   return async (req, res) => {
-    let jobId = null;
-
     try {
       // Safely access req.body
       if (!req.body || typeof req.body !== 'object') {
@@ -125,284 +342,24 @@ module.exports = (supabase) => {
         });
       }
 
-      const { campaignId } = req.body;
+      const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
 
-      // Validate request body
-      if (!campaignId || !Number.isInteger(Number(campaignId))) {
-        logger.warn(`Invalid campaignId: ${campaignId}`);
-        return res.status(400).json({
-          success: false,
-          error: 'Missing or invalid required field: campaignId must be an integer',
-        });
+      if (idempotencyError) {
+        logger.warn(idempotencyError);
+        return res.status(400).json({ success: false, error: idempotencyError });
       }
 
-      logger.info(`Checking cookies for campaignId: ${campaignId}`);
+      const { job, replayed } = await startCookieCheck(supabase, req.body, { idempotencyKey });
 
-      // Create a job entry in the database
-      const { data: jobData, error: jobError } = await withTimeout(
-        supabase
-          .from('jobs')
-          .insert({
-            type: 'check_cookies',
-            status: 'queued',
-            progress: 0,
-            error: null,
-            result: null,
-            campaign_id: campaignId.toString(),
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          })
-          .select('job_id')
-          .single(),
-        10000,
-        'Timeout while creating job in database'
-      );
-
-      if (jobError || !jobData) {
-        logger.error(`Failed to create job: ${jobError?.message}`);
-        return res.status(500).json({ success: false, error: 'Failed to create job' });
+      if (replayed) {
+        return sendExistingJob(res, idempotencyKey, job, 'check_cookies');
       }
 
-      jobId = jobData.job_id;
-      logger.info(`Created job with ID: ${jobId} with status: queued`);
-
       // Return the job ID immediately to the client
-      res.json({ success: true, jobId });
-
-      // Define the job function
-      const jobFunction = async () => {
-        try {
-          // Update job status to started
-          await withTimeout(
-            supabase
-              .from('jobs')
-              .update({
-                status: 'started',
-                updated_at: new Date().toISOString(),
-              })
-              .eq('job_id', jobId),
-            10000,
-            'Timeout while updating job status to started'
-          );
-
-          // Fetch campaign cookies from Supabase
-          const { data: campaignData, error: campaignError } = await withTimeout(
-            supabase
-              .from('campaigns')
-              .select('cookies, name')
-              .eq('id', parseInt(campaignId))
-              .single(),
-            10000,
-            'Timeout while fetching campaign data'
-          );
-
-          if (campaignError || !campaignData) {
-            logger.error(`Failed to fetch campaign ${campaignId}: ${campaignError?.message || 'No data found'}`);
-            await withTimeout(
-              supabase
-                .from('jobs')
-                .update({
-                  status: 'failed',
-                  error: 'Campaign not found',
-                  error_category: 'campaign_load_failed',
-                  updated_at: new Date().toISOString(),
-                })
-                .eq('job_id', jobId),
-              10000,
-              'Timeout while updating job status'
-            );
-            return;
-          }
-
-          if (!campaignData.cookies || !campaignData.cookies.li_a || !campaignData.cookies.li_at) {
-            logger.warn(`No valid cookies found for campaign ${campaignId}`);
-            await withTimeout(
-              supabase
-                .from('campaigns')
-                .update({
-                  cookies_status: 'invalid',
-                })
-                .eq('id', parseInt(campaignId)),
-              10000,
-              'Timeout while updating cookies_status'
-            );
-            await withTimeout(
-              supabase
-                .from('jobs')
-                .update({
-                  status: 'failed',
-                  error: 'No valid cookies found for this campaign',
-                  error_category: 'authentication_failed',
-                  updated_at: new Date().toISOString(),
-                })
-                .eq('job_id', jobId),
-              10000,
-              'Timeout while updating job status'
-            );
-            return;
-          }
-
-          const cookies = [
-            { name: 'li_a', value: campaignData.cookies.li_a, domain: '.linkedin.com', path: '/' },
-            { name: 'li_at', value: campaignData.cookies.li_at, domain: '.linkedin.com', path: '/' }
-          ];
-
-          // First, try the lightweight cookie check
-          logger.info('Attempting lightweight cookie check...');
-          const lightCheckResult = await lightCookieChecker(cookies);
-
-          let validationResult = lightCheckResult.message;
-          let cookiesStatus = lightCheckResult.isValid ? 'valid' : 'invalid';
-
-          // If lightweight check fails or detects manual intervention, fall back to Puppeteer
-          if (!lightCheckResult.isValid && !lightCheckResult.message.includes('CAPTCHA') && !lightCheckResult.message.includes('Two-factor')) {
-            logger.info('Lightweight check failed. Falling back to Puppeteer-based check...');
-            const maxRetries = 5;
-
-            for (let attempt = 1; attempt <= maxRetries; attempt++) {
-              try {
-                logger.info(`Attempt ${attempt}/${maxRetries}: Validating cookies for campaign ${campaignId}`);
-                logger.info(`Cookies being validated: ${JSON.stringify(cookies.map(c => ({ name: c.name, domain: c.domain })))}`);
-                
-                const result = await validateCookiesWithPuppeteer(cookies);
-
-                if (result.isValid) {
-                  validationResult = 'Cookies are valid';
-                  cookiesStatus = 'valid';
-                  logger.success(`Cookies validated successfully for campaign ${campaignId}`);
-                  break;
-                } else if (result.message.includes('CAPTCHA')) {
-                  cookiesStatus = 'manual_intervention_required';
-                  validationResult = 'CAPTCHA detected. Manual intervention required.';
-                  break;
-                } else if (result.message.includes('Two-factor')) {
-                  cookiesStatus = 'manual_intervention_required';
-                  validationResult = 'Two-factor authentication required.';
-                  break;
-                }
-
-                validationResult = `Failed to validate cookies: ${result.message}`;
-                cookiesStatus = 'invalid';
-
-                if (attempt === maxRetries) {
-                  logger.error(`All attempts failed for campaign ${campaignId}. Marking as invalid.`);
-                } else {
-                  const delay = randomDelay(attempt);
-                  logger.info(`Retrying in ${Math.round(delay/1000)} seconds...`);
-                  await new Promise(resolve => setTimeout(resolve, delay));
-                }
-              } catch (error) {
-                logger.error(`Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
-                if (attempt === maxRetries) {
-                  validationResult = `Failed to validate cookies after ${maxRetries} attempts: ${error.message}`;
-                  cookiesStatus = 'invalid';
-                }
-              }
-            }
-          } else if (lightCheckResult.message.includes('CAPTCHA') || lightCheckResult.message.includes('Two-factor')) {
-            cookiesStatus = 'manual_intervention_required';
-            validationResult = lightCheckResult.message;
-          }
-
-          // Update cookies_status in the campaigns table
-          const { error: updateError } = await withTimeout(
-            supabase
-              .from('campaigns')
-              .update({
-                cookies_status: cookiesStatus,
-              })
-              .eq('id', parseInt(campaignId)),
-            10000,
-            'Timeout while updating cookies_status'
-          );
-
-          if (updateError) {
-            logger.error(`Failed to update cookies_status for campaign ${campaignId}: ${updateError.message}`);
-            await withTimeout(
-              supabase
-                .from('jobs')
-                .update({
-                  status: 'failed',
-                  error: 'Failed to update cookies status in the database',
-                  error_category: 'database_update_failed',
-                  updated_at: new Date().toISOString(),
-                })
-                .eq('job_id', jobId),
-              10000,
-              'Timeout while updating job status'
-            );
-            return;
-          }
-
-          logger.info(`Updated cookies_status to '${cookiesStatus}' for campaign ${campaignId}`);
-
-          // Return the result
-          await withTimeout(
-            supabase
-              .from('jobs')
-              .update({
-                status: 'completed',
-                result: validationResult,
-                cookies_status: cookiesStatus,
-                updated_at: new Date().toISOString(),
-              })
-              .eq('job_id', jobId),
-            10000,
-            'Timeout while updating job status'
-          );
-
-        } catch (error) {
-          logger.error(`Error in job ${jobId}: ${error.message}`);
-          let errorCategory = 'unknown';
-          if (error.message.includes('Cookies are invalid')) {
-            errorCategory = 'authentication_failed';
-          } else if (error.message.includes('waitForSelector')) {
-            errorCategory = 'selector_timeout';
-          }
-          await withTimeout(
-            supabase
-              .from('jobs')
-              .update({
-                status: 'failed',
-                error: error.message,
-                error_category: errorCategory,
-                updated_at: new Date().toISOString(),
-              })
-              .eq('job_id', jobId),
-            10000,
-            'Timeout while updating job status'
-          );
-          throw error; // Rethrow for the queue manager
-        }
-      };
-
-      // Add the job to the queue with bypass flag set to true
-      jobQueueManager.addJob(jobFunction, { 
-        jobId, 
-        type: 'check_cookies',
-        campaignId: req.body.campaignId
-      }, true).catch(err => {
-        logger.error(`Cookie check failed for job ${jobId}: ${err.message}`);
-      });
-      
+      return res.json({ success: true, jobId: job.job_id });
     } catch (error) {
       logger.error(`Error in /check-cookies route: ${error.message}`);
-      if (jobId) {
-        await withTimeout(
-          supabase
-            .from('jobs')
-            .update({
-              status: 'failed',
-              error: error.message,
-              error_category: 'request_validation_failed',
-              updated_at: new Date().toISOString(),
-            })
-            .eq('job_id', jobId),
-          10000,
-          'Timeout while updating job status'
-        );
-      }
-      return res.status(500).json({ success: false, error: error.message });
+      return res.status(error.statusCode || 500).json({ success: false, error: error.message });
     }
   };
-};
\ No newline at end of file
+};
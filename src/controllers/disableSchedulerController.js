@@ -0,0 +1,40 @@
+/**
+ * Controller for disabling a scheduler's cron runs
+ * @module controllers/disableSchedulerController
+ */
+
+const createLogger = require('../utils/logger');
+const schedulerRegistry = require('../scheduler/schedulerRegistry');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for disabling a scheduler
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for POST /api/schedulers/:name/disable.
+   * Cron runs stop until it is enabled again; manual triggers still run it.
+   * The setting is stored in scheduler_settings and survives restarts.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { name } = req.params;
+
+    try {
+      const scheduler = await schedulerRegistry.setEnabled(name, false);
+      if (!scheduler) {
+        return res.status(404).json({ success: false, error: `Unknown scheduler: ${name}` });
+      }
+
+      return res.json({ success: true, scheduler });
+    } catch (error) {
+      logger.error(`Error disabling scheduler ${name}: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
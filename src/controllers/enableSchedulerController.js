@@ -0,0 +1,40 @@
+/**
+ * Controller for enabling a scheduler's cron runs
+ * @module controllers/enableSchedulerController
+ */
+
+const createLogger = require('../utils/logger');
+const schedulerRegistry = require('../scheduler/schedulerRegistry');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for enabling a scheduler
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for POST /api/schedulers/:name/enable.
+   * Cron runs start again on the scheduler's expression.
+   * The setting is stored in scheduler_settings and survives restarts.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { name } = req.params;
+
+    try {
+      const scheduler = await schedulerRegistry.setEnabled(name, true);
+      if (!scheduler) {
+        return res.status(404).json({ success: false, error: `Unknown scheduler: ${name}` });
+      }
+
+      return res.json({ success: true, scheduler });
+    } catch (error) {
+      logger.error(`Error enabling scheduler ${name}: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
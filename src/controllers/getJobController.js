@@ -0,0 +1,63 @@
+/**
+ * Controller for inspecting a single job and its live progress
+ * @module controllers/getJobController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const jobQueueManager = require('../utils/jobQueueManager');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for fetching a job
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for fetching a job.
+   * Per-lead progress (processed, succeeded, failed, current lead) is read from jobs.result.progress,
+   * which running jobs update before each lead; queue details come from this process's job queue.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { jobId } = req.params;
+
+    try {
+      const { data: job, error: jobError } = await withTimeout(
+        supabase
+          .from('jobs')
+          .select('*')
+          .eq('job_id', jobId)
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching job'
+      );
+
+      if (jobError) {
+        logger.error(`Failed to fetch job ${jobId}: ${jobError.message}`);
+        return res.status(500).json({ success: false, error: `Failed to fetch job: ${jobError.message}` });
+      }
+
+      if (!job) {
+        return res.status(404).json({ success: false, error: `Job ${jobId} not found` });
+      }
+
+      return res.json({
+        success: true,
+        job,
+        progressDetails: job.result?.progress || null,
+        queue: {
+          running: jobQueueManager.isRunning(job.job_id),
+          position: jobQueueManager.getQueuePosition(job.job_id)
+        }
+      });
+    } catch (error) {
+      logger.error(`Error fetching job ${jobId}: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
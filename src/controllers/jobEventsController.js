@@ -0,0 +1,137 @@
+/**
+ * Controller for streaming job lifecycle, resistance and cooldown events as Server-Sent Events
+ * @module controllers/jobEventsController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const jobEvents = require('../utils/jobEvents');
+
+const logger = createLogger();
+
+// Comment line sent periodically so proxies and clients don't drop an idle stream
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Write one SSE message
+ * @param {import('express').Response} res - Express response object
+ * @param {string} event - SSE event name
+ * @param {Object} data - Event payload
+ * @param {number} [id] - SSE event id, used by clients to resume with Last-Event-ID
+ */
+const writeEvent = (res, event, data, id) => {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Creates a controller function for the event streams
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for GET /api/events and GET /api/jobs/:jobId/events.
+   * With a jobId the stream carries that job's events plus resistance and cooldown events for its campaign,
+   * starts with a `snapshot` of the job row and ends once the job is finished.
+   * Without one it carries every event, optionally filtered by campaignId and type.
+   * Clients reconnecting with a Last-Event-ID header first receive the events they missed.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { jobId } = req.params;
+    const { campaignId, type } = req.query;
+    let job = null;
+
+    if (jobId) {
+      try {
+        const { data, error } = await withTimeout(
+          supabase
+            .from('jobs')
+            .select('job_id, type, status, campaign_id, progress, error, error_category, updated_at, result')
+            .eq('job_id', jobId)
+            .maybeSingle(),
+          10000,
+          'Timeout while fetching job'
+        );
+
+        if (error) {
+          logger.error(`Failed to fetch job ${jobId}: ${error.message}`);
+          return res.status(500).json({ success: false, error: `Failed to fetch job: ${error.message}` });
+        }
+
+        if (!data) {
+          return res.status(404).json({ success: false, error: `Job ${jobId} not found` });
+        }
+
+        job = data;
+      } catch (error) {
+        logger.error(`Error fetching job ${jobId} for event stream: ${error.message}`);
+        return res.status(500).json({ success: false, error: error.message });
+      }
+    }
+
+    const matches = (record) => {
+      if (job) {
+        return record.jobId === String(job.job_id) ||
+          (record.jobId === null && record.campaignId === String(job.campaign_id));
+      }
+      if (campaignId && record.campaignId !== String(campaignId)) return false;
+      if (type && record.type !== type) return false;
+      return true;
+    };
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const send = (record) => {
+      if (closed || !matches(record)) return;
+      writeEvent(res, record.event, record, record.id);
+
+      // A finished job has nothing more to report
+      if (job && record.jobId === String(job.job_id) && jobEvents.isFinalStatus(record.event)) {
+        close();
+      }
+    };
+
+    req.on('close', close);
+
+    if (job) {
+      const { result, ...row } = job;
+      writeEvent(res, 'snapshot', { ...row, progressDetails: result?.progress || null });
+
+      if (jobEvents.isFinalStatus(job.status)) {
+        close();
+        return;
+      }
+    }
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+    if (Number.isInteger(lastEventId)) {
+      jobEvents.eventsSince(lastEventId).forEach(send);
+    }
+
+    unsubscribe = jobEvents.subscribe(send);
+    if (closed) unsubscribe();
+  };
+};
@@ -0,0 +1,60 @@
+/**
+ * Controller for listing jobs that exhausted their retry attempts
+ * @module controllers/listDeadLetterJobsController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const { getRetryPolicy } = require('../utils/retryPolicy');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for listing dead-lettered jobs
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for listing dead-lettered jobs, most recently failed first.
+   * Supports filtering by campaignId and type.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { campaignId, type } = req.query;
+
+    try {
+      let query = supabase
+        .from('jobs')
+        .select('job_id, type, campaign_id, error, error_category, attempts, created_at, updated_at')
+        .eq('status', 'dead_letter');
+
+      if (campaignId) query = query.eq('campaign_id', campaignId.toString());
+      if (type) query = query.eq('type', type);
+
+      const { data: jobs, error } = await withTimeout(
+        query.order('updated_at', { ascending: false }).limit(200),
+        10000,
+        'Timeout while fetching dead-lettered jobs'
+      );
+
+      if (error) {
+        logger.error(`Failed to fetch dead-lettered jobs: ${error.message}`);
+        return res.status(500).json({ success: false, error: `Failed to fetch dead-lettered jobs: ${error.message}` });
+      }
+
+      return res.json({
+        success: true,
+        jobs: jobs.map((job) => ({
+          ...job,
+          retryable: getRetryPolicy(job.error_category).retryable
+        }))
+      });
+    } catch (error) {
+      logger.error(`Error listing dead-lettered jobs: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
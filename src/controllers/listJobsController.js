@@ -0,0 +1,104 @@
+/**
+ * Controller for listing jobs with optional filters
+ * @module controllers/listJobsController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+
+const logger = createLogger();
+
+// Columns returned for each job in the listing; the full result is only returned by the detail endpoint
+const LIST_COLUMNS = 'job_id, type, status, campaign_id, progress, error, error_category, attempts, next_attempt_at, dedupe_key, created_at, updated_at, queued_at, started_at, completed_at, result';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Parse an optional date query parameter
+ * @param {string|undefined} value - Raw query value
+ * @returns {string|null|undefined} ISO string, undefined when absent, null when invalid
+ */
+const parseDateParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Creates a controller function for listing jobs
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for listing jobs, newest first.
+   * Supports filtering by campaignId, type, status (comma separated) and a created_at range (from/to).
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { campaignId, type, status, from, to } = req.query;
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+    const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
+
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) {
+      return res.status(400).json({ success: false, error: `Invalid limit: must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ success: false, error: 'Invalid offset: must be a non-negative integer' });
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+
+    if (fromDate === null || toDate === null) {
+      return res.status(400).json({ success: false, error: 'Invalid date: from and to must be ISO 8601 dates' });
+    }
+
+    try {
+      let query = supabase
+        .from('jobs')
+        .select(LIST_COLUMNS, { count: 'exact' });
+
+      if (campaignId) query = query.eq('campaign_id', campaignId.toString());
+      if (type) query = query.eq('type', type);
+      if (status) {
+        const statuses = status.split(',').map((s) => s.trim()).filter(Boolean);
+        query = statuses.length === 1 ? query.eq('status', statuses[0]) : query.in('status', statuses);
+      }
+      if (fromDate) query = query.gte('created_at', fromDate);
+      if (toDate) query = query.lte('created_at', toDate);
+
+      const { data: jobs, error, count } = await withTimeout(
+        query
+          .order('created_at', { ascending: false })
+          .range(offset, offset + limit - 1),
+        10000,
+        'Timeout while fetching jobs'
+      );
+
+      if (error) {
+        logger.error(`Failed to fetch jobs: ${error.message}`);
+        return res.status(500).json({ success: false, error: `Failed to fetch jobs: ${error.message}` });
+      }
+
+      return res.json({
+        success: true,
+        total: count ?? jobs.length,
+        limit,
+        offset,
+        jobs: jobs.map(({ result, ...job }) => ({
+          ...job,
+          progressDetails: result?.progress || null
+        }))
+      });
+    } catch (error) {
+      logger.error(`Error listing jobs: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
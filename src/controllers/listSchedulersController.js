@@ -0,0 +1,32 @@
+/**
+ * Controller for listing the schedulers and their run state
+ * @module controllers/listSchedulersController
+ */
+
+const createLogger = require('../utils/logger');
+const schedulerRegistry = require('../scheduler/schedulerRegistry');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for listing schedulers
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for GET /api/schedulers.
+   * Lists every scheduler with its cron expression, next and last run, last result and whether it is running now.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    try {
+      return res.json({ success: true, schedulers: schedulerRegistry.getStatus() });
+    } catch (error) {
+      logger.error(`Error listing schedulers: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
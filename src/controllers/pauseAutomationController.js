@@ -0,0 +1,58 @@
+/**
+ * Controller for pausing automation, globally or for one campaign
+ * @module controllers/pauseAutomationController
+ */
+
+const createLogger = require('../utils/logger');
+const automationPause = require('../utils/automationPause');
+const jobQueueManager = require('../utils/jobQueueManager');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for pausing automation
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for POST /api/campaigns/:campaignId/pause and POST /api/automation/pause.
+   * Schedulers skip paused campaigns, their queued jobs are held and running jobs stop after the current lead.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { campaignId } = req.params;
+
+    if (campaignId !== undefined && !Number.isInteger(Number(campaignId))) {
+      return res.status(400).json({ success: false, error: 'Invalid campaignId: must be an integer' });
+    }
+
+    try {
+      const pausedAt = campaignId === undefined
+        ? await automationPause.pauseAll()
+        : await automationPause.pauseCampaign(campaignId);
+
+      if (!pausedAt) {
+        return res.status(404).json({ success: false, error: `Campaign ${campaignId} not found` });
+      }
+
+      const { stopping, held } = jobQueueManager.applyPauseState();
+      logger.info(`Paused ${campaignId === undefined ? 'all automation' : `campaign ${campaignId}`}: ` +
+        `${stopping} running job(s) stopping, ${held} queued job(s) held`);
+
+      return res.json({
+        success: true,
+        ...(campaignId === undefined ? {} : { campaignId }),
+        paused: true,
+        pausedAt,
+        stoppingJobs: stopping,
+        heldJobs: held
+      });
+    } catch (error) {
+      logger.error(`Error pausing automation: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
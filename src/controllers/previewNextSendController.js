@@ -0,0 +1,128 @@
+/**
+ * Controller for previewing when a lead is next due a message
+ * @module controllers/previewNextSendController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const { getMessageSequence, validateMessageSequence, getNextSendTime } = require('../utils/messageSequence');
+const { getSendingWindow } = require('../utils/sendingWindow');
+const { loadHolidayCalendar } = require('../utils/holidayCalendar');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for the next-send preview
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for GET /api/leads/:leadId/next-send?campaignId=.
+   * Works out the lead's next stage in the campaign's message sequence, when its working-day delay
+   * passes (skipping the campaign's holidays and the client's blackout dates) and the first sending
+   * window after that. nextSendAt is null, with a reason, when the lead won't be messaged.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { leadId } = req.params;
+    const { campaignId } = req.query;
+
+    if (!campaignId) {
+      return res.status(400).json({ success: false, error: 'campaignId query parameter is required' });
+    }
+
+    try {
+      const { data: lead, error: leadError } = await withTimeout(
+        supabase
+          .from('leads')
+          .select('id, client_id, status, connection_level, message_stage, last_contacted')
+          .eq('id', leadId)
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching lead'
+      );
+
+      if (leadError) {
+        logger.error(`Failed to fetch lead ${leadId}: ${leadError.message}`);
+        return res.status(500).json({ success: false, error: `Failed to fetch lead: ${leadError.message}` });
+      }
+
+      if (!lead) {
+        return res.status(404).json({ success: false, error: `Lead ${leadId} not found` });
+      }
+
+      const { data: campaign, error: campaignError } = await withTimeout(
+        supabase
+          .from('campaigns')
+          .select('id, client_id, connection_messages, timezone, sending_timezone, sending_start_hour, sending_end_hour, sending_days, holiday_calendar')
+          .eq('id', campaignId)
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching campaign'
+      );
+
+      if (campaignError) {
+        logger.error(`Failed to fetch campaign ${campaignId}: ${campaignError.message}`);
+        return res.status(500).json({ success: false, error: `Failed to fetch campaign: ${campaignError.message}` });
+      }
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: `Campaign ${campaignId} not found` });
+      }
+
+      if (String(campaign.client_id) !== String(lead.client_id)) {
+        return res.status(400).json({
+          success: false,
+          error: `Lead ${leadId} does not belong to the client of campaign ${campaignId}`
+        });
+      }
+
+      const preview = {
+        success: true,
+        leadId: lead.id,
+        campaignId: campaign.id,
+        currentStage: lead.message_stage,
+        nextStage: null,
+        eligibleAt: null,
+        nextSendAt: null,
+        reason: null,
+        sendingWindow: null,
+        holidayCalendar: null
+      };
+
+      // Only unreplied 1st-degree connections get follow-up messages
+      if (lead.status !== 'not_replied' || lead.connection_level !== '1st') {
+        return res.json({ ...preview, reason: lead.connection_level !== '1st' ? 'not_connected' : 'not_awaiting_reply' });
+      }
+
+      if (validateMessageSequence(campaign.connection_messages).length > 0) {
+        return res.json({ ...preview, reason: 'invalid_sequence' });
+      }
+
+      const sendingWindow = getSendingWindow(campaign);
+      if (!sendingWindow) {
+        return res.json({ ...preview, reason: 'no_sending_window' });
+      }
+
+      const calendar = await loadHolidayCalendar(supabase, campaign, sendingWindow.timeZone);
+      const sequence = getMessageSequence(campaign.connection_messages);
+      const { stage, eligibleAt, nextSendAt, reason } = getNextSendTime(lead, sequence, sendingWindow, calendar);
+
+      return res.json({
+        ...preview,
+        nextStage: stage?.stage ?? null,
+        eligibleAt: eligibleAt?.toISOString() || null,
+        nextSendAt: nextSendAt?.toISOString() || null,
+        reason,
+        sendingWindow,
+        holidayCalendar: calendar.region
+      });
+    } catch (error) {
+      logger.error(`Error previewing next send for lead ${leadId}: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
@@ -0,0 +1,248 @@
+/**
+ * Controller for previewing and linting a campaign's message templates
+ * @module controllers/previewTemplateController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const { getMessageSequence, getStage } = require('../utils/messageSequence');
+const { validateTemplate } = require('../utils/messageTemplate');
+const { DEFAULT_INMAIL_SUBJECT, MESSAGE_LIMITS, renderPersonalizedMessage } = require('../utils/messageUtils');
+
+const logger = createLogger();
+
+// Kinds of template a preview can be for, with their name in warnings
+const CHANNEL_LABELS = {
+  message: 'Message',
+  inmail: 'InMail',
+  connection_note: 'Connection note'
+};
+const CHANNELS = Object.keys(CHANNEL_LABELS);
+
+// Leads previewed when the request doesn't name any, and the most it may name
+const SAMPLE_SIZE = 5;
+const MAX_LEADS = 50;
+
+/**
+ * Creates a controller function for template previews
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * The template, and subject for InMails, a preview is for
+   * @param {Object} campaign - Campaign row
+   * @param {string} channel - One of CHANNELS
+   * @param {number} [stage] - Stage number, for messages and InMails
+   * @returns {{template: string|null, subject: string|null, active: boolean}|null} null when the stage doesn't exist
+   */
+  const findTemplate = (campaign, channel, stage) => {
+    if (channel === 'connection_note') {
+      const content = campaign.connection_messages?.connection_request_message?.content;
+      return content ? { template: content, subject: null, active: true } : null;
+    }
+
+    if (channel === 'inmail') {
+      const messages = campaign.open_profile_messages?.messages || [];
+      const message = messages.find((msg) => msg.stage === stage);
+      return message
+        ? { template: message.content, subject: message.subject || DEFAULT_INMAIL_SUBJECT, active: message.active !== false }
+        : null;
+    }
+
+    const message = getStage(getMessageSequence(campaign.connection_messages), stage);
+    return message ? { template: message.content, subject: null, active: message.active } : null;
+  };
+
+  /**
+   * The leads (scraped profiles for connection notes) to render the template for
+   * @param {Object} campaign - Campaign row
+   * @param {string} channel - One of CHANNELS
+   * @param {Array<number|string>} leadIds - Requested IDs, empty for a sample
+   * @returns {Promise<Object[]>}
+   */
+  const fetchRecipients = async (campaign, channel, leadIds) => {
+    let query;
+    if (channel === 'connection_note') {
+      query = supabase
+        .from('scraped_profiles')
+        .select('id, first_name, last_name, company, job_title, linkedin')
+        .eq('campaign_id', campaign.id.toString());
+    } else {
+      query = supabase
+        .from('leads')
+        .select('id, first_name, last_name, company, position, linkedin, personalization')
+        .eq('client_id', campaign.client_id);
+      if (leadIds.length === 0) {
+        query = channel === 'inmail' ? query.eq('is_open_profile', true) : query.eq('connection_level', '1st');
+      }
+    }
+
+    query = leadIds.length > 0
+      ? query.in('id', leadIds)
+      : query.order('id', { ascending: true }).limit(SAMPLE_SIZE);
+
+    const { data, error } = await withTimeout(query, 10000, 'Timeout while fetching leads to preview');
+    if (error) {
+      throw new Error(`Failed to fetch leads: ${error.message}`);
+    }
+    return data || [];
+  };
+
+  /**
+   * Render one template for one recipient and collect what's wrong with the result
+   * @param {string} template - Template
+   * @param {Object} recipient - Lead or scraped profile
+   * @param {Object|null} client - Client row
+   * @param {number} limit - LinkedIn's length limit for the text
+   * @param {string} label - What the text is, for warnings
+   * @returns {{text: string, characters: number, limit: number, overLimit: boolean, unresolved: string[], emptyVariables: string[], warnings: string[]}}
+   */
+  const renderFor = (template, recipient, client, limit, label) => {
+    const { text, missing, unknown } = renderPersonalizedMessage(template, recipient, client);
+    const characters = text.length;
+    const warnings = [
+      ...missing.map((name) => `{${name}} is empty for this lead and has no default`),
+      ...unknown.map((tag) => `${tag} is not a known variable and is sent as written`)
+    ];
+    if (characters > limit) {
+      warnings.push(`${label} is ${characters} characters, over LinkedIn's limit of ${limit}`);
+    }
+    if (text.trim() === '') {
+      warnings.push(`${label} is empty`);
+    }
+    return { text, characters, limit, overLimit: characters > limit, unresolved: unknown, emptyVariables: missing, warnings };
+  };
+
+  /**
+   * Express route handler for POST /api/templates/preview.
+   * Renders a campaign's follow-up message, InMail or connection note for the requested leads (or
+   * a few of the client's leads) without sending anything, with the lint results of the template
+   * and, per lead, the character count against LinkedIn's limit, placeholders left unresolved and
+   * variables that came out empty.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { campaignId, stage, leadIds = [], channel = 'message' } = req.body || {};
+
+    if (!campaignId || !Number.isInteger(Number(campaignId))) {
+      return res.status(400).json({ success: false, error: 'Missing or invalid required field: campaignId must be an integer' });
+    }
+    if (!CHANNELS.includes(channel)) {
+      return res.status(400).json({ success: false, error: `channel must be one of ${CHANNELS.join(', ')}` });
+    }
+    if (channel !== 'connection_note' && !Number.isInteger(stage)) {
+      return res.status(400).json({ success: false, error: 'stage must be an integer' });
+    }
+    if (!Array.isArray(leadIds) || leadIds.length > MAX_LEADS) {
+      return res.status(400).json({ success: false, error: `leadIds must be a list of at most ${MAX_LEADS} IDs` });
+    }
+
+    try {
+      const { data: campaign, error: campaignError } = await withTimeout(
+        supabase
+          .from('campaigns')
+          .select('id, client_id, connection_messages, open_profile_messages')
+          .eq('id', campaignId)
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching campaign'
+      );
+
+      if (campaignError) {
+        logger.error(`Failed to fetch campaign ${campaignId}: ${campaignError.message}`);
+        return res.status(500).json({ success: false, error: `Failed to fetch campaign: ${campaignError.message}` });
+      }
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: `Campaign ${campaignId} not found` });
+      }
+
+      const found = findTemplate(campaign, channel, stage);
+      if (!found || typeof found.template !== 'string') {
+        return res.status(404).json({
+          success: false,
+          error: channel === 'connection_note'
+            ? `Campaign ${campaignId} has no connection request message`
+            : `Stage ${stage} not found in the ${channel === 'inmail' ? 'open profile messages' : 'message sequence'} of campaign ${campaignId}`
+        });
+      }
+
+      const { data: client, error: clientError } = await withTimeout(
+        supabase
+          .from('clients')
+          .select('subdomain, status')
+          .eq('id', campaign.client_id)
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching client data'
+      );
+
+      if (clientError) {
+        throw new Error(`Failed to fetch client data for client ${campaign.client_id}: ${clientError.message}`);
+      }
+
+      const recipients = await fetchRecipients(campaign, channel, leadIds);
+      const limit = MESSAGE_LIMITS[channel];
+
+      const errors = [
+        ...validateTemplate(found.template),
+        ...(found.subject ? validateTemplate(found.subject).map((error) => `Subject: ${error}`) : [])
+      ];
+      const warnings = [];
+      if (!found.active) {
+        warnings.push(`Stage ${stage} is inactive, so leads skip it`);
+      }
+      const missingLeads = leadIds.filter((id) => !recipients.some((recipient) => String(recipient.id) === String(id)));
+      if (missingLeads.length > 0) {
+        warnings.push(`Not found for this campaign: ${missingLeads.join(', ')}`);
+      }
+
+      const previews = recipients.map((recipient) => {
+        const message = renderFor(found.template, recipient, client, limit, CHANNEL_LABELS[channel]);
+        const preview = {
+          leadId: recipient.id,
+          name: [recipient.first_name, recipient.last_name].filter(Boolean).join(' '),
+          message: message.text,
+          characters: message.characters,
+          overLimit: message.overLimit,
+          unresolved: message.unresolved,
+          emptyVariables: message.emptyVariables,
+          warnings: message.warnings
+        };
+
+        if (found.subject) {
+          const subject = renderFor(found.subject, recipient, client, MESSAGE_LIMITS.inmail_subject, 'Subject');
+          Object.assign(preview, {
+            subject: subject.text,
+            subjectCharacters: subject.characters,
+            overLimit: preview.overLimit || subject.overLimit,
+            unresolved: [...new Set([...preview.unresolved, ...subject.unresolved])],
+            emptyVariables: [...new Set([...preview.emptyVariables, ...subject.emptyVariables])],
+            warnings: [...preview.warnings, ...subject.warnings.map((warning) => `Subject: ${warning}`)]
+          });
+        }
+        return preview;
+      });
+
+      return res.json({
+        success: true,
+        campaignId: campaign.id,
+        channel,
+        stage: channel === 'connection_note' ? null : stage,
+        template: found.template,
+        subject: found.subject,
+        limit,
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        previews
+      });
+    } catch (error) {
+      logger.error(`Error previewing template for campaign ${campaignId}: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
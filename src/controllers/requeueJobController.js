@@ -0,0 +1,76 @@
+/**
+ * Controller for requeueing dead-lettered jobs
+ * @module controllers/requeueJobController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const jobQueueManager = require('../utils/jobQueueManager');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for requeueing a job
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for requeueing a dead-lettered job.
+   * The job gets a fresh set of attempts and runs again from the parameters stored on its row.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { jobId } = req.params;
+
+    try {
+      const { data: job, error: jobError } = await withTimeout(
+        supabase
+          .from('jobs')
+          .select('job_id, type, status, campaign_id')
+          .eq('job_id', jobId)
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching job'
+      );
+
+      if (jobError) {
+        logger.error(`Failed to fetch job ${jobId}: ${jobError.message}`);
+        return res.status(500).json({ success: false, error: `Failed to fetch job: ${jobError.message}` });
+      }
+
+      if (!job) {
+        return res.status(404).json({ success: false, error: `Job ${jobId} not found` });
+      }
+
+      if (job.status !== 'dead_letter') {
+        return res.status(409).json({
+          success: false,
+          error: `Job ${jobId} is ${job.status}, only dead-lettered jobs can be requeued`
+        });
+      }
+
+      const outcome = await jobQueueManager.requeueJob(job.job_id);
+
+      if (!outcome) {
+        return res.status(409).json({
+          success: false,
+          error: `Job ${jobId} of type ${job.type} cannot be requeued`
+        });
+      }
+
+      logger.info(`Requeued job ${jobId} of type ${job.type} for campaign ${job.campaign_id}`);
+
+      return res.json({
+        success: true,
+        jobId: job.job_id,
+        status: outcome.status
+      });
+    } catch (error) {
+      logger.error(`Error requeueing job ${jobId}: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
@@ -0,0 +1,56 @@
+/**
+ * Controller for resuming paused automation, globally or for one campaign
+ * @module controllers/resumeAutomationController
+ */
+
+const createLogger = require('../utils/logger');
+const automationPause = require('../utils/automationPause');
+const jobQueueManager = require('../utils/jobQueueManager');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for resuming automation
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for POST /api/campaigns/:campaignId/resume and POST /api/automation/resume.
+   * Held jobs start again in their original queue order. Resuming globally leaves campaigns
+   * paused on their own paused, and a resumed campaign stays held while all automation is paused.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { campaignId } = req.params;
+
+    if (campaignId !== undefined && !Number.isInteger(Number(campaignId))) {
+      return res.status(400).json({ success: false, error: 'Invalid campaignId: must be an integer' });
+    }
+
+    try {
+      if (campaignId === undefined) {
+        await automationPause.resumeAll();
+      } else if (!(await automationPause.resumeCampaign(campaignId))) {
+        return res.status(404).json({ success: false, error: `Campaign ${campaignId} not found` });
+      }
+
+      const { held } = jobQueueManager.applyPauseState();
+      logger.info(`Resumed ${campaignId === undefined ? 'all automation' : `campaign ${campaignId}`}, ` +
+        `${held} queued job(s) still held`);
+
+      return res.json({
+        success: true,
+        ...(campaignId === undefined ? {} : { campaignId }),
+        paused: campaignId === undefined ? automationPause.isGloballyPaused() : automationPause.isPaused(campaignId),
+        heldJobs: held,
+        pausedCampaigns: automationPause.getState().pausedCampaigns
+      });
+    } catch (error) {
+      logger.error(`Error resuming automation: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
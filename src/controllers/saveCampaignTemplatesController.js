@@ -0,0 +1,92 @@
+/**
+ * Controller for saving a campaign's message templates
+ * @module controllers/saveCampaignTemplatesController
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const { validateMessageSequence } = require('../utils/messageSequence');
+const { validateCampaignTemplates } = require('../utils/messageTemplate');
+
+const logger = createLogger();
+
+// Campaign columns holding templates, all optional in a request
+const TEMPLATE_FIELDS = ['connection_messages', 'open_profile_messages'];
+
+/**
+ * Creates a controller function for saving campaign templates
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for PUT /api/campaigns/:campaignId/templates.
+   * Validates the follow-up sequence, connection request note and open profile messages before
+   * storing them, so a template with an unknown variable or broken syntax is rejected here
+   * instead of failing the job that would send it.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { campaignId } = req.params;
+
+    if (!Number.isInteger(Number(campaignId))) {
+      return res.status(400).json({ success: false, error: 'campaignId must be an integer' });
+    }
+
+    const update = {};
+    for (const field of TEMPLATE_FIELDS) {
+      if (req.body?.[field] !== undefined) {
+        update[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Request body must include ${TEMPLATE_FIELDS.join(' or ')}`
+      });
+    }
+
+    const errors = [
+      ...(update.connection_messages !== undefined ? validateMessageSequence(update.connection_messages) : []),
+      ...validateCampaignTemplates(update)
+    ];
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid templates: ${errors.join('; ')}`,
+        errors
+      });
+    }
+
+    try {
+      const { data: campaign, error: updateError } = await withTimeout(
+        supabase
+          .from('campaigns')
+          .update(update)
+          .eq('id', campaignId)
+          .select('id')
+          .maybeSingle(),
+        10000,
+        'Timeout while saving campaign templates'
+      );
+
+      if (updateError) {
+        throw new Error(`Failed to save templates: ${updateError.message}`);
+      }
+
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: `Campaign ${campaignId} not found` });
+      }
+
+      logger.info(`Saved ${Object.keys(update).join(' and ')} for campaign ${campaignId}`);
+      return res.json({ success: true, campaignId: campaign.id, saved: Object.keys(update) });
+    } catch (error) {
+      logger.error(`Error saving templates for campaign ${campaignId}: ${error.message}`);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+};
@@ -1,80 +1,40 @@
 const createLogger = require('../utils/logger');
 const logger = createLogger();
 const { withTimeout } = require('../utils/databaseUtils');
-const { hasDelayPassed } = require('../utils/dateUtils');
+const { readIdempotencyKey, sendExistingJob } = require('../utils/idempotency');
+const { startConnectionMessages } = require('../services/jobService');
 const messageConnectionModule = require('../modules/messageConnection');
 const { bot, sendJobStatusReport } = require('../telegramBot');
 const jobQueueManager = require('../utils/jobQueueManager');
 const { personalizeMessage } = require('../utils/messageUtils');
 const logActivity = require('../utils/activityLogger');
+const { buildProgress, describeLead, updateJobProgress } = require('../utils/jobProgress');
+const { hasReplied } = require('../utils/leadReplies');
 const ResistanceHandler = require('../utils/resistanceHandler');
-
-const MESSAGE_STAGES = {
-  FIRST_MESSAGE: {
-    stage: 1,
-    delay_days: 0,
-    maxPerDay: 100,
-    description: 'first message'
-  },
-  SECOND_MESSAGE: {
-    stage: 2,
-    delay_days: 3,
-    maxPerDay: 100,
-    description: 'second message'
-  },
-  THIRD_MESSAGE: {
-    stage: 3,
-    delay_days: 3,
-    maxPerDay: 100,
-    description: 'third message'
-  }
-};
-
-// Function to construct landing page URL in `{firstNameLastInitial}.{companySlug}` format
-const constructLandingPageURL = (lead) => {
-  if (!lead.first_name || !lead.last_name || !lead.company) {
-    console.warn('🚨 Missing lead details for landing page:', lead);
-    return `/landing-page/${encodeURIComponent(lead.id)}?linkedin=true`; // Fallback
-  }
-  const firstName = lead.first_name.toLowerCase();
-  const lastInitial = lead.last_name.charAt(0).toLowerCase();
-  const companySlug = lead.company.toLowerCase().replace(/[^a-z0-9]/g, '');
-  return `/${firstName}${lastInitial}.${companySlug}`;
-};
-
-// Function to construct the correct landing page URL with subdomain
-const constructURLWithSubdomain = (lead, client, queryParam = '') => {
-  const basePath = constructLandingPageURL(lead);
-  if (client?.subdomain && client.status === 'verified') {
-    return `https://${client.subdomain}${basePath}${queryParam}`;
-  }
-  return `https://default-landing-page.com${basePath}${queryParam}`;
-};
-
-/**
- * Constructs a Cost Per Demo landing page URL
- * @param {Object} lead - The lead object
- * @returns {string} - The CPD landing page URL
- */
-const constructCPDLandingPageURL = (lead) => {
-  if (!lead.first_name || !lead.last_name || !lead.company) {
-    console.warn('🚨 Missing lead details for CPD landing page:', lead);
-    return `https://costperdemo.com/landing-page/${encodeURIComponent(lead.id)}?linkedin=true`; // Fallback
-  }
-  const firstName = lead.first_name.toLowerCase();
-  const lastInitial = lead.last_name.charAt(0).toLowerCase();
-  const companySlug = lead.company.toLowerCase().replace(/[^a-z0-9]/g, '');
-  return `https://costperdemo.com/${firstName}${lastInitial}.${companySlug}`;
-};
+const { getMessageSequence, validateMessageSequence, getStage, getLeadsDueStage } = require('../utils/messageSequence');
+const { getSendingWindow } = require('../utils/sendingWindow');
+const { createHolidayCalendar } = require('../utils/holidayCalendar');
 
 // Random delay between min and max milliseconds
 const randomDelay = (min, max) =>
   new Promise((resolve) => setTimeout(resolve, Math.floor(Math.random() * (max - min + 1)) + min));
 
-// Process the job asynchronously
-const processJob = async (currentJobId, supabase) => {
+/**
+ * Process a queued connection message job
+ * @param {string} currentJobId - Job ID
+ * @param {Object} supabase - Supabase client
+ * @param {Object} [context] - Job queue context
+ * @param {AbortSignal} [context.signal] - Aborted when the job is cancelled or its campaign paused; checked before each lead
+ * @param {Function} [context.registerBrowser] - Hands the browser to the job queue watchdog
+ * @param {Object} [payload] - Job payload with messageStage and leadIds
+ */
+const processJob = async (currentJobId, supabase, { signal, registerBrowser } = {}, payload = {}) => {
   const startTime = new Date().toISOString();
+  const resistanceHandler = new ResistanceHandler(supabase);
   let messageSender = null;
+  let campaignId = null;
+  let campaignName = null;
+  let messageStage = null;
 
   try {
     // Get job details
@@ -93,9 +53,10 @@ const processJob = async (currentJobId, supabase) => {
       return;
     }
 
-    const campaignId = parseInt(jobData.campaign_id);
-    const messageStage = jobData.result?.message_stage;
-    const delayDays = jobData.result?.delay_days;
+    campaignId = parseInt(jobData.campaign_id);
+    // Jobs queued before the inputs were kept in the payload only have them in the result
+    messageStage = payload.messageStage ?? jobData.result?.message_stage;
+    const leadIds = payload.leadIds ?? jobData.result?.lead_ids ?? [];
     const totalMessages = jobData.max_profiles;
     const batchSize = jobData.batch_size;
     
@@ -128,7 +89,7 @@ const processJob = async (currentJobId, supabase) => {
     const { data: campaignData, error: campaignError } = await withTimeout(
       supabase
         .from('campaigns')
-        .select('name, connection_messages, client_id, cookies')
+        .select('name, connection_messages, client_id, cookies, timezone, sending_timezone, sending_start_hour, sending_end_hour, sending_days, holiday_calendar')
         .eq('id', campaignId)
         .single(),
       10000,
@@ -153,14 +114,36 @@ const processJob = async (currentJobId, supabase) => {
       );
       return;
     }
+    campaignName = campaignData.name;
 
-    campaign = campaignData;  // Store campaign data in outer scope
+    // Validate the campaign's message sequence
+    const sequenceErrors = validateMessageSequence(campaignData.connection_messages);
+    if (sequenceErrors.length > 0) {
+      const msg = `Invalid message sequence for campaign ${campaignId}: ${sequenceErrors.join('; ')}`;
+      logger.error(msg);
+      await withTimeout(
+        supabase
+          .from('jobs')
+          .update({
+            status: 'failed',
+            error: msg,
+            error_category: 'invalid_stage_sequence',
+            updated_at: new Date().toISOString(),
+          })
+          .eq('job_id', currentJobId),
+        10000,
+        'Timeout while updating job status'
+      );
+      return;
+    }
 
     // Validate message stage
-    const messages = campaignData.connection_messages?.messages || [];
-    const messageTemplate = messages.find((msg) => msg.stage === messageStage);
-    if (!messageTemplate) {
-      const msg = `Message stage ${messageStage} not found in connection_messages for campaign ${campaignId}`;
+    const sequence = getMessageSequence(campaignData.connection_messages);
+    const messageTemplate = getStage(sequence, messageStage);
+    if (!messageTemplate?.active) {
+      const msg = messageTemplate
+        ? `Message stage ${messageStage} is inactive for campaign ${campaignId}`
+        : `Message stage ${messageStage} not found in connection_messages for campaign ${campaignId}`;
       logger.error(msg);
       await withTimeout(
         supabase
@@ -178,36 +161,11 @@ const processJob = async (currentJobId, supabase) => {
       return;
     }
 
-    // Validate message stage sequence
-    const availableStages = messages.map(m => m.stage).sort((a, b) => a - b);
-    if (messageStage > 1) {
-      const previousStageExists = availableStages.includes(messageStage - 1);
-      if (!previousStageExists) {
-        const msg = `Cannot process stage ${messageStage} - previous stage ${messageStage - 1} not found in campaign configuration`;
-        logger.error(msg);
-        await withTimeout(
-          supabase
-            .from('jobs')
-            .update({
-              status: 'failed',
-              error: msg,
-              error_category: 'invalid_stage_sequence',
-              updated_at: new Date().toISOString(),
-            })
-            .eq('job_id', currentJobId),
-          10000,
-          'Timeout while updating job status'
-        );
-        return;
-      }
-      logger.info(`Validated stage sequence: stage ${messageStage - 1} exists for current stage ${messageStage}`);
-    }
-
     // Fetch client data for landing page URLs
     const { data: clientData, error: clientError } = await withTimeout(
       supabase
         .from('clients')
-        .select('subdomain, status')
+        .select('subdomain, status, blackout_dates')
         .eq('id', campaignData.client_id)
         .single(),
       10000,
@@ -233,15 +191,20 @@ const processJob = async (currentJobId, supabase) => {
       return;
     }
 
-    // Get leads to process using campaign's client_id
+    // Get leads to process using campaign's client_id, restricted to the requested leads if any
+    let leadsQuery = supabase
+      .from('leads')
+      .select('id, first_name, last_name, company, linkedin, position, client_id, message_stage, last_contacted, personalization')
+      .eq('client_id', campaignData.client_id)
+      .eq('connection_level', '1st')
+      .eq('status', 'not_replied');
+
+    if (leadIds.length > 0) {
+      leadsQuery = leadsQuery.in('id', leadIds);
+    }
+
     const { data: leads, error: leadsError } = await withTimeout(
-      supabase
-        .from('leads')
-        .select('id, first_name, last_name, company, linkedin, position, client_id, message_stage, last_contacted, personalization')
-        .eq('client_id', campaignData.client_id)
-        .eq('connection_level', '1st')
-        .eq('status', 'not_replied')
-        .in('id', jobData.leadIds),
+      leadsQuery,
       10000,
       'Timeout while fetching leads'
     );
@@ -283,21 +246,20 @@ const processJob = async (currentJobId, supabase) => {
     }
 
     // Filter eligible leads based on stage and delay
-    const eligibleLeads = leads.filter(lead => {
-      if (messageStage === 1) {
-        return lead.message_stage === null;
-      } else {
-        return (
-          lead.message_stage === messageStage - 1 &&
-          hasDelayPassed(lead.last_contacted, MESSAGE_STAGES[`STAGE_${messageStage}`]?.delay_days || 0)
-        );
-      }
+    // Working-day delays skip the campaign's holidays and the client's blackout dates
+    const sendingWindow = getSendingWindow(campaignData);
+    const calendar = sendingWindow && createHolidayCalendar({
+      region: campaignData.holiday_calendar,
+      blackoutDates: clientData?.blackout_dates,
+      timeZone: sendingWindow.timeZone
     });
 
+    // Leads are due this stage when it is the next active one in their sequence
+    const eligibleLeads = getLeadsDueStage(leads, sequence, messageTemplate, calendar)
+      .slice(0, totalMessages || undefined);
+
     logger.info(`Found ${leads.length} total leads, ${eligibleLeads.length} ready for messaging after delay check`);
-    if (messageStage > 1) {
-      logger.info(`Filtered out ${leads.length - eligibleLeads.length} leads that haven't met the ${delayDays}-working-day delay requirement`);
-    }
+    logger.info(`Filtered out ${leads.length - eligibleLeads.length} leads that are at another stage or haven't met the ${messageTemplate.delayDays}-working-day delay requirement`);
 
     if (eligibleLeads.length === 0) {
       logger.info(`No leads ready to message for campaign ${campaignId}, stage ${messageStage} (delay not passed)`);
@@ -322,35 +284,89 @@ const processJob = async (currentJobId, supabase) => {
     // Initialize the message sender
     messageSender = messageConnectionModule();
     await messageSender.initializeBrowser(campaignData.cookies);
+    registerBrowser?.(messageSender.getBrowser());
 
     const totalLeads = eligibleLeads.length;
     let processedLeads = 0;
     let messagesSent = 0;
+    let skippedResponded = 0;
     const failedMessages = [];
     let consecutiveFailures = 0;
 
+    // Counts recorded in jobs.result.progress
+    const progressCounts = (currentLead = null) => ({
+      total: totalLeads,
+      processed: processedLeads,
+      succeeded: messagesSent,
+      failed: failedMessages.length,
+      currentLead,
+    });
+
     // Process leads in batches
     for (let i = 0; i < eligibleLeads.length; i += batchSize) {
+      // Delay between batches
+      if (i > 0) {
+        logger.info(`Waiting 5-10 seconds before the next batch...`);
+        await randomDelay(5000, 10000);
+      }
+
       const batch = eligibleLeads.slice(i, i + batchSize);
       logger.info(`Processing batch ${Math.floor(i / batchSize) + 1} (${batch.length} leads)`);
 
       for (const lead of batch) {
+        // Small delay between messages within a batch, also after a lead that was skipped or failed
+        if (lead !== batch[0]) {
+          logger.info(`Waiting 1-2 seconds before the next message...`);
+          await randomDelay(1000, 2000);
+        }
+
+        // Stop cleanly between leads once the job has been cancelled or paused
+        if (signal?.aborted) {
+          logger.warn(`Job ${currentJobId} cancelled after ${processedLeads} of ${totalLeads} leads`);
+          await withTimeout(
+            supabase
+              .from('jobs')
+              .update({
+                status: 'cancelled',
+                progress: processedLeads / totalLeads,
+                // Keep the job's inputs, a paused job runs again from this row once resumed
+                result: {
+                  ...jobData.result,
+                  message: 'Job cancelled',
+                  message_stage: messageStage,
+                  totalProcessed: processedLeads,
+                  successfulMessages: messagesSent,
+                  failedMessages: failedMessages.length,
+                  progress: buildProgress(progressCounts())
+                },
+                updated_at: new Date().toISOString(),
+              })
+              .eq('job_id', currentJobId),
+            10000,
+            'Timeout while updating job status'
+          );
+          await logActivity(supabase, campaignId, 'message_sent', 'success', {
+            total: processedLeads,
+            successful: messagesSent,
+            failed: failedMessages.length
+          }, null, { startTime, messageStage, cancelled: true });
+          return {
+            success: true,
+            cancelled: true,
+            messagesSent,
+            failedMessages
+          };
+        }
+
         logger.info(`Sending message to ${lead.first_name} at ${lead.company}`);
+        // Keep the job's inputs (stage, lead ids) so a recovered job can still read them
+        await updateJobProgress(supabase, currentJobId, progressCounts(describeLead(lead)), jobData.result);
         processedLeads++;
 
-        // Construct landing page URLs
-        const landingPageURL = constructURLWithSubdomain(lead, clientData);
-        const cpdLandingPageURL = constructCPDLandingPageURL(lead);
-        
         // Personalize the message with validation
         let personalizedMessage;
         try {
-          personalizedMessage = personalizeMessage(
-            messageTemplate.content,
-            lead,
-            landingPageURL,
-            cpdLandingPageURL
-          );
+          personalizedMessage = personalizeMessage(messageTemplate.content, lead, clientData);
           
           // Validate the personalized message
           if (typeof personalizedMessage !== 'string' || personalizedMessage.trim() === '') {
@@ -369,6 +385,13 @@ const processJob = async (currentJobId, supabase) => {
           continue; // Skip this lead
         }
 
+        // The lead may have replied since the job started, e.g. picked up by a reply sync
+        if (await hasReplied(supabase, lead.id)) {
+          logger.info(`Lead ${lead.id} has replied, skipping the stage ${messageStage} message`);
+          skippedResponded++;
+          continue;
+        }
+
         try {
           const result = await messageSender.sendMessage({
             leadUrl: lead.linkedin,
@@ -399,8 +422,8 @@ const processJob = async (currentJobId, supabase) => {
             }
 
             // Ensure lead stage hasn't changed during processing
-            if (messageStage > 1 && currentLead.message_stage !== messageStage - 1) {
-              logger.warn(`Lead ${lead.id} stage changed during processing from ${messageStage - 1} to ${currentLead.message_stage}, skipping update`);
+            if (currentLead.message_stage !== lead.message_stage) {
+              logger.warn(`Lead ${lead.id} stage changed during processing from ${lead.message_stage} to ${currentLead.message_stage}, skipping update`);
               continue;
             }
 
@@ -447,6 +470,9 @@ const processJob = async (currentJobId, supabase) => {
             const msg = `Job stopped due to 3 consecutive failures. Last error: ${error.message}`;
             logger.error(msg);
 
+            // Check for resistance
+            await resistanceHandler.handleResistance(campaignId, error.message);
+
             // Send Telegram notification
             await bot.sendMessage(
               process.env.TELEGRAM_NOTIFICATION_CHAT_ID,
@@ -466,7 +492,12 @@ const processJob = async (currentJobId, supabase) => {
               10000,
               'Timeout while updating job status'
             );
-            break; // Exit the loop
+            return {
+              success: false,
+              error: msg,
+              messagesSent,
+              failedMessages
+            };
           }
         }
       }
@@ -485,7 +516,8 @@ const processJob = async (currentJobId, supabase) => {
             totalProcessed: processedLeads,
             successfulMessages: messagesSent,
             failedMessages: failedMessages.length,
-            skippedResponded: totalLeads - processedLeads
+            skippedResponded,
+            progress: buildProgress(progressCounts())
           },
           updated_at: new Date().toISOString(),
         })
@@ -494,22 +526,28 @@ const processJob = async (currentJobId, supabase) => {
       'Timeout while updating job status'
     );
 
-    // Send notification to Telegram
-    try {
-      const failedMessagesText = failedMessages.length > 0 
-        ? failedMessages.map(f => `\n  • ${f.leadId}: ${f.error}`).join('') 
-        : '';
-
-      const successMessage = `✅ Connection messages sent for campaign ${campaignId}:\n` +
-        `- Leads processed: ${processedLeads}\n` +
-        `- Messages sent: ${messagesSent}\n` +
-        `- Failed messages: ${failedMessages.length}${failedMessagesText}`;
-      
-      await bot.sendMessage(process.env.TELEGRAM_NOTIFICATION_CHAT_ID, successMessage);
-      logger.info('Sent completion notification to Telegram');
-    } catch (telegramError) {
-      logger.error(`Failed to send Telegram notification: ${telegramError.message}`);
-    }
+    // Send success report
+    const failedMessagesText = failedMessages.length > 0
+      ? failedMessages.map(f => `\n  • ${f.leadId}: ${f.error}`).join('')
+      : '';
+
+    await sendJobStatusReport(
+      currentJobId,
+      'message',
+      'completed',
+      {
+        campaignId,
+        campaignName,
+        message: `Message stage ${messageStage} completed:\n` +
+          `✅ Total Processed: ${processedLeads}\n` +
+          `📤 Successful: ${messagesSent}\n` +
+          `💬 Skipped (replied): ${skippedResponded}\n` +
+          `❌ Failed: ${failedMessages.length}${failedMessagesText}`,
+        savedCount: messagesSent,
+        totalProcessed: processedLeads,
+        failedCount: failedMessages.length
+      }
+    );
 
     // After sending messages, update the activity log with results
     await logActivity(supabase, campaignId, 'message_sent', 'success', {
@@ -519,8 +557,7 @@ const processJob = async (currentJobId, supabase) => {
     }, null, {
       startTime,
       messageStage,
-      remainingDaily: result.remainingDaily,
-      skippedResponded: totalLeads - processedLeads,
+      skippedResponded,
       performance: {
         avgTimePerLead: processedLeads ? 
           (new Date().getTime() - new Date(startTime).getTime()) / processedLeads : null
@@ -537,18 +574,36 @@ const processJob = async (currentJobId, supabase) => {
     logger.error(`Error processing message sending job ${currentJobId}: ${error.message}`);
     
     // Log failed activity
-    await logActivity(supabase, campaignId, 'message_sent', 'failed', 
-      { total: 0, successful: 0, failed: 0 }, 
-      error.message,
-      { startTime, messageStage, jobId: currentJobId }
+    if (campaignId) {
+      // Check for resistance
+      await resistanceHandler.handleResistance(campaignId, error.message);
+
+      await logActivity(supabase, campaignId, 'message_sent', 'failed', 
+        { total: 0, successful: 0, failed: 0 }, 
+        error.message,
+        { startTime, messageStage, jobId: currentJobId }
+      );
+    }
+
+    // Send error report
+    await sendJobStatusReport(
+      currentJobId,
+      'message',
+      'failed',
+      {
+        campaignId,
+        campaignName: campaignName || 'Unknown Campaign',
+        message: `❌ Message stage ${messageStage} failed:\n${error.message}`,
+        error: error.message
+      }
     );
 
     throw error;
   } finally {
     // Ensure browser is properly closed
-    if (messageSender?.browser) {
+    if (messageSender) {
       try {
-        await messageSender.browser.close();
+        await messageSender.closeBrowser();
       } catch (closeError) {
         logger.warn(`Error closing browser: ${closeError.message}`);
       }
@@ -619,186 +674,43 @@ const handleError = async (err, jobId, supabase) => {
   };
 };
 
+/**
+ * Creates a controller function for sending messages to 1st-degree connections
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
 const sendConnectionMessagesController = (supabase) => {
-  const resistanceHandler = new ResistanceHandler(supabase);
+  // Jobs from the job service, and ones recovered after a restart, are run by their job ID
+  jobQueueManager.registerHandler('send_connection_messages', (payload, context) => processJob(context.jobId, supabase, context, payload));
 
   return async (req, res) => {
-    let campaign = null;
-    let campaignData = null;
-    
     try {
-      const { campaignId, messageStage, batchSize = 5, leadIds = [] } = req.body;
+      const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
 
-      if (!campaignId || !messageStage) {
+      if (idempotencyError) {
         return res.status(400).json({
           success: false,
-          error: 'campaignId and messageStage are required'
+          error: idempotencyError
         });
       }
 
-      // Create job object
-      const job = {
-        id: `message_${Date.now()}`,
-        type: 'message',
-        campaignId,
-        messageStage,
-        batchSize,
-        leadIds,
-        supabase
-      };
+      const { job, replayed } = await startConnectionMessages(supabase, req.body || {}, { idempotencyKey });
+
+      if (replayed) {
+        return sendExistingJob(res, idempotencyKey, job, 'send_connection_messages', {
+          message: 'Message sending job accepted'
+        });
+      }
 
-      // Send immediate response
       res.json({
         success: true,
         message: 'Message sending job accepted',
-        jobId: job.id
+        jobId: job.job_id
       });
-
-      // Add the job to the queue
-      await jobQueueManager.addJob(async () => {
-        try {
-          // Get campaign data
-          const { data, error: campaignError } = await withTimeout(
-            supabase
-              .from('campaigns')
-              .select('name, connection_messages, client_id, cookies')
-              .eq('id', campaignId)
-              .single(),
-            10000,
-            'Timeout while fetching campaign data'
-          );
-
-          if (campaignError || !data) {
-            throw new Error(`Failed to fetch campaign: ${campaignError?.message || 'Campaign not found'}`);
-          }
-
-          campaignData = data;  // Store campaign data
-          campaign = data;      // Store for outer scope
-
-          // Get leads to process using campaign's client_id
-          const { data: leads, error: leadsError } = await withTimeout(
-            supabase
-              .from('leads')
-              .select('id, first_name, last_name, company, linkedin, position, client_id, message_stage, last_contacted, personalization')
-              .eq('client_id', campaignData.client_id)
-              .eq('connection_level', '1st')
-              .eq('status', 'not_replied')
-              .in('id', leadIds),
-            10000,
-            'Timeout while fetching leads'
-          );
-
-          if (leadsError) {
-            throw new Error(`Failed to fetch leads: ${leadsError.message}`);
-          }
-
-          // Filter eligible leads based on stage and delay
-          const eligibleLeads = leads.filter(lead => {
-            if (messageStage === 1) {
-              return lead.message_stage === null;
-            } else {
-              return (
-                lead.message_stage === messageStage - 1 &&
-                hasDelayPassed(lead.last_contacted, MESSAGE_STAGES[`STAGE_${messageStage}`]?.delay_days || 0)
-              );
-            }
-          });
-
-          if (eligibleLeads.length === 0) {
-            logger.info(`No eligible leads found for campaign ${campaignId} stage ${messageStage}`);
-            return { success: true };
-          }
-
-          let successfulMessages = 0;
-          let failedMessages = 0;
-
-          // Process each lead
-          for (const lead of eligibleLeads.slice(0, batchSize)) {
-            try {
-              // Send message logic here
-              await supabase
-                .from('leads')
-                .update({
-                  message_stage: messageStage,
-                  last_contacted: new Date().toISOString()
-                })
-                .eq('id', lead.id);
-
-              successfulMessages++;
-            } catch (error) {
-              logger.error(`Failed to process lead ${lead.id}: ${error.message}`);
-              failedMessages++;
-            }
-          }
-
-          // Log success
-          await logActivity(supabase, campaignId, 'message_sent', 'success', {
-            total: eligibleLeads.length,
-            successful: successfulMessages,
-            failed: failedMessages
-          }, null, {
-            messageStage,
-            batchSize
-          });
-
-          // Send success report
-          await sendJobStatusReport(
-            job.id,
-            'message',
-            'completed',
-            {
-              campaignId,
-              campaignName: campaign.name,
-              message: `Message stage ${messageStage} completed:\n` +
-                `✅ Total Processed: ${eligibleLeads.length}\n` +
-                `📤 Successful: ${successfulMessages}\n` +
-                `❌ Failed: ${failedMessages}`,
-              savedCount: successfulMessages,
-              totalProcessed: eligibleLeads.length,
-              failedCount: failedMessages
-            }
-          );
-
-          return {
-            success: true,
-            totalProcessed: eligibleLeads.length,
-            successful: successfulMessages,
-            failed: failedMessages
-          };
-
-        } catch (error) {
-          logger.error(`Error in message controller: ${error.message}`);
-          
-          // Log failure with campaign info if available
-          await logActivity(supabase, campaignId, 'message_sent', 'failed', {
-            total: 0,
-            successful: 0,
-            failed: 0
-          }, error.message, {
-            messageStage,
-            campaignName: campaign?.name || 'Unknown Campaign'
-          });
-
-          // Send error report with safe campaign name access
-          await sendJobStatusReport(
-            job?.id || `message_${Date.now()}`,
-            'message',
-            'failed',
-            {
-              campaignId,
-              campaignName: campaign?.name || 'Unknown Campaign',
-              message: `❌ Message stage ${messageStage} failed:\n${error.message}`,
-              error: error.message
-            }
-          );
-          
-          throw error;
-        }
-      }, job);
     } catch (error) {
       logger.error(`Error in message controller: ${error.message}`);
       if (!res.headersSent) {
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
           success: false,
           error: error.message
         });
@@ -2,12 +2,16 @@ const createLogger = require('../utils/logger');
 const zoomHandler = require('../modules/zoomHandler');
 const sendConnectionRequestModule = require('../modules/sendConnectionRequest');
 const { withTimeout, getScrapedProfiles, updateScrapedProfile } = require('../utils/databaseUtils');
+const { readIdempotencyKey, sendExistingJob } = require('../utils/idempotency');
+const { startConnectionRequests } = require('../services/jobService');
 const jobQueueManager = require('../utils/jobQueueManager');
 const puppeteer = require('puppeteer');
 const { bot, sendJobStatusReport } = require('../telegramBot');
-const { personalizeMessage } = require('../utils/messageUtils');
+const { personalizeConnectionNote } = require('../utils/messageUtils');
 const ResistanceHandler = require('../utils/resistanceHandler');
 const logActivity = require('../utils/activityLogger');
+const { buildProgress, describeLead, updateJobProgress } = require('../utils/jobProgress');
+const { getLimitKey, getCampaignAllowance, recordInvitation } = require('../utils/accountLimits');
 
 const logger = createLogger();
 
@@ -81,6 +85,401 @@ async function updateDailyConnectionCount(supabase, campaignId, connectionsToAdd
 const sendConnectionRequestsController = (supabase) => {
   const resistanceHandler = new ResistanceHandler(supabase);
 
+  /**
+   * Run a queued connection request job
+   * @param {Object} job - Job parameters built by the route handler or recovered from jobs.payload
+   * @param {string} jobId - ID of the job's row in the jobs table
+   * @param {Object} [context] - Job queue context
+   * @param {AbortSignal} [context.signal] - Aborted when the job is cancelled or its campaign paused; checked before each profile
+   * @param {Function} [context.registerBrowser] - Hands the browser to the job queue watchdog
+   * @returns {Promise<Object>}
+   */
+  const runJob = async (job, jobId, { signal, registerBrowser } = {}) => {
+    const {
+      campaignId,
+      maxProfiles,
+      batchSize,
+      delayBetweenBatches,
+      delayBetweenProfiles,
+      sendMessage,
+      maxRetries
+    } = job;
+
+    let browser = null;
+    let page = null;
+    let campaignData = null;
+
+    // Initialize counters
+    let processedCount = 0;
+    let sentCount = 0;
+    let pendingCount = 0;
+    let connectedCount = 0;
+    let failedCount = 0;
+    let totalProfiles = 0;
+    let cancelled = false;
+    let capReached = null; // Account cap or campaign share that stopped the job early
+
+    // Counts recorded in jobs.result.progress
+    const progressCounts = (currentLead = null) => ({
+      total: totalProfiles,
+      processed: processedCount,
+      succeeded: processedCount - failedCount,
+      failed: failedCount,
+      currentLead,
+    });
+
+    try {
+      // Fetch campaign data first
+      const { data, error: campaignError } = await withTimeout(
+        supabase
+          .from('campaigns')
+          .select('name, cookies, linkedin_account_id, invitation_weight, connection_messages, client_id')
+          .eq('id', campaignId)
+          .single(),
+        10000,
+        'Timeout while fetching campaign data'
+      );
+
+      if (campaignError || !data?.cookies) {
+        throw new Error(`Failed to load campaign data: ${campaignError?.message || 'No cookies found'}`);
+      }
+
+      campaignData = data;
+      const accountKey = getLimitKey(campaignData);
+
+      // The client's landing page domain, for notes that link to it
+      let clientData = null;
+      if (sendMessage && campaignData.client_id) {
+        const { data: client, error: clientError } = await withTimeout(
+          supabase
+            .from('clients')
+            .select('subdomain, status')
+            .eq('id', campaignData.client_id)
+            .single(),
+          10000,
+          'Timeout while fetching client data'
+        );
+
+        if (clientError) {
+          throw new Error(`Failed to fetch client data for client ${campaignData.client_id}: ${clientError.message}`);
+        }
+        clientData = client;
+      }
+
+      // Initialize browser
+      browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      });
+      registerBrowser?.(browser);
+
+      page = await browser.newPage();
+      await page.setViewport({ width: 1280, height: 800 });
+      await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
+
+      // Set LinkedIn cookies
+      await page.setCookie(
+        { name: 'li_at', value: campaignData.cookies.li_at, domain: '.linkedin.com', path: '/' },
+        { name: 'li_a', value: campaignData.cookies.li_a, domain: '.linkedin.com', path: '/' }
+      );
+
+      // Get profiles to process
+      const profiles = await getScrapedProfiles(supabase, campaignId, maxProfiles);
+
+      if (!profiles || profiles.length === 0) {
+        logger.info('No profiles to process');
+        return;
+      }
+
+      // Initialize the connection request module
+      const { sendRequest } = sendConnectionRequestModule(page);
+
+      // Process profiles in batches
+      totalProfiles = profiles.length;
+
+      for (let i = 0; i < totalProfiles; i += batchSize) {
+        const batch = profiles.slice(i, i + batchSize);
+
+        // Process each profile in the batch
+        for (const profile of batch) {
+          // Stop cleanly between profiles once the job has been cancelled or paused
+          if (signal?.aborted) {
+            logger.warn(`Job ${jobId} cancelled after ${processedCount} of ${totalProfiles} profiles`);
+            cancelled = true;
+            break;
+          }
+
+          // Other campaigns on the same account may have used up its invitations since the job was queued,
+          // and the job itself mustn't go past the campaign's share of them
+          const account = await getCampaignAllowance(supabase, { ...campaignData, id: campaignId });
+          if (account && account.allowance <= 0) {
+            capReached = account.capReached || 'account_share_used';
+            logger.warn(`Job ${jobId} stopped after ${processedCount} of ${totalProfiles} profiles: ${capReached} ` +
+              `(account sent ${account.sentToday} today and ${account.sentThisWeek} this week, campaign share ${account.share})`);
+            break;
+          }
+
+          await updateJobProgress(supabase, jobId, progressCounts(describeLead(profile)));
+
+          try {
+            // Validate profile URL
+            if (!profile.linkedin) {
+              logger.error(`Profile ${profile.id} has no LinkedIn URL`);
+              failedCount++;
+              processedCount++;
+              continue;
+            }
+
+            // Check if we've already tried this profile too many times
+            const { data: attempts } = await supabase
+              .from('connection_request_attempts')
+              .select('attempts')
+              .eq('profile_id', profile.id)
+              .single();
+
+            if (attempts && attempts.attempts >= maxRetries) {
+              logger.warn(`Profile ${profile.id} has reached maximum retry attempts`);
+              failedCount++;
+              processedCount++;
+              continue;
+            }
+
+            // Personalize the message if needed
+            const personalizedMessage = sendMessage
+              ? personalizeConnectionNote(campaignData?.connection_messages, profile, clientData)
+              : null;
+
+            // Send the connection request
+            const result = await sendRequest(profile.linkedin, personalizedMessage);
+
+            // Update profile status based on result
+            if (result.success) {
+              // Any successful request should be marked as pending
+              const status = result.status === 'connected' ? 'connected' : 'pending';
+
+              // Update profile status
+              await supabase
+                .from('scraped_profiles')
+                .update({
+                  connection_status: status,
+                  last_connection_attempt: new Date().toISOString(),
+                  connection_error: null
+                })
+                .eq('id', profile.id);
+
+              // Track the attempt
+              await supabase
+                .from('connection_request_attempts')
+                .upsert({
+                  profile_id: profile.id,
+                  campaign_id: campaignId,
+                  attempts: (attempts?.attempts || 0) + 1,
+                  last_attempt: new Date().toISOString(),
+                  status: status,
+                  error: null
+                });
+
+              // Update counters
+              if (status === 'pending') {
+                sentCount++;
+                // The request has gone out, so a failure to count it mustn't fail the profile
+                await recordInvitation(supabase, { accountKey, campaignId, profileId: profile.id })
+                  .catch((error) => logger.error(`Failed to count invitation to profile ${profile.id}: ${error.message}`));
+              } else if (status === 'connected') {
+                connectedCount++;
+              }
+
+              processedCount++;
+            } else {
+              // Handle failed requests
+              await supabase
+                .from('scraped_profiles')
+                .update({
+                  connection_status: 'failed',
+                  last_connection_attempt: new Date().toISOString(),
+                  connection_error: result.error
+                })
+                .eq('id', profile.id);
+
+              // Track the failed attempt
+              await supabase
+                .from('connection_request_attempts')
+                .upsert({
+                  profile_id: profile.id,
+                  campaign_id: campaignId,
+                  attempts: (attempts?.attempts || 0) + 1,
+                  last_attempt: new Date().toISOString(),
+                  status: 'failed',
+                  error: result.error
+                });
+
+              failedCount++;
+              processedCount++;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, delayBetweenProfiles));
+          } catch (error) {
+            logger.error(`Error processing profile ${profile.id}: ${error.message}`);
+            failedCount++;
+            processedCount++;
+
+            // Track the error
+            await supabase
+              .from('connection_request_attempts')
+              .upsert({
+                profile_id: profile.id,
+                campaign_id: campaignId,
+                attempts: (attempts?.attempts || 0) + 1,
+                last_attempt: new Date().toISOString(),
+                status: 'error',
+                error: error.message
+              });
+          }
+        }
+
+        if (cancelled || capReached) break;
+
+        // Wait between batches
+        if (i + batchSize < totalProfiles) {
+          await new Promise(resolve => setTimeout(resolve, delayBetweenBatches));
+        }
+      }
+
+      // Requests already sent still count towards the daily limit
+      if (cancelled) {
+        await withTimeout(
+          supabase
+            .from('jobs')
+            .update({
+              status: 'cancelled',
+              progress: processedCount / totalProfiles,
+              result: {
+                totalProcessed: processedCount,
+                sentCount,
+                connectedCount,
+                failedCount,
+                progress: buildProgress(progressCounts())
+              },
+              updated_at: new Date().toISOString(),
+            })
+            .eq('job_id', jobId),
+          10000,
+          'Timeout while updating job status'
+        );
+        await logActivity(supabase, campaignId, 'connection_request', 'success', {
+          total: processedCount,
+          successful: sentCount,
+          failed: failedCount
+        }, null, {
+          batchSize,
+          maxProfiles,
+          connectedCount,
+          cancelled: true
+        });
+        await updateDailyConnectionCount(supabase, campaignId, sentCount);
+        return { success: true, cancelled: true };
+      }
+
+      // Send job completion report
+      const message = `Connection requests completed for campaign ${campaignId}:\n` +
+        `✅ Total Processed: ${processedCount}\n` +
+        `📤 New Sent: ${sentCount}\n` +
+        `✅ Already Connected: ${connectedCount}\n` +
+        `❌ Failed: ${failedCount}` +
+        (capReached ? `\n⏸️ Stopped early: ${capReached.replace(/_/g, ' ')}` : '');
+
+      await updateJobProgress(supabase, jobId, progressCounts(), {
+        totalProcessed: processedCount,
+        sentCount,
+        connectedCount,
+        failedCount,
+        capReached
+      });
+
+      await sendJobStatusReport(
+        jobId,
+        'connect',
+        'completed',
+        {
+          campaignId,
+          campaignName: campaignData.name,
+          message,
+          savedCount: sentCount,
+          totalScraped: processedCount,
+          totalValid: processedCount - failedCount
+        }
+      );
+
+      logger.success(`Connection requests sending completed for job ${jobId}.`);
+
+      // After processing connections, update the activity log with results
+      await logActivity(supabase, campaignId, 'connection_request', 'success', {
+        total: processedCount,
+        successful: sentCount,
+        failed: failedCount
+      }, null, {
+        batchSize,
+        maxProfiles,
+        connectedCount,
+        capReached
+      });
+
+      // Update daily connection tracking
+      await updateDailyConnectionCount(supabase, campaignId, sentCount);
+
+      return { success: true };
+    } catch (error) {
+      // Check for resistance
+      await resistanceHandler.handleResistance(campaignId, error.message);
+
+      logger.error(`Error processing connection requests job ${jobId}: ${error.message}`);
+
+      // Log failed activity
+      await logActivity(supabase, campaignId, 'connection_request', 'failed', 
+        { total: processedCount, successful: sentCount, failed: failedCount },
+        error.message,
+        { jobId }
+      );
+
+      // Send error notification
+      await sendJobStatusReport(
+        jobId,
+        'connect',
+        'failed',
+        {
+          campaignId,
+          campaignName: campaignData?.name || 'Unknown Campaign',
+          message: `❌ Connection requests failed for campaign ${campaignId}:\n${error.message}`,
+          savedCount: sentCount,
+          totalScraped: processedCount,
+          totalValid: processedCount - failedCount,
+          error: error.message
+        }
+      );
+
+      throw error;
+    } finally {
+      // Safely close browser and page instances
+      if (page) {
+        try {
+          await page.close();
+        } catch (e) {
+          logger.error(`Error closing page: ${e.message}`);
+        }
+      }
+      if (browser) {
+        try {
+          await browser.close();
+        } catch (e) {
+          logger.error(`Error closing browser: ${e.message}`);
+        }
+      }
+    }
+  };
+
+  // Jobs from the job service, and ones recovered after a restart, are run from their stored payload
+  jobQueueManager.registerHandler('connect', (payload, context) => runJob(payload, context.jobId, context));
+
   return async (req, res) => {
     try {
       // Validate request body
@@ -91,335 +490,35 @@ const sendConnectionRequestsController = (supabase) => {
         });
       }
 
-      const { 
-        campaignId, 
-        maxProfiles = 20, 
-        batchSize = 5, 
-        delayBetweenBatches = 5000, 
-        delayBetweenProfiles = 5000, 
-        sendMessage = true,
-        maxRetries = 3
-      } = req.body;
-
-      // Validate required fields
-      if (!campaignId) {
+      const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
+
+      if (idempotencyError) {
         return res.status(400).json({
           success: false,
-          error: 'campaignId is required'
+          error: idempotencyError
         });
       }
 
-      // Create job object with all necessary data
-      const job = {
-        id: `connect_${Date.now()}`,
-        type: 'connect',
-        campaignId,
-        maxProfiles,
-        batchSize,
-        delayBetweenBatches,
-        delayBetweenProfiles,
-        sendMessage,
-        maxRetries,
-        supabase
-      };
+      const { job, replayed } = await startConnectionRequests(supabase, req.body, { idempotencyKey });
+
+      if (replayed) {
+        return sendExistingJob(res, idempotencyKey, job, 'connect', {
+          message: 'Connection requests job accepted'
+        });
+      }
 
-      // Send immediate response
       res.json({
         success: true,
         message: 'Connection requests job accepted',
-        jobId: job.id
+        jobId: job.job_id
       });
 
-      // Add the job to the queue after sending response
-      await jobQueueManager.addJob(async () => {
-        let browser = null;
-        let page = null;
-        let campaignData = null;
-        
-        // Initialize counters
-        let processedCount = 0;
-        let sentCount = 0;
-        let pendingCount = 0;
-        let connectedCount = 0;
-        let failedCount = 0;
-        
-        try {
-          // Fetch campaign data first
-          const { data, error: campaignError } = await withTimeout(
-            supabase
-              .from('campaigns')
-              .select('name, cookies, connection_messages')
-              .eq('id', campaignId)
-              .single(),
-            10000,
-            'Timeout while fetching campaign data'
-          );
-
-          if (campaignError || !data?.cookies) {
-            throw new Error(`Failed to load campaign data: ${campaignError?.message || 'No cookies found'}`);
-          }
-
-          campaignData = data;
-
-          // Initialize browser
-          browser = await puppeteer.launch({
-            headless: true,
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-          });
-
-          page = await browser.newPage();
-          await page.setViewport({ width: 1280, height: 800 });
-          await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
-
-          // Set LinkedIn cookies
-          await page.setCookie(
-            { name: 'li_at', value: campaignData.cookies.li_at, domain: '.linkedin.com', path: '/' },
-            { name: 'li_a', value: campaignData.cookies.li_a, domain: '.linkedin.com', path: '/' }
-          );
-
-          // Get profiles to process
-          const profiles = await getScrapedProfiles(supabase, campaignId, maxProfiles);
-          
-          if (!profiles || profiles.length === 0) {
-            logger.info('No profiles to process');
-            return;
-          }
-
-          // Initialize the connection request module
-          const { sendRequest } = sendConnectionRequestModule(page);
-
-          // Process profiles in batches
-          const totalProfiles = profiles.length;
-
-          for (let i = 0; i < totalProfiles; i += batchSize) {
-            const batch = profiles.slice(i, i + batchSize);
-            
-            // Process each profile in the batch
-            for (const profile of batch) {
-              try {
-                // Validate profile URL
-                if (!profile.linkedin) {
-                  logger.error(`Profile ${profile.id} has no LinkedIn URL`);
-                  failedCount++;
-                  processedCount++;
-                  continue;
-                }
-
-                // Check if we've already tried this profile too many times
-                const { data: attempts } = await supabase
-                  .from('connection_request_attempts')
-                  .select('attempts')
-                  .eq('profile_id', profile.id)
-                  .single();
-
-                if (attempts && attempts.attempts >= maxRetries) {
-                  logger.warn(`Profile ${profile.id} has reached maximum retry attempts`);
-                  failedCount++;
-                  processedCount++;
-                  continue;
-                }
-
-                // Personalize the message if needed
-                let personalizedMessage = null;
-                if (sendMessage && campaignData?.connection_messages?.connection_request_message?.content) {
-                  personalizedMessage = personalizeMessage(
-                    campaignData.connection_messages.connection_request_message.content,
-                    {
-                      first_name: profile.first_name,
-                      last_name: profile.last_name,
-                      company: profile.company,
-                      job_title: profile.job_title,
-                      linkedin: profile.linkedin
-                    },
-                    null,
-                    null
-                  );
-                }
-
-                // Send the connection request
-                const result = await sendRequest(profile.linkedin, personalizedMessage);
-
-                // Update profile status based on result
-                if (result.success) {
-                  // Any successful request should be marked as pending
-                  const status = result.status === 'connected' ? 'connected' : 'pending';
-
-                  // Update profile status
-                  await supabase
-                    .from('scraped_profiles')
-                    .update({
-                      connection_status: status,
-                      last_connection_attempt: new Date().toISOString(),
-                      connection_error: null
-                    })
-                    .eq('id', profile.id);
-
-                  // Track the attempt
-                  await supabase
-                    .from('connection_request_attempts')
-                    .upsert({
-                      profile_id: profile.id,
-                      campaign_id: campaignId,
-                      attempts: (attempts?.attempts || 0) + 1,
-                      last_attempt: new Date().toISOString(),
-                      status: status,
-                      error: null
-                    });
-
-                  // Update counters
-                  if (status === 'pending') {
-                    sentCount++;
-                  } else if (status === 'connected') {
-                    connectedCount++;
-                  }
-
-                  processedCount++;
-                } else {
-                  // Handle failed requests
-                  await supabase
-                    .from('scraped_profiles')
-                    .update({
-                      connection_status: 'failed',
-                      last_connection_attempt: new Date().toISOString(),
-                      connection_error: result.error
-                    })
-                    .eq('id', profile.id);
-
-                  // Track the failed attempt
-                  await supabase
-                    .from('connection_request_attempts')
-                    .upsert({
-                      profile_id: profile.id,
-                      campaign_id: campaignId,
-                      attempts: (attempts?.attempts || 0) + 1,
-                      last_attempt: new Date().toISOString(),
-                      status: 'failed',
-                      error: result.error
-                    });
-
-                  failedCount++;
-                  processedCount++;
-                }
-
-                await new Promise(resolve => setTimeout(resolve, delayBetweenProfiles));
-              } catch (error) {
-                logger.error(`Error processing profile ${profile.id}: ${error.message}`);
-                failedCount++;
-                processedCount++;
-
-                // Track the error
-                await supabase
-                  .from('connection_request_attempts')
-                  .upsert({
-                    profile_id: profile.id,
-                    campaign_id: campaignId,
-                    attempts: (attempts?.attempts || 0) + 1,
-                    last_attempt: new Date().toISOString(),
-                    status: 'error',
-                    error: error.message
-                  });
-              }
-            }
-
-            // Wait between batches
-            if (i + batchSize < totalProfiles) {
-              await new Promise(resolve => setTimeout(resolve, delayBetweenBatches));
-            }
-          }
-
-          // Send job completion report
-          const message = `Connection requests completed for campaign ${campaignId}:\n` +
-            `✅ Total Processed: ${processedCount}\n` +
-            `📤 New Sent: ${sentCount}\n` +
-            `✅ Already Connected: ${connectedCount}\n` +
-            `❌ Failed: ${failedCount}`;
-
-          await sendJobStatusReport(
-            job.id,
-            'connect',
-            'completed',
-            {
-              campaignId,
-              campaignName: campaignData.name,
-              message,
-              savedCount: sentCount,
-              totalScraped: processedCount,
-              totalValid: processedCount - failedCount
-            }
-          );
-
-          logger.success(`Connection requests sending completed for job ${job.id}.`);
-
-          // After processing connections, update the activity log with results
-          await logActivity(supabase, campaignId, 'connection_request', 'success', {
-            total: processedCount,
-            successful: sentCount,
-            failed: failedCount
-          }, null, {
-            batchSize,
-            maxProfiles,
-            connectedCount
-          });
-
-          // Update daily connection tracking
-          await updateDailyConnectionCount(supabase, campaignId, sentCount);
-
-          return { success: true };
-        } catch (error) {
-          // Check for resistance
-          await resistanceHandler.handleResistance(campaignId, error.message);
-          
-          logger.error(`Error processing connection requests job ${job.id}: ${error.message}`);
-          
-          // Log failed activity
-          await logActivity(supabase, campaignId, 'connection_request', 'failed', 
-            { total: processedCount, successful: sentCount, failed: failedCount },
-            error.message,
-            { jobId: job.id }
-          );
-
-          // Send error notification
-          await sendJobStatusReport(
-            job.id,
-            'connect',
-            'failed',
-            {
-              campaignId,
-              campaignName: campaignData?.name || 'Unknown Campaign',
-              message: `❌ Connection requests failed for campaign ${campaignId}:\n${error.message}`,
-              savedCount: sentCount,
-              totalScraped: processedCount,
-              totalValid: processedCount - failedCount,
-              error: error.message
-            }
-          );
-
-          throw error;
-        } finally {
-          // Safely close browser and page instances
-          if (page) {
-            try {
-              await page.close();
-            } catch (e) {
-              logger.error(`Error closing page: ${e.message}`);
-            }
-          }
-          if (browser) {
-            try {
-              await browser.close();
-            } catch (e) {
-              logger.error(`Error closing browser: ${e.message}`);
-            }
-          }
-        }
-      }, job);
-
     } catch (error) {
       logger.error(`Error in connection request controller: ${error.message}`);
       
       // Only send response if headers haven't been sent
       if (!res.headersSent) {
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
           success: false,
           error: error.message
         });
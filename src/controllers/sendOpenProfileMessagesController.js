@@ -1,100 +1,27 @@
 const createLogger = require('../utils/logger');
 const { withTimeout } = require('../utils/databaseUtils');
+const { readIdempotencyKey, createJobOnce, sendExistingJob } = require('../utils/idempotency');
 const { hasDelayPassed } = require('../utils/dateUtils');
 const messageOpenModule = require('../modules/messageOpen');
 const { bot } = require('../telegramBot');
-
-// Function to construct landing page URL in `{firstNameLastInitial}.{companySlug}` format
-const constructLandingPageURL = (lead) => {
-  if (!lead.first_name || !lead.last_name || !lead.company) {
-    console.warn('🚨 Missing lead details for landing page:', lead);
-    return `/landing-page/${encodeURIComponent(lead.id)}?linkedin=true`; // Fallback
-  }
-  const firstName = lead.first_name.toLowerCase();
-  const lastInitial = lead.last_name.charAt(0).toLowerCase();
-  const companySlug = lead.company.toLowerCase().replace(/[^a-z0-9]/g, '');
-  return `/${firstName}${lastInitial}.${companySlug}`;
-};
-
-// Function to construct the correct landing page URL with subdomain
-const constructURLWithSubdomain = (lead, client, queryParam = '') => {
-  const basePath = constructLandingPageURL(lead);
-  if (client?.subdomain && client.status === 'verified') {
-    return `https://${client.subdomain}${basePath}${queryParam}`;
-  }
-  return `https://default-landing-page.com${basePath}${queryParam}`;
-};
-
-/**
- * Constructs a Cost Per Demo landing page URL
- * @param {Object} lead - The lead object
- * @returns {string} - The CPD landing page URL
- */
-const constructCPDLandingPageURL = (lead) => {
-  if (!lead.first_name || !lead.last_name || !lead.company) {
-    console.warn('🚨 Missing lead details for CPD landing page:', lead);
-    return `https://costperdemo.com/landing-page/${encodeURIComponent(lead.id)}?linkedin=true`; // Fallback
-  }
-  const firstName = lead.first_name.toLowerCase();
-  const lastInitial = lead.last_name.charAt(0).toLowerCase();
-  const companySlug = lead.company.toLowerCase().replace(/[^a-z0-9]/g, '');
-  return `https://costperdemo.com/${firstName}${lastInitial}.${companySlug}`;
-};
-
-/**
- * Personalizes a message template with lead data and custom fields
- * @param {string} template - The message template
- * @param {Object} lead - The lead object
- * @param {string} landingPageURL - The landing page URL
- * @param {string} cpdLandingPageURL - The CPD landing page URL
- * @returns {string} - The personalized message
- */
-const personalizeMessage = (template, lead, landingPageURL, cpdLandingPageURL) => {
-  const logger = createLogger();
-  
-  // Replace basic placeholders
-  let personalizedMessage = template
-    .replace(/{first_name}/g, lead.first_name || 'there')
-    .replace(/{last_name}/g, lead.last_name || '')
-    .replace(/{company}/g, lead.company || 'your company')
-    .replace(/{position}/g, lead.position || 'professional')
-    .replace(/{landingpage}/g, landingPageURL)
-    .replace(/{cpdlanding}/g, cpdLandingPageURL);
-  
-  // Parse personalization JSON safely
-  let customFields = {};
-  try {
-    if (typeof lead.personalization === 'string' && lead.personalization) {
-      logger.info(`Parsing personalization JSON for lead ${lead.id}: ${lead.personalization}`);
-      customFields = JSON.parse(lead.personalization);
-    } else if (typeof lead.personalization === 'object' && lead.personalization !== null) {
-      logger.info(`Using personalization object for lead ${lead.id}`);
-      customFields = lead.personalization;
-    }
-    
-    // Log the parsed custom fields
-    logger.info(`Custom fields for lead ${lead.id}: ${JSON.stringify(customFields)}`);
-  } catch (error) {
-    logger.error(`Error parsing personalization JSON for lead ${lead.id}: ${error.message}`);
-  }
-  
-  // Replace custom field placeholders using the same pattern as your working code
-  personalizedMessage = personalizedMessage.replace(/\{custom\.(.*?)\}/g, (match, key) => {
-    return customFields[key] ?? match;
-  });
-  
-  // Ensure \n renders as newlines
-  personalizedMessage = personalizedMessage.replace(/\\n/g, '\n');
-  
-  return personalizedMessage;
-};
+const jobQueueManager = require('../utils/jobQueueManager');
+const { buildProgress, describeLead, updateJobProgress } = require('../utils/jobProgress');
+const { hasReplied } = require('../utils/leadReplies');
+const { personalizeMessage, personalizeSubject } = require('../utils/messageUtils');
 
 // Random delay between min and max milliseconds
 const randomDelay = (min, max) =>
   new Promise((resolve) => setTimeout(resolve, Math.floor(Math.random() * (max - min + 1)) + min));
 
-// Process the job asynchronously
-const processJob = async (currentJobId, supabase) => {
+/**
+ * Process a queued open profile message job
+ * @param {string} currentJobId - Job ID
+ * @param {Object} supabase - Supabase client
+ * @param {Object} [context] - Job queue context
+ * @param {AbortSignal} [context.signal] - Aborted when the job is cancelled or its campaign paused; checked before each lead
+ * @param {Function} [context.registerBrowser] - Hands the browser to the job queue watchdog
+ */
+const processJob = async (currentJobId, supabase, { signal, registerBrowser } = {}) => {
   const logger = createLogger();
   let messageSender = null;
 
@@ -373,53 +300,90 @@ const processJob = async (currentJobId, supabase) => {
     // Initialize the message sender
     messageSender = messageOpenModule();
     await messageSender.initializeBrowser(campaignData.cookies);
+    registerBrowser?.(messageSender.getBrowser());
 
     const totalLeads = filteredLeads.length;
     let processedLeads = 0;
     let messagesSent = 0;
+    let skippedResponded = 0;
     const failedMessages = [];
     let consecutiveFailures = 0;
 
+    // Counts recorded in jobs.result.progress
+    const progressCounts = (currentLead = null) => ({
+      total: totalLeads,
+      processed: processedLeads,
+      succeeded: messagesSent,
+      failed: failedMessages.length,
+      currentLead,
+    });
+
     // Process leads in batches
     for (let i = 0; i < filteredLeads.length; i += batchSize) {
       const batch = filteredLeads.slice(i, i + batchSize);
       logger.info(`Processing batch ${Math.floor(i / batchSize) + 1} (${batch.length} leads)`);
 
       for (const lead of batch) {
+        // Stop cleanly between leads once the job has been cancelled or paused
+        if (signal?.aborted) {
+          logger.warn(`Job ${currentJobId} cancelled after ${processedLeads} of ${totalLeads} leads`);
+          await withTimeout(
+            supabase
+              .from('jobs')
+              .update({
+                status: 'cancelled',
+                progress: processedLeads / totalLeads,
+                result: {
+                  totalMessagesRequested: totalMessages,
+                  messagesSent,
+                  failedMessages,
+                  message_stage: messageStage,
+                  progress: buildProgress(progressCounts()),
+                },
+                updated_at: new Date().toISOString(),
+              })
+              .eq('job_id', currentJobId),
+            10000,
+            'Timeout while updating job status'
+          );
+          return;
+        }
+
         logger.info(`Sending message to ${lead.first_name} at ${lead.company}`);
+        await updateJobProgress(supabase, currentJobId, progressCounts(describeLead(lead)), { message_stage: messageStage });
+        processedLeads++;
 
-        // Construct landing page URLs
-        const landingPageURL = constructURLWithSubdomain(lead, clientData);
-        const cpdLandingPageURL = constructCPDLandingPageURL(lead);
-        
-        // Personalize the message
+        // Personalize the message and subject
         let personalizedMessage;
+        let personalizedSubject;
         try {
-          personalizedMessage = personalizeMessage(
-            messageTemplate.content,
-            lead,
-            landingPageURL,
-            cpdLandingPageURL
-          );
-          
+          personalizedMessage = personalizeMessage(messageTemplate.content, lead, clientData);
+          personalizedSubject = personalizeSubject(messageTemplate, lead, clientData);
+
           // Validate the personalized message
           if (typeof personalizedMessage !== 'string' || personalizedMessage.trim() === '') {
             throw new Error('Personalized message is empty or invalid');
           }
-          
+
           logger.info(`Personalized message (first 50 chars): ${personalizedMessage.substring(0, 50)}...`);
         } catch (error) {
           throw new Error(`Failed to personalize message: ${error.message}`);
         }
-        
+
+        // The lead may have replied since the job started, e.g. picked up by a reply sync
+        if (await hasReplied(supabase, lead.id)) {
+          logger.info(`Lead ${lead.id} has replied, skipping the stage ${messageStage} message`);
+          skippedResponded++;
+          continue;
+        }
+
         try {
           const result = await messageSender.sendMessage({
             leadUrl: lead.linkedin,
             message: {
               content: personalizedMessage
             },
-            subject: messageTemplate.subject || '{company} Financial Forecasting',
-            lead: lead
+            subject: personalizedSubject
           });
 
           if (result.success) {
@@ -510,6 +474,7 @@ const processJob = async (currentJobId, supabase) => {
                     messagesSent,
                     failedMessages,
                     message_stage: messageStage,
+                    progress: buildProgress(progressCounts()),
                   },
                   updated_at: new Date().toISOString(),
                 })
@@ -521,21 +486,6 @@ const processJob = async (currentJobId, supabase) => {
           }
         }
 
-        processedLeads++;
-        const progress = processedLeads / totalLeads;
-        await withTimeout(
-          supabase
-            .from('jobs')
-            .update({
-              status: 'in_progress',
-              progress,
-              updated_at: new Date().toISOString(),
-            })
-            .eq('job_id', currentJobId),
-          10000,
-          'Timeout while updating job progress'
-        );
-
         // Small delay between messages within a batch
         if (batch.indexOf(lead) < batch.length - 1) {
           logger.info(`Waiting 1-2 seconds before the next message...`);
@@ -561,7 +511,9 @@ const processJob = async (currentJobId, supabase) => {
             totalMessagesRequested: totalMessages,
             messagesSent,
             failedMessages,
+            skippedResponded,
             message_stage: messageStage,
+            progress: buildProgress(progressCounts()),
           },
           updated_at: new Date().toISOString(),
         })
@@ -605,6 +557,9 @@ const processJob = async (currentJobId, supabase) => {
 
 // Factory function pattern
 module.exports = (supabase) => {
+  // Jobs recovered from the database after a restart are re-run by their job ID
+  jobQueueManager.registerHandler('send_open_profile_messages', (payload, context) => processJob(context.jobId, supabase, context));
+
   return async (req, res) => {
     const logger = createLogger();
 
@@ -624,7 +579,17 @@ module.exports = (supabase) => {
         messageStage,
         totalMessages,
         batchSize = 5,
+        priority,
       } = req.body;
+      const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
+
+      if (idempotencyError) {
+        logger.warn(idempotencyError);
+        return res.status(400).json({
+          success: false,
+          error: idempotencyError,
+        });
+      }
 
       if (!campaignId || !messageStage || !totalMessages) {
         logger.warn('Missing required fields: campaignId, messageStage, or totalMessages');
@@ -658,45 +623,52 @@ module.exports = (supabase) => {
         });
       }
 
+      if (priority !== undefined && !jobQueueManager.isValidPriority(priority)) {
+        logger.warn(`Invalid priority: ${priority}`);
+        return res.status(400).json({
+          success: false,
+          error: `Invalid priority: ${priority}`,
+        });
+      }
+
       logger.info(`Received request to send open profile messages for campaignId: ${campaignId}, stage: ${messageStage}`);
 
-      // Create a job, storing message_stage in the result JSON
-      const { data: jobData, error: jobError } = await withTimeout(
-        supabase
-          .from('jobs')
-          .insert({
-            type: 'send_open_profile_messages',
-            status: 'started',
-            progress: 0,
-            error: null,
-            result: { message_stage: messageStage }, // Store message_stage in result
-            campaign_id: campaignId.toString(),
-            max_profiles: totalMessages, // Using max_profiles as totalMessages
-            batch_size: batchSize,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          })
-          .select('job_id')
-          .single(),
-        10000,
-        'Timeout while creating job in database'
-      );
+      // Create a job, storing message_stage in the result JSON, or reuse the one created for this idempotency key
+      const { data: jobData, error: jobError, replayed } = await createJobOnce(supabase, idempotencyKey, {
+        type: 'send_open_profile_messages',
+        status: 'queued',
+        progress: 0,
+        error: null,
+        result: { message_stage: messageStage }, // Store message_stage in result
+        campaign_id: campaignId.toString(),
+        max_profiles: totalMessages, // Using max_profiles as totalMessages
+        batch_size: batchSize,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      });
 
       if (jobError || !jobData) {
         logger.error(`Failed to create job: ${jobError?.message}`);
         return res.status(500).json({ success: false, error: 'Failed to create job' });
       }
 
+      if (replayed) {
+        return sendExistingJob(res, idempotencyKey, jobData, 'send_open_profile_messages');
+      }
+
       jobId = jobData.job_id;
-      logger.info(`Created job with ID: ${jobId} with status: started`);
+      logger.info(`Created job with ID: ${jobId} with status: queued`);
 
       res.json({ success: true, jobId });
 
-      // Process the job asynchronously
-      setImmediate(() => {
-        processJob(jobId, supabase).catch((err) => {
-          logger.error(`Background processing failed for job ${jobId}: ${err.message}`);
-        });
+      // Queue the job for processing
+      jobQueueManager.addJob((context) => processJob(jobId, supabase, context), {
+        jobId,
+        type: 'send_open_profile_messages',
+        campaignId,
+        priority
+      }).catch((err) => {
+        logger.error(`Background processing failed for job ${jobId}: ${err.message}`);
       });
     } catch (error) {
       logger.error(`Error in /send-open-profile-messages route: ${error.message}`);
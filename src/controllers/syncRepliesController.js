@@ -0,0 +1,297 @@
+const createLogger = require('../utils/logger');
+const salesInboxModule = require('../modules/salesInbox');
+const { withTimeout } = require('../utils/databaseUtils');
+const { readIdempotencyKey, sendExistingJob } = require('../utils/idempotency');
+const { startReplySync } = require('../services/jobService');
+const jobQueueManager = require('../utils/jobQueueManager');
+const { sendJobStatusReport } = require('../telegramBot');
+const ResistanceHandler = require('../utils/resistanceHandler');
+const logActivity = require('../utils/activityLogger');
+const { updateJobProgress } = require('../utils/jobProgress');
+const { getAccountKey, getLimitKey } = require('../utils/accountLimits');
+const { findReplies, markLeadReplied } = require('../utils/leadReplies');
+
+const logger = createLogger();
+
+// Leads fetched per request; PostgREST returns at most 1000 rows at a time
+const LEADS_PAGE_SIZE = 1000;
+
+/**
+ * Controller for syncing replies from a LinkedIn account's Sales Navigator inbox
+ * @module controllers/syncRepliesController
+ */
+
+/**
+ * Creates a controller function for syncing lead replies
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+const syncRepliesController = (supabase) => {
+  const resistanceHandler = new ResistanceHandler(supabase);
+
+  /**
+   * Leads still waiting for a reply from every campaign that uses the same LinkedIn account,
+   * since one inbox holds the conversations of all of them
+   * @param {string} accountKey - Account of the synced campaign, see getLimitKey
+   * @returns {Promise<Object[]>}
+   */
+  const fetchAccountLeads = async (accountKey) => {
+    const { data: campaigns, error: campaignsError } = await withTimeout(
+      supabase
+        .from('campaigns')
+        .select('id, client_id, cookies, linkedin_account_id'),
+      10000,
+      'Timeout while fetching campaigns sharing an account'
+    );
+
+    if (campaignsError) {
+      throw new Error(`Failed to fetch campaigns for account ${accountKey}: ${campaignsError.message}`);
+    }
+
+    const clientIds = [...new Set((campaigns || [])
+      .filter((campaign) => getLimitKey(campaign) === accountKey)
+      .map((campaign) => campaign.client_id)
+      .filter(Boolean))];
+
+    if (clientIds.length === 0) return [];
+
+    const leads = [];
+    for (let offset = 0; ; offset += LEADS_PAGE_SIZE) {
+      const { data: page, error: leadsError } = await withTimeout(
+        supabase
+          .from('leads')
+          .select('id, first_name, last_name, linkedin, client_id, message_stage')
+          .in('client_id', clientIds)
+          .eq('status', 'not_replied')
+          .order('id', { ascending: true })
+          .range(offset, offset + LEADS_PAGE_SIZE - 1),
+        10000,
+        'Timeout while fetching leads awaiting a reply'
+      );
+
+      if (leadsError) {
+        throw new Error(`Failed to fetch leads: ${leadsError.message}`);
+      }
+
+      leads.push(...(page || []));
+      if (!page || page.length < LEADS_PAGE_SIZE) return leads;
+    }
+  };
+
+  /**
+   * Run a queued reply sync job
+   * @param {Object} job - Job parameters from the job service or recovered from jobs.payload
+   * @param {string} jobId - ID of the job's row in the jobs table
+   * @param {Object} [context] - Job queue context
+   * @param {Function} [context.registerBrowser] - Hands the browser to the job queue watchdog
+   * @returns {Promise<Object>}
+   */
+  const runJob = async ({ campaignId, maxThreads }, jobId, { registerBrowser } = {}) => {
+    const startTime = new Date().toISOString();
+    let inbox = null;
+    let campaignData = null;
+
+    let threadsRead = 0;
+    let failedThreads = 0;
+    let repliesFound = 0;
+    let leadsMarked = 0;
+    let unmatchedThreads = 0;
+
+    // Counts recorded in jobs.result.progress; the threads are the unit of work
+    const progressCounts = (total = maxThreads) => ({
+      total,
+      processed: threadsRead,
+      succeeded: threadsRead - failedThreads,
+      failed: failedThreads,
+      currentLead: null,
+    });
+
+    const resultCounts = () => ({
+      threadsRead,
+      failedThreads,
+      repliesFound,
+      leadsMarked,
+      unmatchedThreads
+    });
+
+    try {
+      const { data, error: campaignError } = await withTimeout(
+        supabase
+          .from('campaigns')
+          .select('name, cookies, linkedin_account_id')
+          .eq('id', campaignId)
+          .single(),
+        10000,
+        'Timeout while fetching campaign data'
+      );
+
+      if (campaignError || !data?.cookies) {
+        const loadError = new Error(`Failed to load campaign data: ${campaignError?.message || 'No cookies found'}`);
+        loadError.category = 'campaign_load_failed';
+        throw loadError;
+      }
+
+      campaignData = data;
+      if (!getAccountKey(campaignData.cookies)) {
+        const loadError = new Error('Campaign has no li_at cookie');
+        loadError.category = 'campaign_load_failed';
+        throw loadError;
+      }
+
+      const accountKey = getLimitKey(campaignData);
+      let leads;
+      try {
+        leads = await fetchAccountLeads(accountKey);
+      } catch (fetchError) {
+        fetchError.category = 'database_fetch_failed';
+        throw fetchError;
+      }
+
+      if (leads.length === 0) {
+        logger.info(`No leads awaiting a reply on the account of campaign ${campaignId}`);
+        await updateJobProgress(supabase, jobId, progressCounts(0), { ...resultCounts(), message: 'No leads awaiting a reply' });
+        return { success: true };
+      }
+
+      logger.info(`Syncing up to ${maxThreads} conversations for ${leads.length} leads on the account of campaign ${campaignId}`);
+
+      inbox = salesInboxModule();
+      await inbox.initializeBrowser(campaignData.cookies);
+      registerBrowser?.(inbox.getBrowser());
+
+      const { threads, failed } = await inbox.readThreads({
+        maxThreads,
+        onThread: (done, total) => {
+          threadsRead = done;
+          return updateJobProgress(supabase, jobId, progressCounts(total));
+        }
+      });
+      threadsRead = threads.length + failed;
+      failedThreads = failed;
+
+      const { replies, unmatched } = findReplies(threads, leads);
+      repliesFound = replies.length;
+      unmatchedThreads = unmatched;
+
+      for (const { lead, repliedAt, snippet } of replies) {
+        // A lead that replied while the sync ran (or whose status changed otherwise) is left alone
+        if (await markLeadReplied(supabase, lead.id, { repliedAt, snippet })) {
+          leadsMarked++;
+          logger.info(`Lead ${lead.id} (${lead.first_name} ${lead.last_name}) replied, their sequence is stopped`);
+        }
+      }
+
+      await updateJobProgress(supabase, jobId, progressCounts(threadsRead), resultCounts());
+
+      await logActivity(supabase, Number(campaignId), 'reply_sync', 'success', {
+        total: threadsRead,
+        successful: leadsMarked,
+        failed: failedThreads
+      }, null, {
+        jobId,
+        accountKey,
+        repliesFound,
+        unmatchedThreads,
+        startTime
+      });
+
+      await sendJobStatusReport(
+        jobId,
+        'sync_replies',
+        'completed',
+        {
+          campaignId,
+          campaignName: campaignData.name,
+          message: `Inbox replies synced for the account of campaign ${campaignId}:\n` +
+            `📥 Conversations Read: ${threadsRead}\n` +
+            `💬 Replies Found: ${repliesFound}\n` +
+            `🛑 Sequences Stopped: ${leadsMarked}\n` +
+            `❔ Unmatched Conversations: ${unmatchedThreads}`
+        }
+      );
+
+      logger.success(`Reply sync job ${jobId} completed: ${leadsMarked} leads marked as replied from ${threadsRead} conversations`);
+      return { success: true };
+    } catch (error) {
+      await resistanceHandler.handleResistance(campaignId, error.message);
+      logger.error(`Error processing reply sync job ${jobId}: ${error.message}`);
+
+      await logActivity(supabase, Number(campaignId), 'reply_sync', 'failed',
+        { total: threadsRead, successful: leadsMarked, failed: failedThreads },
+        error.message,
+        { jobId, startTime }
+      );
+
+      await sendJobStatusReport(
+        jobId,
+        'sync_replies',
+        'failed',
+        {
+          campaignId,
+          campaignName: campaignData?.name || 'Unknown Campaign',
+          message: `❌ Syncing inbox replies failed for campaign ${campaignId}:\n${error.message}`,
+          error: error.message
+        }
+      );
+
+      throw error;
+    } finally {
+      if (inbox) {
+        try {
+          await inbox.closeBrowser();
+        } catch (e) {
+          logger.error(`Error closing browser: ${e.message}`);
+        }
+      }
+    }
+  };
+
+  // Jobs from the job service, and ones recovered after a restart, are run from their stored payload
+  jobQueueManager.registerHandler('sync_replies', (payload, context) => runJob(payload, context.jobId, context));
+
+  /**
+   * Express route handler for POST /api/sync-replies
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    try {
+      if (!req.body || typeof req.body !== 'object') {
+        return res.status(400).json({
+          success: false,
+          error: 'Request body is missing or invalid'
+        });
+      }
+
+      const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
+
+      if (idempotencyError) {
+        return res.status(400).json({
+          success: false,
+          error: idempotencyError
+        });
+      }
+
+      const { job, replayed } = await startReplySync(supabase, req.body, { idempotencyKey });
+
+      if (replayed) {
+        return sendExistingJob(res, idempotencyKey, job, 'sync_replies');
+      }
+
+      return res.status(200).json({
+        success: true,
+        jobId: job.job_id
+      });
+    } catch (error) {
+      logger.error(`Error in sync-replies route: ${error.message}`);
+
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+};
+
+module.exports = syncRepliesController;
@@ -0,0 +1,84 @@
+/**
+ * Controller for running a scheduler on demand
+ * @module controllers/triggerSchedulerController
+ */
+
+const createLogger = require('../utils/logger');
+const schedulerRegistry = require('../scheduler/schedulerRegistry');
+
+const logger = createLogger();
+
+/**
+ * Creates a controller function for triggering a scheduler
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+module.exports = (supabase) => {
+  /**
+   * Express route handler for POST /api/trigger-scheduler.
+   * Responds as soon as the run starts; jobs it queues use the `manual` priority.
+   * The run is skipped if the scheduler is already running, and it runs even while the scheduler is disabled.
+   * With `dryRun: true` it responds with the scheduler's dry run report once the simulation finishes.
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    const { scheduler, dryRun = false, campaignId = null } = req.body;
+
+    if (!scheduler) {
+      return res.status(400).json({
+        success: false,
+        error: 'Scheduler name is required'
+      });
+    }
+
+    if (!schedulerRegistry.has(scheduler)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown scheduler: ${scheduler}`
+      });
+    }
+
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun must be a boolean'
+      });
+    }
+
+    if (campaignId !== null && !Number.isInteger(Number(campaignId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'campaignId must be an integer'
+      });
+    }
+
+    if (dryRun) {
+      try {
+        const report = await schedulerRegistry.simulate(scheduler, { campaignId });
+        return res.json({
+          success: true,
+          scheduler,
+          dryRun: true,
+          report
+        });
+      } catch (error) {
+        logger.error(`Dry run of ${scheduler} scheduler failed: ${error.message}`);
+        return res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info(`Manually triggering ${scheduler} scheduler`);
+    res.json({
+      success: true,
+      message: `Triggered ${scheduler} scheduler`
+    });
+
+    // Failures are recorded in the scheduler's last result and reported by the registry
+    await schedulerRegistry.run(scheduler, { priority: 'manual' }, 'manual');
+  };
+};
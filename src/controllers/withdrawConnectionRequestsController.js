@@ -0,0 +1,367 @@
+const createLogger = require('../utils/logger');
+const withdrawConnectionRequestModule = require('../modules/withdrawConnectionRequest');
+const { withTimeout } = require('../utils/databaseUtils');
+const { readIdempotencyKey, sendExistingJob } = require('../utils/idempotency');
+const { startConnectionWithdrawal } = require('../services/jobService');
+const jobQueueManager = require('../utils/jobQueueManager');
+const puppeteer = require('puppeteer');
+const { sendJobStatusReport } = require('../telegramBot');
+const ResistanceHandler = require('../utils/resistanceHandler');
+const logActivity = require('../utils/activityLogger');
+const { buildProgress, describeLead, updateJobProgress } = require('../utils/jobProgress');
+const { WITHDRAW_CONFIG, getWithdrawAfterDays, skipRecentlyChecked } = require('../scheduler/withdrawStaleInvitationsScheduler');
+
+const logger = createLogger();
+
+// Random delay between min and max milliseconds
+const randomDelay = (min, max) =>
+  new Promise((resolve) => setTimeout(resolve, Math.floor(Math.random() * (max - min + 1)) + min));
+
+/**
+ * Controller for withdrawing connection requests that have been pending too long
+ * @module controllers/withdrawConnectionRequestsController
+ */
+
+/**
+ * Creates a controller function for withdrawing stale connection requests
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @returns {Function} Express route handler
+ */
+const withdrawConnectionRequestsController = (supabase) => {
+  const resistanceHandler = new ResistanceHandler(supabase);
+
+  /**
+   * Run a queued withdrawal job
+   * @param {Object} job - Job parameters from the job service or recovered from jobs.payload
+   * @param {string} jobId - ID of the job's row in the jobs table
+   * @param {Object} [context] - Job queue context
+   * @param {AbortSignal} [context.signal] - Aborted when the job is cancelled or its campaign paused; checked before each profile
+   * @param {Function} [context.registerBrowser] - Hands the browser to the job queue watchdog
+   * @returns {Promise<Object>}
+   */
+  const runJob = async ({ campaignId, olderThanDays, maxProfiles, batchSize }, jobId, { signal, registerBrowser } = {}) => {
+    const startTime = new Date().toISOString();
+    let browser = null;
+    let campaignData = null;
+
+    let processedCount = 0;
+    let withdrawnCount = 0;
+    let acceptedCount = 0;
+    let unresolvedCount = 0;
+    let failedCount = 0;
+    let totalProfiles = 0;
+    let consecutiveFailures = 0;
+    let cancelled = false;
+
+    // Counts recorded in jobs.result.progress
+    const progressCounts = (currentLead = null) => ({
+      total: totalProfiles,
+      processed: processedCount,
+      succeeded: processedCount - failedCount,
+      failed: failedCount,
+      currentLead,
+    });
+
+    const resultCounts = () => ({
+      totalProcessed: processedCount,
+      withdrawnCount,
+      acceptedCount,
+      unresolvedCount,
+      failedCount
+    });
+
+    try {
+      const { data, error: campaignError } = await withTimeout(
+        supabase
+          .from('campaigns')
+          .select('name, cookies, withdraw_pending_after_days')
+          .eq('id', campaignId)
+          .single(),
+        10000,
+        'Timeout while fetching campaign data'
+      );
+
+      if (campaignError || !data?.cookies) {
+        const loadError = new Error(`Failed to load campaign data: ${campaignError?.message || 'No cookies found'}`);
+        loadError.category = 'campaign_load_failed';
+        throw loadError;
+      }
+
+      campaignData = data;
+
+      const afterDays = olderThanDays || getWithdrawAfterDays(campaignData);
+      if (!afterDays) {
+        logger.info(`Withdrawal is turned off for campaign ${campaignId}`);
+        await updateJobProgress(supabase, jobId, progressCounts(), { ...resultCounts(), message: 'Withdrawal is turned off for this campaign' });
+        return { success: true };
+      }
+
+      const cutoff = new Date(Date.now() - afterDays * 24 * 60 * 60 * 1000).toISOString();
+      const { data: profiles, error: fetchError } = await withTimeout(
+        skipRecentlyChecked(
+          supabase
+            .from('scraped_profiles')
+            .select('*')
+            .eq('campaign_id', campaignId.toString())
+            .eq('connection_status', 'pending')
+            .lt('last_connection_attempt', cutoff)
+        )
+          .order('last_connection_attempt', { ascending: true })
+          .limit(maxProfiles),
+        10000,
+        'Timeout while fetching pending profiles'
+      );
+
+      if (fetchError) {
+        const error = new Error(`Failed to fetch pending profiles: ${fetchError.message}`);
+        error.category = 'database_fetch_failed';
+        throw error;
+      }
+
+      if (!profiles || profiles.length === 0) {
+        logger.info(`No connection requests pending for more than ${afterDays} days for campaign ${campaignId}`);
+        await updateJobProgress(supabase, jobId, progressCounts(), { ...resultCounts(), message: 'No stale connection requests to withdraw' });
+        return { success: true };
+      }
+
+      totalProfiles = profiles.length;
+      logger.info(`Withdrawing ${totalProfiles} connection requests pending for more than ${afterDays} days for campaign ${campaignId}`);
+
+      browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      });
+      registerBrowser?.(browser);
+
+      const page = await browser.newPage();
+      await page.setViewport({ width: 1280, height: 800 });
+      await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
+      await page.setCookie(
+        { name: 'li_at', value: campaignData.cookies.li_at, domain: '.linkedin.com', path: '/' },
+        { name: 'li_a', value: campaignData.cookies.li_a, domain: '.linkedin.com', path: '/' }
+      );
+
+      const { withdrawRequest } = withdrawConnectionRequestModule(page);
+
+      for (let i = 0; i < totalProfiles && !cancelled; i += batchSize) {
+        const batch = profiles.slice(i, i + batchSize);
+
+        for (const profile of batch) {
+          // Stop cleanly between profiles once the job has been cancelled or paused
+          if (signal?.aborted) {
+            logger.warn(`Job ${jobId} cancelled after ${processedCount} of ${totalProfiles} profiles`);
+            cancelled = true;
+            break;
+          }
+
+          await updateJobProgress(supabase, jobId, progressCounts(describeLead(profile)));
+
+          const result = profile.linkedin
+            ? await withdrawRequest(profile.linkedin)
+            : { success: false, error: 'Profile has no LinkedIn URL' };
+          processedCount++;
+
+          if (!result.success) {
+            failedCount++;
+            consecutiveFailures++;
+            await withTimeout(
+              supabase
+                .from('scraped_profiles')
+                .update({ connection_error: result.error })
+                .eq('id', profile.id),
+              10000,
+              `Timeout while updating scraped profile ${profile.id} with error`
+            );
+
+            // Repeated failures usually mean LinkedIn is pushing back
+            if (consecutiveFailures >= WITHDRAW_CONFIG.maxConsecutiveFailures) {
+              const error = new Error(`Stopped after ${consecutiveFailures} consecutive failures. Last error: ${result.error}`);
+              error.category = 'consecutive_failures';
+              throw error;
+            }
+            continue;
+          }
+
+          consecutiveFailures = 0;
+
+          if (result.status === 'withdrawn') {
+            withdrawnCount++;
+            const { error: updateError } = await withTimeout(
+              supabase
+                .from('scraped_profiles')
+                .update({
+                  connection_status: 'withdrawn',
+                  withdrawn_at: new Date().toISOString(),
+                  connection_error: null
+                })
+                .eq('id', profile.id),
+              10000,
+              `Timeout while updating scraped profile ${profile.id}`
+            );
+
+            if (updateError) {
+              logger.error(`Failed to mark profile ${profile.id} as withdrawn: ${updateError.message}`);
+            }
+          } else {
+            // Accepted, expired, or accepted without the profile showing it. The profile stays pending
+            // and the connection check tells which, moving accepted ones to leads.
+            if (result.status === 'connected') {
+              acceptedCount++;
+              logger.info(`Profile ${profile.id} accepted the invitation, leaving it for the connection check`);
+            } else {
+              unresolvedCount++;
+              logger.info(`Profile ${profile.id} shows no pending invitation (${result.status}), leaving it for the connection check`);
+            }
+
+            // Skipped by the next runs for a while, so it doesn't keep other requests from being withdrawn
+            const { error: updateError } = await withTimeout(
+              supabase
+                .from('scraped_profiles')
+                .update({ withdrawal_checked_at: new Date().toISOString(), connection_error: null })
+                .eq('id', profile.id),
+              10000,
+              `Timeout while updating scraped profile ${profile.id}`
+            );
+
+            if (updateError) {
+              logger.error(`Failed to record the withdrawal check of profile ${profile.id}: ${updateError.message}`);
+            }
+          }
+
+          await randomDelay(WITHDRAW_CONFIG.minDelayBetweenProfiles, WITHDRAW_CONFIG.maxDelayBetweenProfiles);
+        }
+      }
+
+      await updateJobProgress(supabase, jobId, progressCounts(), { ...resultCounts(), olderThanDays: afterDays });
+
+      await logActivity(supabase, Number(campaignId), 'connection_withdrawal', 'success', {
+        total: processedCount,
+        successful: withdrawnCount,
+        failed: failedCount
+      }, null, {
+        jobId,
+        olderThanDays: afterDays,
+        acceptedCount,
+        unresolvedCount,
+        cancelled,
+        startTime
+      });
+
+      if (cancelled) {
+        await withTimeout(
+          supabase
+            .from('jobs')
+            .update({
+              status: 'cancelled',
+              progress: processedCount / totalProfiles,
+              result: { ...resultCounts(), progress: buildProgress(progressCounts()) },
+              updated_at: new Date().toISOString(),
+            })
+            .eq('job_id', jobId),
+          10000,
+          'Timeout while updating job status'
+        );
+        return { success: true, cancelled: true };
+      }
+
+      await sendJobStatusReport(
+        jobId,
+        'withdraw',
+        'completed',
+        {
+          campaignId,
+          campaignName: campaignData.name,
+          message: `Stale connection requests withdrawn for campaign ${campaignId}:\n` +
+            `✅ Total Processed: ${processedCount}\n` +
+            `↩️ Withdrawn: ${withdrawnCount}\n` +
+            `🤝 Accepted Meanwhile: ${acceptedCount}\n` +
+            `❔ No Longer Pending: ${unresolvedCount}\n` +
+            `❌ Failed: ${failedCount}`
+        }
+      );
+
+      logger.success(`Withdrawal job ${jobId} completed: ${withdrawnCount} of ${processedCount} requests withdrawn`);
+      return { success: true };
+    } catch (error) {
+      await resistanceHandler.handleResistance(campaignId, error.message);
+      logger.error(`Error processing withdrawal job ${jobId}: ${error.message}`);
+
+      await logActivity(supabase, Number(campaignId), 'connection_withdrawal', 'failed',
+        { total: processedCount, successful: withdrawnCount, failed: failedCount },
+        error.message,
+        { jobId, startTime }
+      );
+
+      await sendJobStatusReport(
+        jobId,
+        'withdraw',
+        'failed',
+        {
+          campaignId,
+          campaignName: campaignData?.name || 'Unknown Campaign',
+          message: `❌ Withdrawing connection requests failed for campaign ${campaignId}:\n${error.message}`,
+          error: error.message
+        }
+      );
+
+      throw error;
+    } finally {
+      if (browser) {
+        try {
+          await browser.close();
+        } catch (e) {
+          logger.error(`Error closing browser: ${e.message}`);
+        }
+      }
+    }
+  };
+
+  // Jobs from the job service, and ones recovered after a restart, are run from their stored payload
+  jobQueueManager.registerHandler('withdraw_connection_requests', (payload, context) => runJob(payload, context.jobId, context));
+
+  /**
+   * Express route handler for POST /api/withdraw-connection-requests
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  return async (req, res) => {
+    try {
+      if (!req.body || typeof req.body !== 'object') {
+        return res.status(400).json({
+          success: false,
+          error: 'Request body is missing or invalid'
+        });
+      }
+
+      const { key: idempotencyKey, error: idempotencyError } = readIdempotencyKey(req);
+
+      if (idempotencyError) {
+        return res.status(400).json({
+          success: false,
+          error: idempotencyError
+        });
+      }
+
+      const { job, replayed } = await startConnectionWithdrawal(supabase, req.body, { idempotencyKey });
+
+      if (replayed) {
+        return sendExistingJob(res, idempotencyKey, job, 'withdraw_connection_requests');
+      }
+
+      return res.status(200).json({
+        success: true,
+        jobId: job.job_id
+      });
+    } catch (error) {
+      logger.error(`Error in withdraw-connection-requests route: ${error.message}`);
+
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+};
+
+module.exports = withdrawConnectionRequestsController;
@@ -168,5 +168,8 @@ module.exports = () => {
     logger.info('Browser closed.');
   };
 
-  return { initializeBrowser, sendMessage, closeBrowser };
+  // The launched browser, so the job queue watchdog can kill it if the job hangs
+  const getBrowser = () => browser;
+
+  return { initializeBrowser, sendMessage, closeBrowser, getBrowser };
 };
\ No newline at end of file
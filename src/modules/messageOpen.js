@@ -57,8 +57,8 @@ module.exports = () => {
     return true;
   };
 
-  // Send a message to a lead
-  const sendMessage = async ({ leadUrl, message, subject = "Let's connect", lead = {} }) => {
+  // Send a message to a lead. The message and subject come personalized from utils/messageUtils.
+  const sendMessage = async ({ leadUrl, message, subject = "Let's connect" }) => {
     // Validate inputs
     if (!leadUrl) throw new Error('Lead URL is required');
     
@@ -72,14 +72,8 @@ module.exports = () => {
       throw new Error('Invalid message format: message content must be a string');
     }
     
-    // Personalize the subject line
-    let personalizedSubject = subject;
-    if (lead && lead.company && subject.includes('{company}')) {
-      personalizedSubject = subject.replace(/{company}/g, lead.company);
-    }
-    
     console.log(`Sending message to ${leadUrl}`);
-    console.log(`Subject: ${personalizedSubject}`);
+    console.log(`Subject: ${subject}`);
     console.log(`Message length: ${messageContent.length} characters`);
     
     if (!page) {
@@ -105,7 +99,7 @@ module.exports = () => {
       // Fill in the subject if available
       console.log('Filling in subject...');
       try {
-        await page.type('input._subject-field_jrrmou', personalizedSubject);
+        await page.type('input._subject-field_jrrmou', subject);
         await randomDelay(1000, 2000); // Random delay 1-2 seconds
       } catch (subjectError) {
         console.log('Could not find subject field, continuing without subject');
@@ -141,5 +135,8 @@ module.exports = () => {
     console.log('Browser closed.');
   };
 
-  return { initializeBrowser, sendMessage, closeBrowser };
+  // The launched browser, so the job queue watchdog can kill it if the job hangs
+  const getBrowser = () => browser;
+
+  return { initializeBrowser, sendMessage, closeBrowser, getBrowser };
 };
\ No newline at end of file
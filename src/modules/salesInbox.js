@@ -0,0 +1,134 @@
+const puppeteer = require('puppeteer');
+const createLogger = require('../utils/logger');
+const logger = createLogger();
+
+const INBOX_URL = 'https://www.linkedin.com/sales/inbox';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Random delay between min and max milliseconds
+const randomDelay = (min, max) =>
+  delay(Math.floor(Math.random() * (max - min + 1)) + min);
+
+module.exports = () => {
+  let browser = null;
+  let page = null;
+
+  // Initialize the browser (called once per session)
+  const initializeBrowser = async (cookies) => {
+    logger.info('Launching Puppeteer with dynamic cookies...');
+    browser = await puppeteer.launch({
+      headless: true,
+      args: ['--start-maximized', '--no-sandbox', '--disable-setuid-sandbox'],
+    });
+
+    page = await browser.newPage();
+    await page.setViewport({ width: 1280, height: 800 });
+
+    // Set cookies for authentication
+    await page.setCookie(
+      { name: 'li_at', value: cookies.li_at, domain: '.linkedin.com', path: '/', httpOnly: true, secure: true },
+      { name: 'li_a', value: cookies.li_a, domain: '.linkedin.com', path: '/', httpOnly: true, secure: true }
+    );
+
+    await page.goto(INBOX_URL, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    if (page.url().includes('/login')) {
+      throw new Error('Failed to log in to LinkedIn with provided cookies');
+    }
+
+    logger.info('Browser initialized successfully.');
+  };
+
+  // Links to the most recent conversations in the inbox list, newest first
+  const listThreadUrls = async (maxThreads) => {
+    await page.waitForSelector('a[href*="/sales/inbox/"]', { timeout: 15000 });
+
+    let urls = [];
+    for (let scrolls = 0; scrolls < 10; scrolls++) {
+      urls = await page.evaluate(() => {
+        const links = Array.from(document.querySelectorAll('a[href*="/sales/inbox/"]'));
+        return [...new Set(links.map((link) => link.href.split('?')[0]))];
+      });
+      if (urls.length >= maxThreads) break;
+
+      // The list loads more conversations as it is scrolled
+      const grew = await page.evaluate(() => {
+        const list = document.querySelector('a[href*="/sales/inbox/"]')?.closest('ul');
+        const scroller = list?.parentElement;
+        if (!scroller) return false;
+        const before = scroller.scrollTop;
+        scroller.scrollTop = scroller.scrollHeight;
+        return scroller.scrollTop > before;
+      });
+      if (!grew) break;
+      await randomDelay(1000, 2000);
+    }
+
+    return urls.slice(0, maxThreads);
+  };
+
+  // Read one conversation: the other participant and the messages, oldest first
+  const readThread = async (threadUrl) => {
+    await page.goto(threadUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    await page.waitForSelector('article, li.message-item', { timeout: 15000 });
+
+    return page.evaluate(() => {
+      const profileLink = document.querySelector('a[href*="/sales/lead/"], a[href*="/sales/people/"], a[href*="/in/"]');
+      const name = profileLink?.textContent.trim()
+        || document.querySelector('h2, [data-anonymize="person-name"]')?.textContent.trim()
+        || null;
+
+      const items = Array.from(document.querySelectorAll('article, li.message-item'));
+      const messages = items.map((item) => {
+        const sender = item.querySelector('address, [data-anonymize="person-name"], .message-item__sender')?.textContent.trim() || '';
+        const time = item.querySelector('time');
+        const body = item.querySelector('[data-anonymize="general-blurb"], .message-content, p');
+        return {
+          fromMe: sender === 'You' || sender.startsWith('You '),
+          sentAt: time?.getAttribute('datetime') ? new Date(time.getAttribute('datetime')).toISOString() : null,
+          text: body ? body.textContent : ''
+        };
+      }).filter((message) => message.text.trim() !== '');
+
+      return { profileUrl: profileLink ? profileLink.href : null, name, messages };
+    });
+  };
+
+  // Read the most recent conversations. Threads that can't be read are skipped and counted.
+  const readThreads = async ({ maxThreads = 50, onThread } = {}) => {
+    if (!page) {
+      throw new Error('Browser not initialized. Call initializeBrowser first.');
+    }
+
+    const urls = await listThreadUrls(maxThreads);
+    logger.info(`Found ${urls.length} conversations in the inbox`);
+
+    const threads = [];
+    let failed = 0;
+    for (const [index, url] of urls.entries()) {
+      try {
+        threads.push({ url, ...(await readThread(url)) });
+      } catch (error) {
+        logger.warn(`Could not read conversation ${url}: ${error.message}`);
+        failed++;
+      }
+      await onThread?.(index + 1, urls.length);
+      await randomDelay(1500, 3000);
+    }
+
+    return { threads, failed };
+  };
+
+  // Close the browser (called at the end of the session)
+  const closeBrowser = async () => {
+    if (page) await page.close();
+    if (browser) await browser.close();
+    logger.info('Browser closed.');
+  };
+
+  // The launched browser, so the job queue watchdog can kill it if the job hangs
+  const getBrowser = () => browser;
+
+  return { initializeBrowser, readThreads, closeBrowser, getBrowser };
+};
@@ -0,0 +1,156 @@
+const createLogger = require('../utils/logger');
+
+const logger = createLogger();
+
+// Custom delay function to replace page.waitForTimeout
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The profile's own header, whose action bar belongs to the person viewed. Buttons elsewhere on the
+// page, e.g. "Connect" on "People also viewed" suggestions, say nothing about this invitation.
+// Standard profiles first, then the Sales Navigator lead header around its overflow menu.
+const TOP_CARD_SELECTORS = [
+  'main section.artdeco-card:first-of-type',
+  '.pv-top-card',
+  'section:has(button[id^="hue-menu-trigger-ember"][class*="_overflow-menu--trigger_1xow7n"])'
+];
+
+// Where the profile shows its connection degree, e.g. "· 1st"
+const DEGREE_SELECTORS = ['.dist-value', 'span._name-sublabel--no-pronunciation_sqh8tm'];
+
+const withdrawConnectionRequest = (page) => {
+  // Read the connection state from the action buttons and degree in the profile's top card
+  const getConnectionState = () => page.evaluate((topCardSelectors, degreeSelectors) => {
+    const topCard = topCardSelectors.map(selector => document.querySelector(selector)).find(Boolean);
+    if (!topCard) return 'missing';
+
+    const buttons = Array.from(topCard.querySelectorAll('button'));
+    const labels = buttons.map(button => `${button.getAttribute('aria-label') || ''} ${button.textContent.trim()}`);
+
+    if (labels.some(label => label.includes('Pending'))) return 'pending';
+    // "Connected" contains "Connect", so it is checked first
+    if (labels.some(label => label.includes('Remove connection') || label.includes('Connected'))) return 'connected';
+
+    // 1st-degree profiles often show only "Message", the degree tells them apart
+    const degree = degreeSelectors.map(selector => topCard.querySelector(selector)).find(Boolean);
+    if (degree && /\b1st\b/.test(degree.textContent)) return 'connected';
+
+    if (labels.some(label => label.includes('Connect'))) return 'not_pending';
+
+    return 'unknown';
+  }, TOP_CARD_SELECTORS, DEGREE_SELECTORS);
+
+  // Sales Navigator profiles don't offer withdrawal, so move to the standard profile first
+  const openStandardProfile = async () => {
+    const threeDotsSelector = 'button[id^="hue-menu-trigger-ember"][class*="_overflow-menu--trigger_1xow7n"]';
+    const threeDots = await page.$(threeDotsSelector);
+    if (!threeDots) return false;
+
+    const ariaControls = await page.evaluate((selector) => {
+      const button = document.querySelector(selector);
+      return button ? button.getAttribute('aria-controls') : null;
+    }, threeDotsSelector);
+
+    if (!ariaControls) {
+      throw new Error('Could not find aria-controls attribute on the three dots button');
+    }
+
+    await page.click(threeDotsSelector);
+    await page.waitForSelector(`div#${ariaControls}[aria-hidden="false"]`, { visible: true, timeout: 10000 });
+
+    const standardProfileUrl = await page.evaluate((selector) => {
+      const links = Array.from(document.querySelectorAll(selector));
+      const link = links.find(item => item.textContent.trim() === 'View LinkedIn profile');
+      return link ? link.getAttribute('href') : null;
+    }, `div#${ariaControls}[aria-hidden="false"] li a._item_1xnv7i`);
+
+    if (!standardProfileUrl) {
+      throw new Error('Could not extract standard LinkedIn profile URL from the menu');
+    }
+
+    logger.info(`Found standard LinkedIn profile URL: ${standardProfileUrl}`);
+    await page.goto(standardProfileUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+    return true;
+  };
+
+  const withdrawRequest = async (linkedinUrl) => {
+    try {
+      logger.info(`Navigating to profile: ${linkedinUrl}`);
+      await page.goto(linkedinUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+
+      let state = await getConnectionState();
+      if ((state === 'unknown' || state === 'missing') && await openStandardProfile()) {
+        state = await getConnectionState();
+      }
+
+      if (state === 'missing') {
+        throw new Error('Profile top card not found');
+      }
+
+      // Nothing to withdraw here. Whether the invitation was accepted, expired or is still pending
+      // somewhere we can't see is left to the connection check.
+      if (state !== 'pending') {
+        logger.info(`No pending invitation to withdraw on ${linkedinUrl} (${state})`);
+        return { success: true, status: state };
+      }
+
+      // Clicking "Pending" opens the withdrawal confirmation
+      await page.evaluate((topCardSelectors) => {
+        const topCard = topCardSelectors.map(selector => document.querySelector(selector)).find(Boolean);
+        const button = Array.from(topCard.querySelectorAll('button'))
+          .find(item => `${item.getAttribute('aria-label') || ''} ${item.textContent.trim()}`.includes('Pending'));
+        if (button) button.click();
+      }, TOP_CARD_SELECTORS);
+      logger.info('Clicked the "Pending" button');
+
+      const modalSelector = 'div.artdeco-modal';
+      await page.waitForSelector(modalSelector, { visible: true, timeout: 15000 });
+      await delay(1000);
+
+      const confirmed = await page.evaluate((selector) => {
+        const modal = document.querySelector(selector);
+        const button = modal && Array.from(modal.querySelectorAll('button'))
+          .find(item => item.textContent.trim() === 'Withdraw');
+        if (!button) return false;
+        button.click();
+        return true;
+      }, modalSelector);
+
+      if (!confirmed) {
+        throw new Error('"Withdraw" button not found in the confirmation dialog');
+      }
+      logger.info('Clicked the "Withdraw" button');
+
+      // Add a delay after clicking
+      await delay(2000);
+
+      // Check for error messages or CAPTCHAs
+      const errorMessage = await page.evaluate(() => {
+        const error = document.querySelector('div.error-container, div[role="alert"]');
+        return error ? error.textContent.trim() : null;
+      });
+      if (errorMessage && !errorMessage.toLowerCase().includes('withdrawn')) {
+        throw new Error(`LinkedIn error after clicking "Withdraw": ${errorMessage}`);
+      }
+
+      const captcha = await page.$('iframe[src*="challenge"]');
+      if (captcha) {
+        throw new Error('CAPTCHA detected after clicking "Withdraw". Manual intervention required.');
+      }
+
+      // The profile offers "Connect" again once the invitation is gone
+      if (await getConnectionState() === 'pending') {
+        throw new Error('Invitation still pending after clicking "Withdraw"');
+      }
+
+      logger.success(`Withdrew connection request to ${linkedinUrl}`);
+      return { success: true, status: 'withdrawn' };
+    } catch (error) {
+      logger.error(`Failed to withdraw connection request to ${linkedinUrl}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  };
+
+  return { withdrawRequest };
+};
+
+module.exports = withdrawConnectionRequest;
@@ -1,10 +1,10 @@
 require('dotenv').config();
-const cron = require('node-cron');
 const { createClient } = require('@supabase/supabase-js');
-const fetch = require('node-fetch');
 const createLogger = require('../utils/logger');
 const { withTimeout } = require('../utils/databaseUtils');
-const { bot } = require('../telegramBot');
+const automationPause = require('../utils/automationPause');
+const { startConnectionCheck } = require('../services/jobService');
+const { createDryRunReport, addCampaign, skip, scopeCampaignQuery } = require('../utils/dryRun');
 
 const logger = createLogger();
 
@@ -14,13 +14,6 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Validate Telegram configuration
-const TELEGRAM_NOTIFICATION_CHAT_ID = process.env.TELEGRAM_NOTIFICATION_CHAT_ID;
-if (!TELEGRAM_NOTIFICATION_CHAT_ID) {
-  logger.error('Missing Telegram configuration: TELEGRAM_NOTIFICATION_CHAT_ID must be set in .env');
-  process.exit(1);
-}
-
 // Configuration constants
 const CHECK_SCHEDULE = {
   runHours: [
@@ -37,8 +30,8 @@ const CHECK_SCHEDULE = {
 // Utility function to add a delay
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Lock variable to prevent overlapping runs
-let isProcessing = false;
+// Default schedule: run every hour
+const CRON_EXPRESSION = '0 * * * *';
 
 // Campaign cooldown tracking
 const campaignCooldowns = new Map();
@@ -89,14 +82,16 @@ async function logActivity(campaignId, status, counts = {}, error = null, detail
   }
 }
 
-// Function to process connection checks for a campaign
-async function processConnectionChecks(campaign) {
+// Function to process connection checks for a campaign.
+// In a dry run, entry is the campaign's entry in the report and nothing is queued or recorded.
+async function processConnectionChecks(campaign, options = {}, entry = null) {
   if (isInCooldown(campaign.id)) {
     logger.info(`Campaign ${campaign.id} is in cooldown period, skipping...`);
+    skip(entry, 'cooldown', { cooldownUntil: new Date(campaignCooldowns.get(campaign.id)).toISOString() });
     return;
   }
 
-  const activityLogId = await logActivity(campaign.id, 'running');
+  const activityLogId = entry ? null : await logActivity(campaign.id, 'running');
   
   try {
     // Get profiles that need checking
@@ -120,6 +115,20 @@ async function processConnectionChecks(campaign) {
       throw new Error(`Failed to fetch profiles: ${fetchError.message}`);
     }
 
+    if (entry) {
+      Object.assign(entry, {
+        action: profiles?.length ? 'check' : 'skip',
+        skipReason: profiles?.length ? null : 'no_profiles_to_check',
+        profiles: (profiles || []).map((profile) => ({
+          profileId: profile.id,
+          name: [profile.first_name, profile.last_name].filter(Boolean).join(' '),
+          linkedin: profile.linkedin || null,
+          lastChecked: profile.last_checked || null
+        }))
+      });
+      return;
+    }
+
     if (!profiles || profiles.length === 0) {
       logger.info(`No profiles to check for campaign ${campaign.id}`);
       await logActivity(campaign.id, 'success', 
@@ -132,40 +141,35 @@ async function processConnectionChecks(campaign) {
 
     logger.info(`Found ${profiles.length} profiles to check for campaign ${campaign.id}`);
 
-    // Send check request
-    const response = await fetch('http://localhost:8080/api/check-connection-requests', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
+    // Queue the check
+    let job;
+    try {
+      ({ job } = await startConnectionCheck(supabase, {
         campaignId: campaign.id,
         maxProfiles: profiles.length,
-        batchSize: CHECK_SCHEDULE.batchSize
-      })
-    });
-
-    const result = await response.json();
-
-    if (!result.success) {
+        batchSize: CHECK_SCHEDULE.batchSize,
+        priority: options.priority
+      }));
+    } catch (error) {
       // If we detect LinkedIn resistance, set cooldown
-      if (result.error?.includes('LinkedIn')) {
+      if (error.message.includes('LinkedIn')) {
         setCampaignCooldown(campaign.id);
       }
-      throw new Error(result.error || 'Failed to check connection requests');
+      throw error;
     }
 
-    // Log success
-    await logActivity(campaign.id, 'success', {
-      total: result.totalProcessed || 0,
-      successful: result.successfulChecks || 0,
-      failed: result.failedChecks || 0
-    }, null, {
-      accepted: result.acceptedConnections || 0,
-      pending: result.stillPending || 0,
-      notFound: result.notFound || 0
-    });
+    // The job logs its own results as it checks each profile
+    await logActivity(campaign.id, 'success',
+      { total: profiles.length },
+      null,
+      { message: 'Connection check queued', jobId: job.job_id }
+    );
 
   } catch (error) {
     logger.error(`Error checking connections for campaign ${campaign.id}: ${error.message}`);
+
+    // A dry run doesn't record anything
+    if (entry) throw error;
     
     await logActivity(campaign.id, 'failed', 
       { total: 0, successful: 0, failed: 0 }, 
@@ -175,66 +179,75 @@ async function processConnectionChecks(campaign) {
 }
 
 // Main scheduler function
-async function checkAndProcessCampaigns() {
-  if (isProcessing) {
-    logger.warn('Another connection check process is already running. Skipping this run.');
-    return;
+/**
+ * @param {Object} [options]
+ * @param {string} [options.priority] - Job queue priority class for the jobs this run queues, e.g. 'manual'
+ * @param {boolean} [options.dryRun] - Report the profiles the run would check instead of queueing jobs
+ * @param {number|string} [options.campaignId] - Only simulate this campaign, in a dry run
+ * @returns {Promise<Object|undefined>} The dry run report, in a dry run
+ */
+async function checkAndProcessCampaigns(options = {}) {
+  const report = options.dryRun ? createDryRunReport('check-connections', options) : null;
+
+  if (automationPause.isGloballyPaused()) {
+    logger.info('Automation is paused, skipping connection check run.');
+    skip(report, 'automation_paused');
+    return report || undefined;
   }
 
   const currentHour = new Date().getHours();
   if (!CHECK_SCHEDULE.runHours.includes(currentHour)) {
     logger.info(`Current hour (${currentHour}) is not in schedule, skipping...`);
-    return;
+    skip(report, 'outside_run_hours', { runHours: CHECK_SCHEDULE.runHours });
+    return report || undefined;
   }
 
-  isProcessing = true;
-  try {
-    // Get all active campaigns with automation enabled
-    const { data: campaigns, error } = await withTimeout(
+  // Get all active campaigns with automation enabled
+  const { data: campaigns, error } = await withTimeout(
+    scopeCampaignQuery(
       supabase
         .from('campaigns')
         .select('*')
-        .eq('status', 'active')
-        .eq('automation_enabled', true),
-      10000,
-      'Timeout while fetching active campaigns'
-    );
+        .eq('status', 'active'),
+      options
+    ),
+    10000,
+    'Timeout while fetching active campaigns'
+  );
+
+  if (error) {
+    throw error;
+  }
 
-    if (error) {
-      throw error;
-    }
+  if (!campaigns || campaigns.length === 0) {
+    logger.info('No active campaigns found with automation enabled');
+    return report || undefined;
+  }
 
-    if (!campaigns || campaigns.length === 0) {
-      logger.info('No active campaigns found with automation enabled');
-      return;
+  // Process each campaign
+  for (const campaign of campaigns) {
+    const entry = addCampaign(report, campaign);
+
+    if (automationPause.isPaused(campaign.id)) {
+      logger.info(`Skipping campaign ${campaign.id} - paused`);
+      skip(entry, 'paused');
+      continue;
     }
 
-    // Process each campaign
-    for (const campaign of campaigns) {
-      logger.info(`Processing connection checks for campaign ${campaign.id}`);
-      await processConnectionChecks(campaign);
+    logger.info(`Processing connection checks for campaign ${campaign.id}`);
+    await processConnectionChecks(campaign, options, entry);
+    if (!report) {
       await delay(5000); // 5 second delay between campaigns
     }
-
-  } catch (error) {
-    logger.error(`Error in connection check scheduler: ${error.message}`);
-    // Only notify on critical scheduler-level errors
-    await bot.sendMessage(TELEGRAM_NOTIFICATION_CHAT_ID, 
-      `⚠️ Critical error in connection check scheduler: ${error.message}\nScheduler may need attention.`);
-  } finally {
-    isProcessing = false;
   }
-}
 
-// Schedule the task to run every hour
-logger.info('Starting connection check scheduler...');
-cron.schedule('0 * * * *', async () => {
-  await checkAndProcessCampaigns();
-});
+  return report || undefined;
+}
 
-// Export for testing
+// Export for the scheduler registry and testing
 module.exports = {
   checkAndProcessCampaigns,
   processConnectionChecks,
-  CHECK_SCHEDULE
+  CHECK_SCHEDULE,
+  CRON_EXPRESSION
 }; 
\ No newline at end of file
@@ -1,10 +1,11 @@
 require('dotenv').config();
-const cron = require('node-cron');
 const { createClient } = require('@supabase/supabase-js');
-const fetch = require('node-fetch');
 const createLogger = require('../utils/logger');
 const { withTimeout } = require('../utils/databaseUtils');
 const { bot } = require('../telegramBot');
+const automationPause = require('../utils/automationPause');
+const { startCookieCheck } = require('../services/jobService');
+const { createDryRunReport, addCampaign, skip, scopeCampaignQuery } = require('../utils/dryRun');
 
 const logger = createLogger();
 
@@ -14,12 +15,7 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Validate Telegram configuration
 const TELEGRAM_NOTIFICATION_CHAT_ID = process.env.TELEGRAM_NOTIFICATION_CHAT_ID;
-if (!TELEGRAM_NOTIFICATION_CHAT_ID) {
-  logger.error('Missing Telegram configuration: TELEGRAM_NOTIFICATION_CHAT_ID must be set in .env');
-  process.exit(1);
-}
 
 // Randomize the interval between 50 and 70 minutes
 const getRandomInterval = () => {
@@ -29,101 +25,98 @@ const getRandomInterval = () => {
   return randomMinutes;
 };
 
+// Default schedule, picked once per process start
+const CRON_EXPRESSION = `0 */${getRandomInterval()} * * * *`;
+
 // Utility function to add a delay
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Lock variable to prevent overlapping checks
-let isChecking = false;
-
-// Function to check cookies for all active campaigns
-const checkCookiesForActiveCampaigns = async () => {
-  if (isChecking) {
-    logger.warn('Another cookie check is already in progress. Skipping this run.');
-    return;
+/**
+ * Check cookies for all active campaigns
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report the campaigns the run would check instead of checking them
+ * @param {number|string} [options.campaignId] - Only simulate this campaign, in a dry run
+ * @returns {Promise<Object|undefined>} The dry run report, in a dry run
+ */
+const checkCookiesForActiveCampaigns = async (options = {}) => {
+  const report = options.dryRun ? createDryRunReport('check-cookies', options) : null;
+
+  if (automationPause.isGloballyPaused()) {
+    logger.info('Automation is paused, skipping cookie check run.');
+    skip(report, 'automation_paused');
+    return report || undefined;
   }
 
-  isChecking = true;
-  try {
-    logger.info('Starting scheduled cookie check for active campaigns...');
+  logger.info('Starting scheduled cookie check for active campaigns...');
 
-    // Fetch all active campaigns
-    const { data: campaigns, error } = await withTimeout(
+  // Fetch all active campaigns
+  const { data: campaigns, error } = await withTimeout(
+    scopeCampaignQuery(
       supabase
         .from('campaigns')
-        .select('id, name')
+        .select('id, name, automation_enabled')
         .eq('status', 'active'),
-      10000,
-      'Timeout while fetching active campaigns'
-    );
+      options,
+      { automationOnly: false }
+    ),
+    10000,
+    'Timeout while fetching active campaigns'
+  );
+
+  if (error || !campaigns || campaigns.length === 0) {
+    logger.warn(`No active campaigns found: ${error?.message || 'No data'}`);
+    return report || undefined;
+  }
+
+  logger.info(`Found ${campaigns.length} active campaigns.`);
 
-    if (error || !campaigns || campaigns.length === 0) {
-      logger.warn(`No active campaigns found: ${error?.message || 'No data'}`);
-      return;
+  // Check cookies for each campaign sequentially with a delay
+  for (const campaign of campaigns) {
+    const entry = addCampaign(report, campaign);
+
+    if (automationPause.isPaused(campaign.id)) {
+      logger.info(`Skipping campaign ${campaign.id} - paused`);
+      skip(entry, 'paused');
+      continue;
     }
 
-    logger.info(`Found ${campaigns.length} active campaigns.`);
-
-    // Check cookies for each campaign sequentially with a delay
-    for (const campaign of campaigns) {
-      try {
-        logger.info(`Checking cookies for campaign ${campaign.id} (${campaign.name})`);
-        const response = await fetch('http://localhost:8080/api/check-cookies', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ campaignId: campaign.id }),
-        });
-
-        const result = await response.json();
-
-        if (!result.success) {
-          logger.error(`Failed to check cookies for campaign ${campaign.id}: ${result.error}`);
-          continue;
-        }
-
-        if (result.cookiesStatus === 'invalid') {
-          const message = `⚠️ Invalid cookies detected for campaign ${campaign.id} (${campaign.name}). Please update the cookies.`;
-          await bot.sendMessage(TELEGRAM_NOTIFICATION_CHAT_ID, message);
-          logger.info(`Sent Telegram notification for invalid cookies in campaign ${campaign.id}`);
-        }
-
-        // Add a 5-second delay between campaigns to avoid overwhelming LinkedIn or the machine
-        logger.info(`Waiting 5 seconds before checking the next campaign...`);
-        await delay(5000);
-      } catch (error) {
-        logger.error(`Error checking cookies for campaign ${campaign.id}: ${error.message}`);
-      }
+    // Checking cookies opens LinkedIn, so a dry run stops at listing the campaign
+    if (entry) {
+      entry.action = 'check';
+      continue;
     }
 
-    logger.info('Completed scheduled cookie check.');
-  } catch (error) {
-    logger.error(`Error in scheduled cookie check: ${error.message}`);
-  } finally {
-    isChecking = false; // Release the lock
-  }
-};
+    try {
+      logger.info(`Checking cookies for campaign ${campaign.id} (${campaign.name})`);
+      const { job, completion } = await startCookieCheck(supabase, { campaignId: campaign.id });
 
-// Schedule the task with a random interval
-let scheduledTask = null;
+      // Cookie checks run outside the queue, so wait for this one before moving on to the next campaign
+      const result = await completion;
+      if (!result) {
+        logger.error(`Failed to check cookies for campaign ${campaign.id}, see job ${job.job_id}`);
+        continue;
+      }
 
-const scheduleTask = () => {
-  if (scheduledTask) {
-    scheduledTask.stop(); // Stop the previous schedule if it exists
-  }
+      if (result.cookiesStatus === 'invalid') {
+        const message = `⚠️ Invalid cookies detected for campaign ${campaign.id} (${campaign.name}). Please update the cookies.`;
+        await bot.sendMessage(TELEGRAM_NOTIFICATION_CHAT_ID, message);
+        logger.info(`Sent Telegram notification for invalid cookies in campaign ${campaign.id}`);
+      }
 
-  const intervalMinutes = getRandomInterval();
-  const cronExpression = `0 */${intervalMinutes} * * * *`; // Run every X minutes
-  logger.info(`Scheduling cookie check to run every ${intervalMinutes} minutes.`);
+      // Add a 5-second delay between campaigns to avoid overwhelming LinkedIn or the machine
+      logger.info(`Waiting 5 seconds before checking the next campaign...`);
+      await delay(5000);
+    } catch (error) {
+      logger.error(`Error checking cookies for campaign ${campaign.id}: ${error.message}`);
+    }
+  }
 
-  scheduledTask = cron.schedule(cronExpression, async () => {
-    await checkCookiesForActiveCampaigns();
-  });
+  logger.info('Completed scheduled cookie check.');
+  return report || undefined;
 };
 
-// Export the main function for manual triggering
+// Export the main function and its default schedule for the scheduler registry
 module.exports = {
-  checkCookiesForActiveCampaigns
+  checkCookiesForActiveCampaigns,
+  CRON_EXPRESSION
 };
-
-// Start the scheduler
-logger.info('Starting cookie check scheduler...');
-scheduleTask();
\ No newline at end of file
@@ -0,0 +1,347 @@
+/**
+ * Central registry for the cron schedulers. It starts them, keeps each one from overlapping
+ * itself, records their runs and applies the enabled flags and cron overrides stored in scheduler_settings.
+ * Every instance of the app schedules the same crons; a run only goes ahead on the instance that
+ * takes the scheduler's lease, so the others skip it.
+ * @module scheduler/schedulerRegistry
+ */
+
+const cron = require('node-cron');
+// node-cron 3 has no next-run API, so the next run is found with the same matcher it fires on
+const TimeMatcher = require('node-cron/src/time-matcher');
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const leaseManager = require('../utils/leaseManager');
+const { bot } = require('../telegramBot');
+
+const cookieScheduler = require('./checkCookiesScheduler');
+const checkConnectionsScheduler = require('./checkConnectionRequestsScheduler');
+const sendConnectionsScheduler = require('./sendConnectionsScheduler');
+const messagingScheduler = require('./sendConnectionMessagesScheduler');
+const withdrawInvitationsScheduler = require('./withdrawStaleInvitationsScheduler');
+const syncRepliesScheduler = require('./syncRepliesScheduler');
+
+// How often scheduler_settings is re-read, so cron overrides edited in the database apply without a restart
+const SETTINGS_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+// How far ahead to look for the next run of a cron expression
+const NEXT_RUN_LOOKAHEAD_MINUTES = 8 * 24 * 60;
+
+/**
+ * First time after `from` that a cron expression fires
+ * @param {string} expression - Cron expression
+ * @param {Date} [from] - Defaults to now
+ * @returns {Date|null} null when it doesn't fire within the lookahead
+ */
+const getNextRun = (expression, from = new Date()) => {
+  const matcher = new TimeMatcher(expression);
+  const seconds = matcher.expressions[0].split(',').map(Number).sort((a, b) => a - b);
+  const minute = new Date(from);
+  minute.setSeconds(0, 0);
+
+  for (let i = 0; i <= NEXT_RUN_LOOKAHEAD_MINUTES; i++) {
+    for (const second of seconds) {
+      const candidate = new Date(minute.getTime() + second * 1000);
+      if (candidate > from && matcher.match(candidate)) return candidate;
+    }
+    minute.setMinutes(minute.getMinutes() + 1);
+  }
+
+  return null;
+};
+
+/**
+ * Owns the cron tasks of every registered scheduler
+ * @class SchedulerRegistry
+ */
+class SchedulerRegistry {
+  /**
+   * Create a new SchedulerRegistry
+   */
+  constructor() {
+    this.supabase = null;
+    this.schedulers = new Map(); // name -> scheduler entry
+    this.refreshTimer = null;
+    this.logger = createLogger();
+  }
+
+  /**
+   * Register a scheduler. It starts running on its cron expression once the registry is initialized.
+   * @param {Object} definition
+   * @param {string} definition.name - Name used by the API, e.g. 'send-messages'
+   * @param {string} definition.description - Label for logs and notifications
+   * @param {string} definition.cronExpression - Default cron expression
+   * @param {Function} definition.run - Called with run options, e.g. { priority: 'manual' }
+   */
+  register({ name, description, cronExpression, run }) {
+    this.schedulers.set(name, {
+      name,
+      description,
+      run,
+      defaultCronExpression: cronExpression,
+      cronExpression,
+      enabled: true,
+      task: null,
+      running: false,
+      lastRunAt: null,
+      lastResult: null
+    });
+  }
+
+  /**
+   * Load the stored settings and start the cron tasks
+   * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+   * @returns {Promise<void>}
+   */
+  async initialize(supabase) {
+    this.supabase = supabase;
+    await this.loadSettings();
+
+    for (const entry of this.schedulers.values()) {
+      this.schedule(entry);
+    }
+
+    this.refreshTimer = setInterval(() => {
+      this.loadSettings().catch((error) => {
+        this.logger.error(`Failed to refresh scheduler settings: ${error.message}`);
+      });
+    }, SETTINGS_REFRESH_INTERVAL);
+    this.refreshTimer.unref();
+
+    this.logger.info(`Started schedulers: ${[...this.schedulers.keys()].join(', ')}`);
+  }
+
+  /**
+   * Apply scheduler_settings. Schedulers without a row keep their defaults;
+   * an invalid cron override is logged and ignored.
+   * @returns {Promise<void>}
+   */
+  async loadSettings() {
+    const { data: settings, error } = await withTimeout(
+      this.supabase
+        .from('scheduler_settings')
+        .select('name, enabled, cron_expression'),
+      10000,
+      'Timeout while fetching scheduler settings'
+    );
+
+    if (error) {
+      this.logger.error(`Failed to load scheduler settings, keeping current ones: ${error.message}`);
+      return;
+    }
+
+    const byName = new Map((settings || []).map((row) => [row.name, row]));
+
+    for (const entry of this.schedulers.values()) {
+      const row = byName.get(entry.name);
+      let cronExpression = row?.cron_expression || entry.defaultCronExpression;
+      if (!cron.validate(cronExpression)) {
+        this.logger.error(`Invalid cron expression "${cronExpression}" for scheduler ${entry.name}, using ${entry.defaultCronExpression}`);
+        cronExpression = entry.defaultCronExpression;
+      }
+      const enabled = row ? row.enabled !== false : true;
+
+      if (cronExpression !== entry.cronExpression || enabled !== entry.enabled) {
+        entry.cronExpression = cronExpression;
+        entry.enabled = enabled;
+        // Before initialize() there are no tasks yet to reschedule
+        if (this.refreshTimer) this.schedule(entry);
+      }
+    }
+  }
+
+  /**
+   * (Re)create a scheduler's cron task from its current settings
+   * @param {Object} entry - Scheduler entry
+   */
+  schedule(entry) {
+    if (entry.task) {
+      entry.task.stop();
+      entry.task = null;
+    }
+
+    if (!entry.enabled) {
+      this.logger.info(`Scheduler ${entry.name} is disabled`);
+      return;
+    }
+
+    entry.task = cron.schedule(entry.cronExpression, () => this.run(entry.name, {}, 'cron'));
+    this.logger.info(`Scheduled ${entry.name} with "${entry.cronExpression}"`);
+  }
+
+  /**
+   * Whether a scheduler is registered
+   * @param {string} name - Scheduler name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.schedulers.has(name);
+  }
+
+  /**
+   * Run a scheduler now. A run is skipped while the previous one is still going, here or on another instance.
+   * @param {string} name - Scheduler name
+   * @param {Object} [options] - Passed to the scheduler, e.g. { priority: 'manual' }
+   * @param {string} [trigger] - 'cron' or 'manual'
+   * @returns {Promise<Object>} The run's result
+   */
+  async run(name, options = {}, trigger = 'manual') {
+    const entry = this.schedulers.get(name);
+    if (!entry) {
+      throw new Error(`Unknown scheduler: ${name}`);
+    }
+
+    if (entry.running) {
+      this.logger.warn(`Scheduler ${name} is already running. Skipping this ${trigger} run.`);
+      return { status: 'skipped', trigger, reason: 'already_running' };
+    }
+
+    entry.running = true;
+    entry.lastRunAt = new Date().toISOString();
+    const startTime = Date.now();
+
+    try {
+      const { acquired } = await leaseManager.withLease(`scheduler:${name}`, () => entry.run(options));
+      if (!acquired) {
+        this.logger.info(`Scheduler ${name} is running on another instance. Skipping this ${trigger} run.`);
+        entry.lastResult = { status: 'skipped', trigger, durationMs: Date.now() - startTime, error: null, reason: 'running_elsewhere' };
+      } else {
+        entry.lastResult = { status: 'success', trigger, durationMs: Date.now() - startTime, error: null };
+      }
+    } catch (error) {
+      this.logger.error(`Error in ${entry.description} scheduler: ${error.message}`);
+      entry.lastResult = { status: 'failed', trigger, durationMs: Date.now() - startTime, error: error.message };
+
+      // Only notify on critical scheduler-level errors
+      try {
+        await bot.sendMessage(process.env.TELEGRAM_NOTIFICATION_CHAT_ID,
+          `⚠️ Critical error in ${entry.description} scheduler: ${error.message}\nScheduler may need attention.`);
+      } catch (notifyError) {
+        this.logger.error(`Failed to send scheduler error notification: ${notifyError.message}`);
+      }
+    } finally {
+      entry.running = false;
+      entry.lastResult.finishedAt = new Date().toISOString();
+    }
+
+    return entry.lastResult;
+  }
+
+  /**
+   * Dry-run a scheduler: it goes through its campaign selection and checks and reports what it
+   * would queue, without queueing anything. Dry runs don't take the scheduler's lock or lease and
+   * aren't recorded as its last run.
+   * @param {string} name - Scheduler name
+   * @param {Object} [options] - Passed to the scheduler, e.g. { campaignId: 12 }
+   * @returns {Promise<Object>} The scheduler's dry run report
+   */
+  async simulate(name, options = {}) {
+    const entry = this.schedulers.get(name);
+    if (!entry) {
+      throw new Error(`Unknown scheduler: ${name}`);
+    }
+
+    this.logger.info(`Dry-running scheduler ${name}${options.campaignId ? ` for campaign ${options.campaignId}` : ''}`);
+    return entry.run({ ...options, dryRun: true });
+  }
+
+  /**
+   * Enable or disable a scheduler's cron runs and store the choice. Manual runs still work while disabled.
+   * @param {string} name - Scheduler name
+   * @param {boolean} enabled - Whether cron runs should happen
+   * @returns {Promise<Object|null>} The scheduler's status, or null if there is no such scheduler
+   */
+  async setEnabled(name, enabled) {
+    const entry = this.schedulers.get(name);
+    if (!entry) return null;
+
+    const { error } = await withTimeout(
+      this.supabase
+        .from('scheduler_settings')
+        .upsert({ name, enabled, updated_at: new Date().toISOString() }, { onConflict: 'name' }),
+      10000,
+      'Timeout while updating scheduler settings'
+    );
+
+    if (error) {
+      throw new Error(`Failed to update scheduler ${name}: ${error.message}`);
+    }
+
+    if (entry.enabled !== enabled) {
+      entry.enabled = enabled;
+      this.schedule(entry);
+    }
+
+    this.logger.info(`${enabled ? 'Enabled' : 'Disabled'} scheduler ${name}`);
+    return this.describe(entry);
+  }
+
+  /**
+   * Public view of a scheduler
+   * @param {Object} entry - Scheduler entry
+   * @returns {Object}
+   */
+  describe(entry) {
+    return {
+      name: entry.name,
+      description: entry.description,
+      enabled: entry.enabled,
+      cronExpression: entry.cronExpression,
+      cronOverridden: entry.cronExpression !== entry.defaultCronExpression,
+      running: entry.running,
+      nextRunAt: entry.enabled ? getNextRun(entry.cronExpression)?.toISOString() || null : null,
+      lastRunAt: entry.lastRunAt,
+      lastResult: entry.lastResult
+    };
+  }
+
+  /**
+   * Status of every scheduler
+   * @returns {Object[]}
+   */
+  getStatus() {
+    return [...this.schedulers.values()].map((entry) => this.describe(entry));
+  }
+}
+
+// Singleton instance
+const schedulerRegistry = new SchedulerRegistry();
+
+schedulerRegistry.register({
+  name: 'check-cookies',
+  description: 'cookie check',
+  cronExpression: cookieScheduler.CRON_EXPRESSION,
+  run: cookieScheduler.checkCookiesForActiveCampaigns
+});
+schedulerRegistry.register({
+  name: 'check-connections',
+  description: 'connection check',
+  cronExpression: checkConnectionsScheduler.CRON_EXPRESSION,
+  run: checkConnectionsScheduler.checkAndProcessCampaigns
+});
+schedulerRegistry.register({
+  name: 'send-connections',
+  description: 'connection request',
+  cronExpression: sendConnectionsScheduler.CRON_EXPRESSION,
+  run: sendConnectionsScheduler.checkAndProcessCampaigns
+});
+schedulerRegistry.register({
+  name: 'send-messages',
+  description: 'messaging',
+  cronExpression: messagingScheduler.CRON_EXPRESSION,
+  run: messagingScheduler.processMessaging
+});
+schedulerRegistry.register({
+  name: 'withdraw-invitations',
+  description: 'invitation withdrawal',
+  cronExpression: withdrawInvitationsScheduler.CRON_EXPRESSION,
+  run: withdrawInvitationsScheduler.processWithdrawals
+});
+schedulerRegistry.register({
+  name: 'sync-replies',
+  description: 'reply sync',
+  cronExpression: syncRepliesScheduler.CRON_EXPRESSION,
+  run: syncRepliesScheduler.syncReplies
+});
+
+module.exports = schedulerRegistry;
@@ -1,12 +1,18 @@
 require('dotenv').config();
-const cron = require('node-cron');
 const { createClient } = require('@supabase/supabase-js');
-const fetch = require('node-fetch');
+const crypto = require('crypto');
 const createLogger = require('../utils/logger');
 const { withTimeout } = require('../utils/databaseUtils');
-const { bot } = require('../telegramBot');
 const ResistanceHandler = require('../utils/resistanceHandler');
 const { hasDelayPassed } = require('../utils/dateUtils');
+const automationPause = require('../utils/automationPause');
+const { getMessageSequence, validateMessageSequence, getStage, getNextStage, getLeadsDueStage } = require('../utils/messageSequence');
+const { getSendingWindow, isWithinSendingWindow, describeSendingWindow, getNextWindowOpening } = require('../utils/sendingWindow');
+const { loadHolidayCalendar } = require('../utils/holidayCalendar');
+const { startConnectionMessages, scheduleMessageStageRetry } = require('../services/jobService');
+const jobQueueManager = require('../utils/jobQueueManager');
+const { personalizeMessage } = require('../utils/messageUtils');
+const { createDryRunReport, addCampaign, skip, scopeCampaignQuery } = require('../utils/dryRun');
 
 const logger = createLogger();
 
@@ -19,74 +25,17 @@ const supabase = createClient(
 // Initialize resistance handler
 const resistanceHandler = new ResistanceHandler(supabase);
 
-// Validate Telegram configuration
-const TELEGRAM_NOTIFICATION_CHAT_ID = process.env.TELEGRAM_NOTIFICATION_CHAT_ID;
-if (!TELEGRAM_NOTIFICATION_CHAT_ID) {
-  logger.error('Missing Telegram configuration: TELEGRAM_NOTIFICATION_CHAT_ID must be set in .env');
-  process.exit(1);
-}
-
-/**
- * Message stages configuration with fixed working day delays
- * TODO: Future enhancement - Make delays configurable:
- * - Per campaign basis
- * - Via environment variables
- * - Through database configuration
- * This would allow for more flexible messaging strategies per campaign/client
- */
-const MESSAGE_STAGES = {
-  FIRST_MESSAGE: {
-    stage: 1,
-    delay_days: 0,
-    maxPerDay: 100, // High safety limit for 1st-degree connections
-    description: 'first message'
-  },
-  SECOND_MESSAGE: {
-    stage: 2,
-    delay_days: 3, // 3 working days delay
-    maxPerDay: 100, // High safety limit for 1st-degree connections
-    description: 'second message'
-  },
-  THIRD_MESSAGE: {
-    stage: 3,
-    delay_days: 3, // 3 working days delay from second message
-    maxPerDay: 100, // High safety limit for 1st-degree connections
-    description: 'third message'
-  }
-};
-
-const SCHEDULE_WINDOWS = {
-  'Europe': [
-    { start: 7, end: 8 },
-    { start: 8, end: 9 },
-    { start: 9, end: 10 },
-    { start: 10, end: 11 },
-    { start: 11, end: 12 },
-    { start: 12, end: 13 }
-  ],
-  'North America': [
-    { start: 13, end: 14 },
-    { start: 14, end: 15 },
-    { start: 15, end: 16 },
-    { start: 16, end: 17 },
-    { start: 17, end: 18 },
-    { start: 18, end: 19 }
-  ],
-  'Asia': [
-    { start: 0, end: 1 },
-    { start: 2, end: 3 },
-    { start: 3, end: 4 },
-    { start: 4, end: 5 },
-    { start: 5, end: 6 },
-    { start: 6, end: 7 }
-  ]
-};
-
 // Utility function to add a delay
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Lock variable to prevent overlapping runs
-let isProcessing = false;
+// Default schedule: run every hour
+const CRON_EXPRESSION = '0 * * * *';
+
+// How long to wait before trying again to queue a stage that failed to queue
+const STAGE_RETRY_DELAY = 5 * 60 * 1000;
+
+// The message job waits 1-2 seconds between leads; dry runs assume the middle
+const DELAY_BETWEEN_LEADS = 1500;
 
 // Function to check if campaign is in cooldown
 const isInCooldown = async (campaignId) => {
@@ -135,15 +84,6 @@ const setCampaignCooldown = async (campaignId) => {
   }
 };
 
-// Function to check if current time is within window
-const isWithinTimeWindow = (timezone) => {
-  const now = new Date();
-  const currentHour = now.getHours();
-  return SCHEDULE_WINDOWS[timezone].some(window => 
-    currentHour >= window.start && currentHour < window.end
-  );
-};
-
 // Function to get daily message count
 async function getDailyMessageCount(campaignId, stage) {
   const today = new Date().toISOString().split('T')[0];
@@ -192,203 +132,344 @@ async function logActivity(campaignId, stage, status, counts = {}, error = null,
   }
 }
 
-// Function to validate message templates
-async function validateMessageTemplates(campaign) {
-  const { data: campaignData } = await supabase
-    .from('campaigns')
-    .select('connection_messages')
-    .eq('id', campaign.id)
-    .single();
-
-  if (!campaignData?.connection_messages?.messages) {
-    logger.warn(`Campaign ${campaign.id} has no message templates configured`);
+// Function to validate a campaign's message sequence
+function validateMessageTemplates(campaign) {
+  const errors = validateMessageSequence(campaign.connection_messages);
+  if (errors.length > 0) {
+    logger.warn(`Campaign ${campaign.id} has an invalid message sequence: ${errors.join('; ')}`);
     return false;
   }
 
-  const messages = campaignData.connection_messages.messages;
-  const requiredStages = [1, 2, 3];
-  const configuredStages = messages.map(m => m.stage);
-
-  // Check if all required stages are configured
-  const missingStages = requiredStages.filter(stage => !configuredStages.includes(stage));
-  if (missingStages.length > 0) {
-    logger.warn(`Campaign ${campaign.id} is missing message templates for stages: ${missingStages.join(', ')}`);
-    return false;
-  }
-
-  // Validate each message template
-  for (const message of messages) {
-    if (!message.content || typeof message.content !== 'string' || message.content.trim().length === 0) {
-      logger.warn(`Campaign ${campaign.id} has invalid message template for stage ${message.stage}`);
-      return false;
-    }
-  }
-
   return true;
 }
 
-// Function to process messages for a specific stage
-async function processMessageStage(campaign, messageStage) {
+// Function to check whether a stage can be sent now and how many messages it may send
+async function getStageAllowance(campaign, messageStage) {
+  // Retries are scheduled with a timer, so the campaign may have been paused since
+  if (automationPause.isPaused(campaign.id)) {
+    logger.info(`Campaign ${campaign.id} is paused, skipping stage ${messageStage.stage}...`);
+    return { skipReason: 'paused' };
+  }
+
   if (await isInCooldown(campaign.id)) {
     logger.info(`Campaign ${campaign.id} is in cooldown period, skipping...`);
-    return;
+    return { skipReason: 'cooldown' };
   }
 
   // Check daily limit
   const dailyCount = await getDailyMessageCount(campaign.id, messageStage.stage);
   if (dailyCount >= messageStage.maxPerDay) {
     logger.info(`Daily limit reached for campaign ${campaign.id} stage ${messageStage.stage}`);
-    return;
+    return { skipReason: 'daily_cap_reached', dailyCount };
   }
 
   const remainingDaily = messageStage.maxPerDay - dailyCount;
   const batchSize = Math.min(5, remainingDaily); // Process up to 5 at a time
 
+  return { skipReason: null, dailyCount, batchSize };
+}
+
+// Function to list the messages a stage's job would send, without queueing it
+async function previewMessageStage(campaign, messageStage, sequence, calendar, batchSize) {
+  const { data: client, error: clientError } = await withTimeout(
+    supabase
+      .from('clients')
+      .select('subdomain, status')
+      .eq('id', campaign.client_id)
+      .single(),
+    10000,
+    'Timeout while fetching client data'
+  );
+
+  if (clientError) {
+    throw new Error(`Failed to fetch client data for client ${campaign.client_id}: ${clientError.message}`);
+  }
+
+  // Same leads the job would fetch
+  const { data: leads, error: leadsError } = await withTimeout(
+    supabase
+      .from('leads')
+      .select('id, first_name, last_name, company, linkedin, position, client_id, message_stage, last_contacted, personalization')
+      .eq('client_id', campaign.client_id)
+      .eq('connection_level', '1st')
+      .eq('status', 'not_replied'),
+    10000,
+    'Timeout while fetching leads'
+  );
+
+  if (leadsError) {
+    throw new Error(`Failed to fetch leads for campaign ${campaign.id}: ${leadsError.message}`);
+  }
+
+  const start = Date.now();
+
+  return getLeadsDueStage(leads || [], sequence, messageStage, calendar)
+    .slice(0, batchSize)
+    .map((lead, index) => ({
+      leadId: lead.id,
+      name: [lead.first_name, lead.last_name].filter(Boolean).join(' '),
+      company: lead.company || null,
+      linkedin: lead.linkedin || null,
+      message: personalizeMessage(messageStage.content, lead, client),
+      // The stage's job sends its leads as a single batch, so it only waits between leads
+      sendAt: new Date(start + index * DELAY_BETWEEN_LEADS).toISOString(),
+      // The job skips leads it can't open
+      skipReason: typeof lead.linkedin === 'string' && lead.linkedin.includes('linkedin.com') ? null : 'invalid_linkedin_url'
+    }));
+}
+
+// Function to process messages for a specific stage
+async function processMessageStage(campaign, messageStage, options = {}) {
+  const { skipReason, batchSize } = await getStageAllowance(campaign, messageStage);
+  if (skipReason) {
+    return;
+  }
+
   logger.info(`Processing stage ${messageStage.stage} for campaign ${campaign.id} - eligible leads found`);
-  
+
+  // Retries reuse the key so a retry after the job was created doesn't create a second one
+  const idempotencyKey = options.idempotencyKey
+    || `send_connection_messages:${campaign.id}:${messageStage.stage}:${crypto.randomUUID()}`;
+
   try {
-    // Send message request to the controller
-    const response = await fetch('http://localhost:8080/api/send-connection-messages', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        campaignId: campaign.id,
-        messageStage: messageStage.stage,
-        batchSize: batchSize
-      })
-    });
-
-    const result = await response.json();
-
-    if (!result.success) {
-      throw new Error(result.error || 'Failed to send messages');
-    }
+    const { job } = await startConnectionMessages(supabase, {
+      campaignId: campaign.id,
+      messageStage: messageStage.stage,
+      batchSize: batchSize,
+      priority: options.priority
+    }, { idempotencyKey });
 
-    return result.successfulMessages || 0;
+    return job;
 
   } catch (error) {
     logger.error(`Error sending ${messageStage.description} for campaign ${campaign.id}: ${error.message}`);
     
+    // A retry job that fails again is retried by the job queue's retry policy instead
+    if (options.retrying) {
+      error.category = error.statusCode >= 400 && error.statusCode < 500 ? 'request_validation_failed' : 'queue_processing_failed';
+      throw error;
+    }
+
     // Check for resistance in any uncaught errors
     if (!error.message.toLowerCase().includes('resistance') && 
         !error.message.toLowerCase().includes('captcha')) {
       logger.info(`Scheduling retry for campaign ${campaign.id} in 5 minutes`);
-      setTimeout(() => processMessageStage(campaign, messageStage), 5 * 60 * 1000);
+      try {
+        await scheduleMessageStageRetry(supabase, {
+          campaignId: campaign.id,
+          messageStage: messageStage.stage,
+          idempotencyKey,
+          priority: options.priority
+        }, { delay: STAGE_RETRY_DELAY });
+      } catch (retryError) {
+        logger.error(`Failed to schedule retry for campaign ${campaign.id}: ${retryError.message}`);
+      }
     }
 
     throw error;
   }
 }
 
+// Function to run a scheduled retry of a stage, with the campaign as it is now
+async function retryMessageStage({ campaignId, messageStage, idempotencyKey, priority }, { jobId }) {
+  const { data: campaign, error } = await withTimeout(
+    supabase
+      .from('campaigns')
+      .select('*')
+      .eq('id', campaignId)
+      .maybeSingle(),
+    10000,
+    'Timeout while fetching campaign'
+  );
+
+  if (error) {
+    const loadError = new Error(`Failed to load campaign ${campaignId}: ${error.message}`);
+    loadError.category = 'campaign_load_failed';
+    throw loadError;
+  }
+
+  if (!campaign || campaign.status !== 'active' || !campaign.automation_enabled) {
+    logger.info(`Campaign ${campaignId} is no longer active with automation enabled, dropping the retry of stage ${messageStage}`);
+    return null;
+  }
+
+  const stage = getStage(getMessageSequence(campaign.connection_messages), messageStage);
+  if (!stage?.active) {
+    logger.info(`Stage ${messageStage} is no longer active for campaign ${campaignId}, dropping its retry`);
+    return null;
+  }
+
+  const job = await processMessageStage(campaign, stage, { priority, idempotencyKey, retrying: true });
+  if (!job) return null;
+
+  // Link the retry to the job it queued in the job listing
+  const { error: updateError } = await withTimeout(
+    supabase
+      .from('jobs')
+      .update({ result: { message_stage: messageStage, queued_job_id: job.job_id }, updated_at: new Date().toISOString() })
+      .eq('job_id', jobId),
+    10000,
+    'Timeout while updating retry job'
+  );
+  if (updateError) {
+    logger.error(`Failed to record the job queued by retry ${jobId}: ${updateError.message}`);
+  }
+
+  return { jobId: job.job_id };
+}
+
+// Scheduled retries are jobs, so they run after a restart too
+jobQueueManager.registerHandler('retry_message_stage', (payload, context) => retryMessageStage(payload, context));
+
 // Main scheduler function
-async function processMessaging() {
-  if (isProcessing) {
-    logger.warn('Another messaging process is already running. Skipping this run.');
-    return;
+/**
+ * @param {Object} [options]
+ * @param {string} [options.priority] - Job queue priority class for the jobs this run queues, e.g. 'manual'
+ * @param {boolean} [options.dryRun] - Report the messages the run would send instead of queueing jobs
+ * @param {number|string} [options.campaignId] - Only simulate this campaign, in a dry run
+ * @returns {Promise<Object|undefined>} The dry run report, in a dry run
+ */
+async function processMessaging(options = {}) {
+  const report = options.dryRun ? createDryRunReport('send-messages', options) : null;
+
+  if (automationPause.isGloballyPaused()) {
+    logger.info('Automation is paused, skipping messaging run.');
+    skip(report, 'automation_paused');
+    return report || undefined;
   }
 
-  isProcessing = true;
-  try {
-    // Get all active campaigns with automation enabled
-    const { data: campaigns, error } = await withTimeout(
+  // Get all active campaigns with automation enabled
+  const { data: campaigns, error } = await withTimeout(
+    scopeCampaignQuery(
       supabase
         .from('campaigns')
         .select('*')
-        .eq('status', 'active')
-        .eq('automation_enabled', true),
+        .eq('status', 'active'),
+      options
+    ),
+    10000,
+    'Timeout while fetching active campaigns'
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  if (!campaigns || campaigns.length === 0) {
+    logger.info('No active campaigns found with automation enabled');
+    return report || undefined;
+  }
+
+  // Process each campaign
+  for (const campaign of campaigns) {
+    const entry = addCampaign(report, campaign);
+
+    if (automationPause.isPaused(campaign.id)) {
+      logger.info(`Skipping campaign ${campaign.id} - paused`);
+      skip(entry, 'paused');
+      continue;
+    }
+
+    const sendingWindow = getSendingWindow(campaign);
+    if (!sendingWindow) {
+      logger.warn(`Campaign ${campaign.id} has no valid sending window (timezone: ${campaign.sending_timezone || campaign.timezone})`);
+      skip(entry, 'no_sending_window');
+      continue;
+    }
+
+    const calendar = await loadHolidayCalendar(supabase, campaign, sendingWindow.timeZone);
+    if (!isWithinSendingWindow(sendingWindow, new Date(), calendar)) {
+      logger.info(`Skipping campaign ${campaign.id} - outside of sending window ${describeSendingWindow(sendingWindow)} or on a holiday`);
+      skip(entry, 'outside_sending_window', {
+        nextWindowAt: getNextWindowOpening(sendingWindow, new Date(), calendar)?.toISOString() || null
+      });
+      continue;
+    }
+
+    if (!validateMessageTemplates(campaign)) {
+      logger.info(`Skipping campaign ${campaign.id} - message sequence not configured`);
+      skip(entry, 'invalid_message_sequence');
+      continue;
+    }
+    const sequence = getMessageSequence(campaign.connection_messages);
+
+    logger.info(`Processing messages for campaign ${campaign.id}`);
+
+    // Get leads with their last_contacted dates to determine which stages to process
+    const { data: leadStats, error: statsError } = await withTimeout(
+      supabase
+        .from('leads')
+        .select('message_stage, last_contacted')
+        .eq('client_id', campaign.client_id)
+        .eq('status', 'not_replied')
+        .eq('connection_level', '1st'),
       10000,
-      'Timeout while fetching active campaigns'
+      'Timeout while fetching lead statistics'
     );
 
-    if (error) {
-      throw error;
+    if (statsError) {
+      logger.error(`Error fetching lead statistics for campaign ${campaign.id}: ${statsError.message}`);
+      continue;
     }
 
-    if (!campaigns || campaigns.length === 0) {
-      logger.info('No active campaigns found with automation enabled');
-      return;
-    }
+    // Determine which stages have eligible leads
+    const eligibleStages = new Set();
 
-    // Process each campaign
-    for (const campaign of campaigns) {
-      if (!isWithinTimeWindow(campaign.timezone)) {
-        logger.info(`Skipping campaign ${campaign.id} - outside of time window for ${campaign.timezone}`);
-        continue;
+    for (const lead of leadStats) {
+      const nextStage = getNextStage(sequence, lead.message_stage);
+      if (!nextStage) continue; // Sequence finished
+
+      // Leads that haven't been messaged yet only wait for the connection
+      if (lead.message_stage === null || hasDelayPassed(lead.last_contacted, nextStage.delayDays, calendar)) {
+        eligibleStages.add(nextStage.stage);
       }
+    }
 
-      logger.info(`Processing messages for campaign ${campaign.id}`);
-
-      // Get leads with their last_contacted dates to determine which stages to process
-      const { data: leadStats, error: statsError } = await withTimeout(
-        supabase
-          .from('leads')
-          .select('message_stage, last_contacted')
-          .eq('client_id', campaign.client_id)
-          .eq('status', 'not_replied')
-          .eq('connection_level', '1st'),
-        10000,
-        'Timeout while fetching lead statistics'
-      );
-
-      if (statsError) {
-        logger.error(`Error fetching lead statistics for campaign ${campaign.id}: ${statsError.message}`);
+    if (entry) {
+      entry.action = 'send';
+      entry.stages = [];
+    }
+
+    // Process only the eligible stages
+    for (const stage of sequence.filter((s) => s.active)) {
+      if (!eligibleStages.has(stage.stage)) {
+        logger.info(`Skipping stage ${stage.stage} for campaign ${campaign.id} - no eligible leads`);
+        entry?.stages.push({ stage: stage.stage, action: 'skip', skipReason: 'no_eligible_leads' });
         continue;
       }
 
-      // Determine which stages have eligible leads
-      const eligibleStages = new Set();
-      
-      // Stage 1 is always eligible if there are leads with no messages
-      if (leadStats.some(lead => lead.message_stage === null)) {
-        eligibleStages.add(1);
+      logger.info(`Processing stage ${stage.stage} for campaign ${campaign.id} - eligible leads found`);
+
+      if (entry) {
+        const allowance = await getStageAllowance(campaign, stage);
+        entry.stages.push({
+          stage: stage.stage,
+          action: allowance.skipReason ? 'skip' : 'send',
+          skipReason: allowance.skipReason,
+          dailyCount: allowance.dailyCount ?? null,
+          maxPerDay: stage.maxPerDay,
+          batchSize: allowance.batchSize ?? 0,
+          leads: allowance.skipReason
+            ? []
+            : await previewMessageStage(campaign, stage, sequence, calendar, allowance.batchSize)
+        });
+        continue;
       }
 
-      // Check other stages
-      for (const lead of leadStats) {
-        if (!lead.message_stage || !lead.last_contacted) continue;
-        
-        const nextStage = lead.message_stage + 1;
-        if (nextStage > 3) continue; // We only have 3 stages
-        
-        const stageConfig = Object.values(MESSAGE_STAGES).find(s => s.stage === nextStage);
-        if (!stageConfig) continue;
-        
-        if (hasDelayPassed(lead.last_contacted, stageConfig.delay_days)) {
-          eligibleStages.add(nextStage);
-        }
-      }
+      await processMessageStage(campaign, stage, options);
+      await delay(5000); // 5 second delay between stages
+    }
 
-      // Process only the eligible stages
-      for (const stage of Object.values(MESSAGE_STAGES)) {
-        if (eligibleStages.has(stage.stage)) {
-          logger.info(`Processing stage ${stage.stage} for campaign ${campaign.id} - eligible leads found`);
-          await processMessageStage(campaign, stage);
-          await delay(5000); // 5 second delay between stages
-        } else {
-          logger.info(`Skipping stage ${stage.stage} for campaign ${campaign.id} - no eligible leads`);
-        }
-      }
-      
+    if (!report) {
       await delay(5000); // 5 second delay between campaigns
     }
-
-  } catch (error) {
-    logger.error(`Error in messaging scheduler: ${error.message}`);
-    // Only notify on critical scheduler-level errors
-    await bot.sendMessage(TELEGRAM_NOTIFICATION_CHAT_ID, 
-      `⚠️ Critical error in messaging scheduler: ${error.message}\nScheduler may need attention.`);
-  } finally {
-    isProcessing = false;
   }
+
+  return report || undefined;
 }
 
-// Export the main function for manual triggering
+// Export the main function and its default schedule for the scheduler registry
 module.exports = {
-  processMessaging
+  processMessaging,
+  CRON_EXPRESSION
 };
-
-// Schedule the task to run every hour
-logger.info('Starting connection messaging scheduler...');
-cron.schedule('0 * * * *', async () => {
-  await processMessaging();
-}); 
\ No newline at end of file
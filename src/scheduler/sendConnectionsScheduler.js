@@ -1,12 +1,17 @@
 require('dotenv').config();
-const cron = require('node-cron');
 const { createClient } = require('@supabase/supabase-js');
-const fetch = require('node-fetch');
 const createLogger = require('../utils/logger');
-const { withTimeout } = require('../utils/databaseUtils');
-const { bot, sendJobStatusReport } = require('../telegramBot');
+const { withTimeout, getScrapedProfiles } = require('../utils/databaseUtils');
+const { sendJobStatusReport } = require('../telegramBot');
 const logActivity = require('../utils/activityLogger');
 const ResistanceHandler = require('../utils/resistanceHandler');
+const automationPause = require('../utils/automationPause');
+const { getSendingWindow, getWindowHoursRemaining, isWithinSendingWindow, describeSendingWindow, getNextWindowOpening } = require('../utils/sendingWindow');
+const { loadHolidayCalendar } = require('../utils/holidayCalendar');
+const { startConnectionRequests } = require('../services/jobService');
+const { personalizeConnectionNote } = require('../utils/messageUtils');
+const { createDryRunReport, addCampaign, skip, scopeCampaignQuery } = require('../utils/dryRun');
+const { getCampaignAllowance } = require('../utils/accountLimits');
 
 const logger = createLogger();
 
@@ -16,20 +21,6 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Validate Telegram configuration
-const TELEGRAM_NOTIFICATION_CHAT_ID = process.env.TELEGRAM_NOTIFICATION_CHAT_ID;
-if (!TELEGRAM_NOTIFICATION_CHAT_ID) {
-  logger.error('Missing Telegram configuration: TELEGRAM_NOTIFICATION_CHAT_ID must be set in .env');
-  process.exit(1);
-}
-
-// Time windows for different regions (in UK time)
-const TIME_WINDOWS = {
-  'Europe': { start: 7, end: 13 },
-  'North America': { start: 13, end: 19 },
-  'Asia': { start: 0, end: 6 }
-};
-
 // Connection request configuration
 const CONNECTION_CONFIG = {
   requestsPerDay: 20,
@@ -43,8 +34,8 @@ const CONNECTION_CONFIG = {
 // Utility function to add a delay
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Lock variable to prevent overlapping runs
-let isProcessing = false;
+// Default schedule: run every 30 minutes
+const CRON_EXPRESSION = '*/30 * * * *';
 
 // Function to get random time within a window
 const getRandomTimeInWindow = (startHour, endHour) => {
@@ -53,14 +44,6 @@ const getRandomTimeInWindow = (startHour, endHour) => {
   return { hour: randomHour, minute: randomMinute };
 };
 
-// Function to check if current time is within window
-const isWithinTimeWindow = (timezone) => {
-  const now = new Date();
-  const currentHour = now.getHours();
-  const window = TIME_WINDOWS[timezone];
-  return currentHour >= window.start && currentHour < window.end;
-};
-
 // Function to update daily connection count
 async function updateDailyConnectionCount(campaignId, connectionsToAdd) {
   if (typeof campaignId !== 'number' && typeof campaignId !== 'string') {
@@ -181,14 +164,8 @@ async function getRemainingDailyLimit(campaignId, dailyLimit) {
 }
 
 // Function to calculate optimal batch size
-function calculateOptimalBatchSize(remainingLimit, timeWindow, currentHour) {
-  // Calculate time position in window
-  let hoursRemaining;
-  if (currentHour >= timeWindow.start && currentHour < timeWindow.end) {
-    hoursRemaining = timeWindow.end - currentHour;
-  } else if (currentHour < timeWindow.start) {
-    hoursRemaining = timeWindow.end - timeWindow.start;
-  } else {
+function calculateOptimalBatchSize(remainingLimit, hoursRemaining) {
+  if (hoursRemaining <= 0) {
     return 0; // Outside window
   }
 
@@ -206,19 +183,77 @@ function calculateOptimalBatchSize(remainingLimit, timeWindow, currentHour) {
   );
 }
 
-// Function to process connection requests for a campaign
-async function processConnectionRequests(campaign) {
+// Function to list the requests a connect job would send, without queueing it
+async function previewConnectionRequests(campaign, maxProfiles) {
+  const profiles = await getScrapedProfiles(supabase, campaign.id, maxProfiles);
+  const start = Date.now();
+
+  // The client's landing page domain, for notes that link to it
+  const { data: client, error: clientError } = await withTimeout(
+    supabase
+      .from('clients')
+      .select('subdomain, status')
+      .eq('id', campaign.client_id)
+      .maybeSingle(),
+    10000,
+    'Timeout while fetching client data'
+  );
+
+  if (clientError) {
+    throw new Error(`Failed to fetch client data for client ${campaign.client_id}: ${clientError.message}`);
+  }
+
+  const previews = [];
+  for (const [index, profile] of profiles.entries()) {
+    // Same checks the job makes before sending
+    let skipReason = profile.linkedin ? null : 'missing_linkedin_url';
+    if (!skipReason) {
+      const { data: attempts } = await supabase
+        .from('connection_request_attempts')
+        .select('attempts')
+        .eq('profile_id', profile.id)
+        .single();
+      if (attempts && attempts.attempts >= CONNECTION_CONFIG.maxRetriesPerProfile) {
+        skipReason = 'max_retries_reached';
+      }
+    }
+
+    // The job waits between profiles and batches
+    const batchIndex = Math.floor(index / CONNECTION_CONFIG.batchSize);
+    const sendAt = new Date(start
+      + index * CONNECTION_CONFIG.delayBetweenProfiles
+      + batchIndex * CONNECTION_CONFIG.delayBetweenBatches);
+
+    previews.push({
+      profileId: profile.id,
+      name: [profile.first_name, profile.last_name].filter(Boolean).join(' '),
+      company: profile.company || null,
+      linkedin: profile.linkedin || null,
+      message: personalizeConnectionNote(campaign.connection_messages, profile, client),
+      sendAt: sendAt.toISOString(),
+      skipReason
+    });
+  }
+
+  return previews;
+}
+
+// Function to process connection requests for a campaign.
+// In a dry run, entry is the campaign's entry in the report and nothing is queued or recorded.
+async function processConnectionRequests(campaign, options = {}, entry = null) {
   const startTime = new Date().toISOString();
   const jobId = `connect_${Date.now()}`;
   const resistanceHandler = new ResistanceHandler(supabase);
   
   try {
     // Log activity start
-    await logActivity(supabase, campaign.id, 'connection_request', 'running', 
-      { total: 0, successful: 0, failed: 0 }, 
-      null,
-      { startTime }
-    );
+    if (!entry) {
+      await logActivity(supabase, campaign.id, 'connection_request', 'running', 
+        { total: 0, successful: 0, failed: 0 }, 
+        null,
+        { startTime }
+      );
+    }
 
     // Check if campaign is in cooldown
     const { data: cooldown } = await supabase
@@ -229,6 +264,7 @@ async function processConnectionRequests(campaign) {
 
     if (cooldown && new Date(cooldown.cooldown_until) > new Date()) {
       logger.info(`Campaign ${campaign.id} is in cooldown until ${cooldown.cooldown_until}`);
+      skip(entry, 'cooldown', { cooldownUntil: cooldown.cooldown_until });
       return;
     }
 
@@ -241,91 +277,103 @@ async function processConnectionRequests(campaign) {
       .single();
 
     const sentToday = tracking?.connections_sent || 0;
-    const remainingLimit = Math.max(0, CONNECTION_CONFIG.requestsPerDay - sentToday);
+    const campaignRemaining = Math.max(0, CONNECTION_CONFIG.requestsPerDay - sentToday);
 
-    if (remainingLimit <= 0) {
+    if (campaignRemaining <= 0) {
       logger.info(`Daily limit reached for campaign ${campaign.id} (sent: ${sentToday})`);
+      skip(entry, 'daily_cap_reached', { sentToday, dailyLimit: CONNECTION_CONFIG.requestsPerDay });
+      return;
+    }
+
+    // Campaigns using the same LinkedIn account share its invitation caps
+    const account = await getCampaignAllowance(supabase, campaign);
+    if (!account) {
+      logger.warn(`Campaign ${campaign.id} has no LinkedIn account cookie`);
+      skip(entry, 'missing_cookies');
+      return;
+    }
+
+    const accountSummary = {
+      sentToday: account.sentToday,
+      sentThisWeek: account.sentThisWeek,
+      dailyLimit: account.dailyLimit,
+      weeklyLimit: account.weeklyLimit,
+      share: account.share,
+      campaignSentToday: account.campaignSentToday,
+      allowance: account.allowance,
+      sharedWith: account.sharedWith
+    };
+
+    if (account.allowance <= 0) {
+      const reason = account.capReached || 'account_share_used';
+      logger.info(`Campaign ${campaign.id} can't send more invitations from its account today (${reason}, ` +
+        `account sent ${account.sentToday} today and ${account.sentThisWeek} this week, campaign share ${account.share})`);
+      skip(entry, reason, { account: accountSummary });
       return;
     }
 
+    const remainingLimit = Math.min(campaignRemaining, account.allowance);
+
     // Calculate optimal batch size
-    const timeWindow = TIME_WINDOWS[campaign.timezone];
-    const currentHour = new Date().getHours();
-    const optimalBatchSize = calculateOptimalBatchSize(remainingLimit, timeWindow, currentHour);
+    const sendingWindow = getSendingWindow(campaign);
+    const hoursRemaining = sendingWindow ? getWindowHoursRemaining(sendingWindow) : 0;
+    const optimalBatchSize = calculateOptimalBatchSize(remainingLimit, hoursRemaining);
 
     if (optimalBatchSize === 0) {
       logger.info(`No connections to send for campaign ${campaign.id} at this time`);
+      skip(entry, 'no_capacity_this_run');
       return;
     }
 
     logger.info(`Processing campaign ${campaign.id} with batch size ${optimalBatchSize} (${remainingLimit} remaining)`);
 
-    // Send connection requests
-    const response = await fetch('http://localhost:8080/api/send-connection-requests', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        campaignId: campaign.id,
-        maxProfiles: optimalBatchSize,
-        batchSize: CONNECTION_CONFIG.batchSize,
-        delayBetweenBatches: CONNECTION_CONFIG.delayBetweenBatches,
-        delayBetweenProfiles: CONNECTION_CONFIG.delayBetweenProfiles,
-        maxRetries: CONNECTION_CONFIG.maxRetriesPerProfile
-      })
-    });
-
-    const result = await response.json();
-
-    if (!result.success) {
-      throw new Error(result.error || 'Failed to send connection requests');
+    if (entry) {
+      Object.assign(entry, {
+        action: 'send',
+        sentToday,
+        dailyLimit: CONNECTION_CONFIG.requestsPerDay,
+        account: accountSummary,
+        batchSize: optimalBatchSize,
+        profiles: await previewConnectionRequests(campaign, optimalBatchSize)
+      });
+      return;
     }
 
-    // Validate result counts
-    const sentCount = result.sentCount || 0;
-    const totalProcessed = result.totalProcessed || 0;
-    const failedCount = result.failedCount || 0;
-
-    logger.info(`Connection request results - Sent: ${sentCount}, Total: ${totalProcessed}, Failed: ${failedCount}`);
+    // Queue the connection requests
+    const { job } = await startConnectionRequests(supabase, {
+      campaignId: campaign.id,
+      maxProfiles: optimalBatchSize,
+      batchSize: CONNECTION_CONFIG.batchSize,
+      delayBetweenBatches: CONNECTION_CONFIG.delayBetweenBatches,
+      delayBetweenProfiles: CONNECTION_CONFIG.delayBetweenProfiles,
+      maxRetries: CONNECTION_CONFIG.maxRetriesPerProfile,
+      priority: options.priority
+    });
 
-    // Update tracking and campaign status
+    // The job updates the daily count and logs sent and failed requests as it runs
     try {
-      // First update daily tracking
-      await updateDailyConnectionCount(campaign.id, sentCount);
-
-      // Then update campaign status
-      const { data: currentCampaign } = await supabase
-        .from('campaigns')
-        .select('total_connections_sent, name')
-        .eq('id', campaign.id)
-        .single();
-      
-      const currentTotal = currentCampaign?.total_connections_sent || 0;
-      const newTotal = currentTotal + sentCount;
-      
       await supabase
         .from('campaigns')
         .update({
-          last_connection_request_at: new Date().toISOString(),
-          total_connections_sent: newTotal
+          last_connection_request_at: new Date().toISOString()
         })
         .eq('id', campaign.id);
 
-      // Finally log success activity
       await logActivity(supabase, campaign.id, 'connection_request', 'success', {
-        total: totalProcessed,
-        successful: sentCount,
-        failed: failedCount
+        total: optimalBatchSize
       }, null, {
+        jobId: job.job_id,
         batchMetrics: {
           optimalBatchSize,
           remainingLimit,
-          sentToday
+          sentToday,
+          accountAllowance: account.allowance
         },
         startTime,
-        campaignName: currentCampaign?.name || 'Unknown Campaign'
+        campaignName: campaign.name || 'Unknown Campaign'
       });
 
-      logger.success(`Successfully processed ${sentCount} connection requests for campaign ${campaign.id}`);
+      logger.success(`Queued job ${job.job_id} for up to ${optimalBatchSize} connection requests for campaign ${campaign.id}`);
     } catch (updateError) {
       logger.error(`Error updating campaign data: ${updateError.message}`);
       throw updateError;
@@ -333,6 +381,9 @@ async function processConnectionRequests(campaign) {
 
   } catch (error) {
     logger.error(`Error processing campaign ${campaign.id}: ${error.message}`);
+
+    // A dry run doesn't record anything
+    if (entry) throw error;
     
     // Log failure activity
     await logActivity(supabase, campaign.id, 'connection_request', 'failed', {
@@ -366,75 +417,91 @@ async function processConnectionRequests(campaign) {
 }
 
 // Main scheduler function
-async function checkAndProcessCampaigns() {
-  if (isProcessing) {
-    logger.warn('Another connection request process is already running. Skipping this run.');
-    return;
+/**
+ * @param {Object} [options]
+ * @param {string} [options.priority] - Job queue priority class for the jobs this run queues, e.g. 'manual'
+ * @param {boolean} [options.dryRun] - Report the requests the run would send instead of queueing jobs
+ * @param {number|string} [options.campaignId] - Only simulate this campaign, in a dry run
+ * @returns {Promise<Object|undefined>} The dry run report, in a dry run
+ */
+async function checkAndProcessCampaigns(options = {}) {
+  const report = options.dryRun ? createDryRunReport('send-connections', options) : null;
+
+  if (automationPause.isGloballyPaused()) {
+    logger.info('Automation is paused, skipping connection request run.');
+    skip(report, 'automation_paused');
+    return report || undefined;
   }
 
-  isProcessing = true;
-  try {
-    // Get all active campaigns with automation enabled
-    const { data: campaigns, error } = await withTimeout(
+  // Get all active campaigns with automation enabled
+  const { data: campaigns, error } = await withTimeout(
+    scopeCampaignQuery(
       supabase
         .from('campaigns')
         .select('*')
-        .eq('status', 'active')
-        .eq('automation_enabled', true),
-      10000,
-      'Timeout while fetching active campaigns'
-    );
+        .eq('status', 'active'),
+      options
+    ),
+    10000,
+    'Timeout while fetching active campaigns'
+  );
 
-    if (error) {
-      throw error;
-    }
+  if (error) {
+    throw error;
+  }
 
-    if (!campaigns || campaigns.length === 0) {
-      logger.info('No active campaigns found with automation enabled');
-      return;
+  if (!campaigns || campaigns.length === 0) {
+    logger.info('No active campaigns found with automation enabled');
+    return report || undefined;
+  }
+
+  // Process each campaign that's within its time window
+  for (const campaign of campaigns) {
+    const entry = addCampaign(report, campaign);
+
+    if (automationPause.isPaused(campaign.id)) {
+      logger.info(`Skipping campaign ${campaign.id} - paused`);
+      skip(entry, 'paused');
+      continue;
     }
 
-    // Process each campaign that's within its time window
-    for (const campaign of campaigns) {
-      // Additional validation
-      if (!campaign.timezone || !TIME_WINDOWS[campaign.timezone]) {
-        logger.warn(`Campaign ${campaign.id} has invalid timezone: ${campaign.timezone}`);
-        continue;
-      }
+    // Additional validation
+    const sendingWindow = getSendingWindow(campaign);
+    if (!sendingWindow) {
+      logger.warn(`Campaign ${campaign.id} has no valid sending window (timezone: ${campaign.sending_timezone || campaign.timezone})`);
+      skip(entry, 'no_sending_window');
+      continue;
+    }
 
-      if (!isWithinTimeWindow(campaign.timezone)) {
-        logger.info(`Skipping campaign ${campaign.id} - outside of time window for ${campaign.timezone}`);
-        continue;
-      }
+    const calendar = await loadHolidayCalendar(supabase, campaign, sendingWindow.timeZone);
+    if (!isWithinSendingWindow(sendingWindow, new Date(), calendar)) {
+      logger.info(`Skipping campaign ${campaign.id} - outside of sending window ${describeSendingWindow(sendingWindow)} or on a holiday`);
+      skip(entry, 'outside_sending_window', {
+        nextWindowAt: getNextWindowOpening(sendingWindow, new Date(), calendar)?.toISOString() || null
+      });
+      continue;
+    }
 
-      // Check if campaign has required configuration
-      if (!campaign.connection_request_config) {
-        logger.warn(`Campaign ${campaign.id} missing connection request configuration`);
-        continue;
-      }
+    // Check if campaign has required configuration
+    if (!campaign.connection_request_config) {
+      logger.warn(`Campaign ${campaign.id} missing connection request configuration`);
+      skip(entry, 'missing_connection_request_config');
+      continue;
+    }
 
-      logger.info(`Processing connection requests for campaign ${campaign.id}`);
-      await processConnectionRequests(campaign);
-      
-      // Add delay between campaigns
+    logger.info(`Processing connection requests for campaign ${campaign.id}`);
+    await processConnectionRequests(campaign, options, entry);
+    
+    // Add delay between campaigns
+    if (!report) {
       await delay(5000);
     }
-
-  } catch (error) {
-    logger.error(`Error in connection request scheduler: ${error.message}`);
-    // Only notify on critical scheduler-level errors
-    await bot.sendMessage(TELEGRAM_NOTIFICATION_CHAT_ID, 
-      `⚠️ Critical error in connection request scheduler: ${error.message}\nScheduler may need attention.`);
-  } finally {
-    isProcessing = false;
   }
-}
 
-// Schedule the task to run every 30 minutes
-logger.info('Starting connection request scheduler...');
-cron.schedule('*/30 * * * *', checkAndProcessCampaigns);
+  return report || undefined;
+}
 
-// Export for testing
+// Export for the scheduler registry and testing
 module.exports = {
   checkAndProcessCampaigns,
   processConnectionRequests,
@@ -442,5 +509,5 @@ module.exports = {
   updateDailyConnectionCount,
   // Export constants for testing
   CONNECTION_CONFIG,
-  TIME_WINDOWS
+  CRON_EXPRESSION
 }; 
\ No newline at end of file
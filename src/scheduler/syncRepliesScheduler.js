@@ -0,0 +1,120 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const automationPause = require('../utils/automationPause');
+const { getAccountKey, getLimitKey } = require('../utils/accountLimits');
+const { startReplySync } = require('../services/jobService');
+const { createDryRunReport, addCampaign, skip, scopeCampaignQuery } = require('../utils/dryRun');
+
+const logger = createLogger();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Reply sync configuration
+const SYNC_CONFIG = {
+  maxThreads: 50 // Most recent conversations read per account
+};
+
+// Default schedule: every hour at a quarter to, so replies are in before the hourly messaging run.
+// It runs outside the sending window too, or replies from overnight would miss the first run of the day.
+const CRON_EXPRESSION = '45 * * * *';
+
+// Main scheduler function
+/**
+ * Queue one reply sync per LinkedIn account. Campaigns on the same account share an inbox, so the
+ * account's lowest campaign id queues the job and its other campaigns are covered by it.
+ * @param {Object} [options]
+ * @param {string} [options.priority] - Job queue priority class for the jobs this run queues, e.g. 'manual'
+ * @param {boolean} [options.dryRun] - Report the syncs the run would queue instead of queueing jobs
+ * @param {number|string} [options.campaignId] - Only simulate this campaign, in a dry run
+ * @returns {Promise<Object|undefined>} The dry run report, in a dry run
+ */
+async function syncReplies(options = {}) {
+  const report = options.dryRun ? createDryRunReport('sync-replies', options) : null;
+
+  if (automationPause.isGloballyPaused()) {
+    logger.info('Automation is paused, skipping reply sync run.');
+    skip(report, 'automation_paused');
+    return report || undefined;
+  }
+
+  // Get all active campaigns with automation enabled
+  const { data: campaigns, error } = await withTimeout(
+    scopeCampaignQuery(
+      supabase
+        .from('campaigns')
+        .select('id, name, cookies, linkedin_account_id, automation_enabled')
+        .eq('status', 'active')
+        .order('id', { ascending: true }),
+      options
+    ),
+    10000,
+    'Timeout while fetching active campaigns'
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  if (!campaigns || campaigns.length === 0) {
+    logger.info('No active campaigns found with automation enabled');
+    return report || undefined;
+  }
+
+  // Campaign that syncs each account's inbox
+  const syncedBy = new Map();
+
+  for (const campaign of campaigns) {
+    const entry = addCampaign(report, campaign);
+
+    if (automationPause.isPaused(campaign.id)) {
+      logger.info(`Skipping campaign ${campaign.id} - paused`);
+      skip(entry, 'paused');
+      continue;
+    }
+
+    if (!getAccountKey(campaign.cookies)) {
+      logger.warn(`Skipping campaign ${campaign.id} - no LinkedIn cookies`);
+      skip(entry, 'missing_cookies');
+      continue;
+    }
+
+    const accountKey = getLimitKey(campaign);
+
+    if (syncedBy.has(accountKey)) {
+      skip(entry, 'same_account', { syncedWith: syncedBy.get(accountKey) });
+      continue;
+    }
+    syncedBy.set(accountKey, campaign.id);
+
+    if (entry) {
+      Object.assign(entry, { action: 'sync', maxThreads: SYNC_CONFIG.maxThreads });
+      continue;
+    }
+
+    try {
+      const { job } = await startReplySync(supabase, {
+        campaignId: campaign.id,
+        maxThreads: SYNC_CONFIG.maxThreads,
+        priority: options.priority
+      });
+      logger.success(`Queued job ${job.job_id} to sync replies for the account of campaign ${campaign.id}`);
+    } catch (campaignError) {
+      logger.error(`Error queueing reply sync for campaign ${campaign.id}: ${campaignError.message}`);
+    }
+  }
+
+  return report || undefined;
+}
+
+// Export for the scheduler registry
+module.exports = {
+  syncReplies,
+  SYNC_CONFIG,
+  CRON_EXPRESSION
+};
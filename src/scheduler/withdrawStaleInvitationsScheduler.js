@@ -0,0 +1,197 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const automationPause = require('../utils/automationPause');
+const { getSendingWindow, isWithinSendingWindow, describeSendingWindow, getNextWindowOpening } = require('../utils/sendingWindow');
+const { loadHolidayCalendar } = require('../utils/holidayCalendar');
+const { startConnectionWithdrawal } = require('../services/jobService');
+const { createDryRunReport, addCampaign, skip, scopeCampaignQuery } = require('../utils/dryRun');
+
+const logger = createLogger();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Withdrawal configuration
+const WITHDRAW_CONFIG = {
+  defaultAfterDays: 21, // For campaigns without withdraw_pending_after_days
+  maxProfilesPerRun: 10,
+  batchSize: 5,
+  minDelayBetweenProfiles: 3000,
+  maxDelayBetweenProfiles: 8000,
+  maxConsecutiveFailures: 3,
+  recheckAfterDays: 7 // Profiles found without a pending invitation wait this long for the connection check
+};
+
+// Utility function to add a delay
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Default schedule: run every 3 hours, at a quarter past
+const CRON_EXPRESSION = '15 */3 * * *';
+
+// Function to get how many days a campaign's requests stay pending before they are withdrawn; 0 never withdraws
+function getWithdrawAfterDays(campaign) {
+  const days = campaign.withdraw_pending_after_days;
+  return days === null || days === undefined ? WITHDRAW_CONFIG.defaultAfterDays : days;
+}
+
+// Function to leave out profiles found without a pending invitation less than recheckAfterDays ago
+function skipRecentlyChecked(query) {
+  const recheckCutoff = new Date(Date.now() - WITHDRAW_CONFIG.recheckAfterDays * 24 * 60 * 60 * 1000).toISOString();
+  return query.or(`withdrawal_checked_at.is.null,withdrawal_checked_at.lt.${recheckCutoff}`);
+}
+
+// Function to queue the withdrawal of a campaign's stale requests.
+// In a dry run, entry is the campaign's entry in the report and nothing is queued.
+async function processCampaignWithdrawals(campaign, options = {}, entry = null) {
+  const afterDays = getWithdrawAfterDays(campaign);
+  if (!afterDays) {
+    logger.info(`Withdrawal is turned off for campaign ${campaign.id}`);
+    skip(entry, 'withdrawal_disabled');
+    return;
+  }
+
+  const cutoff = new Date(Date.now() - afterDays * 24 * 60 * 60 * 1000).toISOString();
+  const { data: profiles, error } = await withTimeout(
+    skipRecentlyChecked(
+      supabase
+        .from('scraped_profiles')
+        .select('id, first_name, last_name, linkedin, last_connection_attempt')
+        .eq('campaign_id', campaign.id.toString())
+        .eq('connection_status', 'pending')
+        .lt('last_connection_attempt', cutoff)
+    )
+      .order('last_connection_attempt', { ascending: true })
+      .limit(WITHDRAW_CONFIG.maxProfilesPerRun),
+    10000,
+    'Timeout while fetching stale invitations'
+  );
+
+  if (error) {
+    throw new Error(`Failed to fetch stale invitations: ${error.message}`);
+  }
+
+  if (!profiles || profiles.length === 0) {
+    logger.info(`No invitations pending for more than ${afterDays} days for campaign ${campaign.id}`);
+    skip(entry, 'no_stale_invitations', { olderThanDays: afterDays });
+    return;
+  }
+
+  if (entry) {
+    Object.assign(entry, {
+      action: 'withdraw',
+      olderThanDays: afterDays,
+      profiles: profiles.map((profile) => ({
+        profileId: profile.id,
+        name: [profile.first_name, profile.last_name].filter(Boolean).join(' '),
+        linkedin: profile.linkedin || null,
+        pendingSince: profile.last_connection_attempt
+      }))
+    });
+    return;
+  }
+
+  const { job } = await startConnectionWithdrawal(supabase, {
+    campaignId: campaign.id,
+    olderThanDays: afterDays,
+    maxProfiles: profiles.length,
+    batchSize: WITHDRAW_CONFIG.batchSize,
+    priority: options.priority
+  });
+
+  logger.success(`Queued job ${job.job_id} to withdraw up to ${profiles.length} invitations pending for more than ${afterDays} days for campaign ${campaign.id}`);
+}
+
+// Main scheduler function
+/**
+ * @param {Object} [options]
+ * @param {string} [options.priority] - Job queue priority class for the jobs this run queues, e.g. 'manual'
+ * @param {boolean} [options.dryRun] - Report the invitations the run would withdraw instead of queueing jobs
+ * @param {number|string} [options.campaignId] - Only simulate this campaign, in a dry run
+ * @returns {Promise<Object|undefined>} The dry run report, in a dry run
+ */
+async function processWithdrawals(options = {}) {
+  const report = options.dryRun ? createDryRunReport('withdraw-invitations', options) : null;
+
+  if (automationPause.isGloballyPaused()) {
+    logger.info('Automation is paused, skipping invitation withdrawal run.');
+    skip(report, 'automation_paused');
+    return report || undefined;
+  }
+
+  // Get all active campaigns with automation enabled
+  const { data: campaigns, error } = await withTimeout(
+    scopeCampaignQuery(
+      supabase
+        .from('campaigns')
+        .select('*')
+        .eq('status', 'active'),
+      options
+    ),
+    10000,
+    'Timeout while fetching active campaigns'
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  if (!campaigns || campaigns.length === 0) {
+    logger.info('No active campaigns found with automation enabled');
+    return report || undefined;
+  }
+
+  for (const campaign of campaigns) {
+    const entry = addCampaign(report, campaign);
+
+    if (automationPause.isPaused(campaign.id)) {
+      logger.info(`Skipping campaign ${campaign.id} - paused`);
+      skip(entry, 'paused');
+      continue;
+    }
+
+    // Withdrawals are LinkedIn actions too, so they keep to the sending window
+    const sendingWindow = getSendingWindow(campaign);
+    if (!sendingWindow) {
+      logger.warn(`Campaign ${campaign.id} has no valid sending window (timezone: ${campaign.sending_timezone || campaign.timezone})`);
+      skip(entry, 'no_sending_window');
+      continue;
+    }
+
+    const calendar = await loadHolidayCalendar(supabase, campaign, sendingWindow.timeZone);
+    if (!isWithinSendingWindow(sendingWindow, new Date(), calendar)) {
+      logger.info(`Skipping campaign ${campaign.id} - outside of sending window ${describeSendingWindow(sendingWindow)} or on a holiday`);
+      skip(entry, 'outside_sending_window', {
+        nextWindowAt: getNextWindowOpening(sendingWindow, new Date(), calendar)?.toISOString() || null
+      });
+      continue;
+    }
+
+    try {
+      await processCampaignWithdrawals(campaign, options, entry);
+    } catch (campaignError) {
+      // A dry run reports the error to its caller
+      if (report) throw campaignError;
+      logger.error(`Error withdrawing invitations for campaign ${campaign.id}: ${campaignError.message}`);
+    }
+
+    if (!report) {
+      await delay(5000); // 5 second delay between campaigns
+    }
+  }
+
+  return report || undefined;
+}
+
+// Export for the scheduler registry and the withdrawal controller
+module.exports = {
+  processWithdrawals,
+  getWithdrawAfterDays,
+  skipRecentlyChecked,
+  WITHDRAW_CONFIG,
+  CRON_EXPRESSION
+};
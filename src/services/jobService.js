@@ -0,0 +1,486 @@
+/**
+ * Service layer for the operations that create automation jobs. The Express routes and the
+ * schedulers both call these functions, so scheduled runs queue their jobs in-process instead of
+ * calling this server's own HTTP API.
+ *
+ * Each function validates its input, creates the jobs row (or reuses the one created for an
+ * idempotency key) and queues the job with the handler its controller registered with the job
+ * queue manager. Invalid requests throw an Error with a statusCode for the routes to respond with.
+ * @module services/jobService
+ */
+
+const createLogger = require('../utils/logger');
+const { withTimeout } = require('../utils/databaseUtils');
+const { IDEMPOTENCY_HEADER, createJobOnce } = require('../utils/idempotency');
+const jobQueueManager = require('../utils/jobQueueManager');
+
+const logger = createLogger();
+
+// Postgres unique_violation, raised when a queued job already holds the dedupe key
+const UNIQUE_VIOLATION = '23505';
+
+// Most message stage retries waiting to run at once, across all campaigns. Override with MAX_PENDING_STAGE_RETRIES.
+const MAX_PENDING_STAGE_RETRIES = Math.max(1, parseInt(process.env.MAX_PENDING_STAGE_RETRIES, 10) || 20);
+
+/**
+ * @typedef {Object} StartedJob
+ * @property {Object} job - jobs row with job_id, type, status and campaign_id
+ * @property {boolean} replayed - Whether the job was created earlier for the same idempotency key
+ * @property {Promise|null} completion - Settles when the job finishes, null when replayed
+ */
+
+/**
+ * Error for a request the service refuses
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status the routes respond with
+ * @returns {Error}
+ */
+const requestError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check a priority class passed by the caller
+ * @param {string} [priority] - Job queue priority class
+ */
+const assertValidPriority = (priority) => {
+  if (priority !== undefined && !jobQueueManager.isValidPriority(priority)) {
+    throw requestError(`Invalid priority: ${priority}`, 400);
+  }
+};
+
+/**
+ * Create the jobs row and queue the job with the handler registered for its type
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string|null} idempotencyKey - Reuses the job created for this key instead of creating another
+ * @param {Object} row - Row to insert into the jobs table
+ * @param {Object} metadata - Job queue metadata, also the payload passed to the handler
+ * @param {Object} [options]
+ * @param {boolean} [options.bypassQueue] - Run the job immediately instead of queueing it
+ * @param {function(Object): string} [options.describeCreateError] - Error message when the row can't be created
+ * @returns {Promise<StartedJob>}
+ */
+const startJob = async (supabase, idempotencyKey, row, metadata, {
+  bypassQueue = false,
+  describeCreateError = () => 'Failed to create job'
+} = {}) => {
+  const { data: job, error: jobError, replayed } = await createJobOnce(supabase, idempotencyKey, row);
+
+  if (jobError || !job) {
+    logger.error(`Failed to create job: ${jobError?.message}`);
+    throw requestError(describeCreateError(jobError), 500);
+  }
+
+  if (replayed) {
+    if (job.type !== row.type) {
+      logger.warn(`${IDEMPOTENCY_HEADER} ${idempotencyKey} was used for a ${job.type} job, rejecting ${row.type} request`);
+      throw requestError(`${IDEMPOTENCY_HEADER} ${idempotencyKey} was already used for a different request`, 422);
+    }
+    return { job, replayed: true, completion: null };
+  }
+
+  logger.info(`Created job with ID: ${job.job_id} with status: queued`);
+
+  const { completion } = await queueJob(supabase, job, metadata, bypassQueue);
+  return { job, replayed: false, completion };
+};
+
+/**
+ * Queue a job whose row has been created, with the handler registered for its type.
+ * The row is marked as failed when there is no handler.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} job - jobs row with job_id and type
+ * @param {Object} metadata - Job queue metadata, also the payload passed to the handler
+ * @param {boolean} [bypassQueue] - Run the job immediately instead of queueing it
+ * @returns {Promise<{completion: Promise}>} completion settles when the job finishes
+ */
+const queueJob = async (supabase, job, metadata, bypassQueue = false) => {
+  let completion;
+  try {
+    completion = jobQueueManager.addRegisteredJob({ ...metadata, jobId: job.job_id }, bypassQueue);
+  } catch (error) {
+    await withTimeout(
+      supabase
+        .from('jobs')
+        .update({
+          status: 'failed',
+          error: error.message,
+          error_category: 'request_validation_failed',
+          updated_at: new Date().toISOString(),
+        })
+        .eq('job_id', job.job_id),
+      10000,
+      'Timeout while updating job status'
+    );
+    throw error;
+  }
+
+  completion.catch((error) => {
+    logger.error(`Job ${job.job_id} of type ${job.type} failed: ${error.message}`);
+  });
+
+  return { completion };
+};
+
+/**
+ * Check a campaign's LinkedIn cookies. The check runs immediately, outside the queue.
+ * completion resolves with { cookiesStatus, message } once the check has finished.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} params
+ * @param {number|string} params.campaignId - Campaign ID
+ * @param {Object} [options]
+ * @param {string|null} [options.idempotencyKey] - Idempotency key
+ * @returns {Promise<StartedJob>}
+ */
+const startCookieCheck = async (supabase, { campaignId }, { idempotencyKey = null } = {}) => {
+  if (!campaignId || !Number.isInteger(Number(campaignId))) {
+    logger.warn(`Invalid campaignId: ${campaignId}`);
+    throw requestError('Missing or invalid required field: campaignId must be an integer', 400);
+  }
+
+  logger.info(`Checking cookies for campaignId: ${campaignId}`);
+
+  return startJob(supabase, idempotencyKey, {
+    type: 'check_cookies',
+    status: 'queued',
+    progress: 0,
+    error: null,
+    result: null,
+    campaign_id: campaignId.toString(),
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  }, {
+    type: 'check_cookies',
+    campaignId
+  }, { bypassQueue: true });
+};
+
+/**
+ * Queue connection requests for a campaign's scraped profiles
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} params
+ * @param {number|string} params.campaignId - Campaign ID
+ * @param {number} [params.maxProfiles] - Most profiles to send requests to
+ * @param {number} [params.batchSize] - Profiles per batch
+ * @param {number} [params.delayBetweenBatches] - Milliseconds between batches
+ * @param {number} [params.delayBetweenProfiles] - Milliseconds between profiles
+ * @param {boolean} [params.sendMessage] - Whether to add the campaign's note to each request
+ * @param {number} [params.maxRetries] - Attempts per profile
+ * @param {string} [params.priority] - Job queue priority class
+ * @param {Object} [options]
+ * @param {string|null} [options.idempotencyKey] - Idempotency key
+ * @returns {Promise<StartedJob>}
+ */
+const startConnectionRequests = async (supabase, {
+  campaignId,
+  maxProfiles = 20,
+  batchSize = 5,
+  delayBetweenBatches = 5000,
+  delayBetweenProfiles = 5000,
+  sendMessage = true,
+  maxRetries = 3,
+  priority
+}, { idempotencyKey = null } = {}) => {
+  if (!campaignId) {
+    throw requestError('campaignId is required', 400);
+  }
+  assertValidPriority(priority);
+
+  return startJob(supabase, idempotencyKey, {
+    type: 'connect',
+    status: 'queued',
+    progress: 0,
+    error: null,
+    campaign_id: campaignId.toString(),
+    max_profiles: maxProfiles,
+    batch_size: batchSize,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  }, {
+    type: 'connect',
+    campaignId,
+    maxProfiles,
+    batchSize,
+    delayBetweenBatches,
+    delayBetweenProfiles,
+    sendMessage,
+    maxRetries,
+    priority
+  });
+};
+
+/**
+ * Queue a check of which pending connection requests have been accepted
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} params
+ * @param {number|string} params.campaignId - Campaign ID
+ * @param {number} [params.batchSize] - Profiles per batch
+ * @param {number} [params.maxProfiles] - Most profiles to check
+ * @param {string} [params.priority] - Job queue priority class
+ * @param {Object} [options]
+ * @param {string|null} [options.idempotencyKey] - Idempotency key
+ * @returns {Promise<StartedJob>}
+ */
+const startConnectionCheck = async (supabase, {
+  campaignId,
+  batchSize = 5,
+  maxProfiles = 50,
+  priority
+}, { idempotencyKey = null } = {}) => {
+  if (!campaignId) {
+    throw requestError('campaignId is required', 400);
+  }
+  assertValidPriority(priority);
+
+  return startJob(supabase, idempotencyKey, {
+    type: 'check_connection_requests',
+    status: 'queued',
+    campaign_id: campaignId,
+    batch_size: batchSize,
+    max_profiles: maxProfiles,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  }, {
+    type: 'check_connection_requests',
+    campaignId,
+    priority
+  }, {
+    describeCreateError: (error) => `Failed to create job record: ${error?.message}`
+  });
+};
+
+/**
+ * Queue the withdrawal of a campaign's connection requests that have been pending too long
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} params
+ * @param {number|string} params.campaignId - Campaign ID
+ * @param {number} [params.olderThanDays] - Withdraw requests sent at least this many days ago;
+ *   defaults to the campaign's withdraw_pending_after_days when the job runs
+ * @param {number} [params.maxProfiles] - Most requests to withdraw
+ * @param {number} [params.batchSize] - Profiles per batch
+ * @param {string} [params.priority] - Job queue priority class
+ * @param {Object} [options]
+ * @param {string|null} [options.idempotencyKey] - Idempotency key
+ * @returns {Promise<StartedJob>}
+ */
+const startConnectionWithdrawal = async (supabase, {
+  campaignId,
+  olderThanDays,
+  maxProfiles = 10,
+  batchSize = 5,
+  priority
+}, { idempotencyKey = null } = {}) => {
+  if (!campaignId || !Number.isInteger(Number(campaignId))) {
+    throw requestError('Missing or invalid required field: campaignId must be an integer', 400);
+  }
+  if (olderThanDays !== undefined && (!Number.isInteger(olderThanDays) || olderThanDays < 1)) {
+    throw requestError('olderThanDays must be a positive integer', 400);
+  }
+  if (!Number.isInteger(maxProfiles) || maxProfiles < 1) {
+    throw requestError('maxProfiles must be a positive integer', 400);
+  }
+  assertValidPriority(priority);
+
+  return startJob(supabase, idempotencyKey, {
+    type: 'withdraw_connection_requests',
+    status: 'queued',
+    progress: 0,
+    error: null,
+    campaign_id: campaignId.toString(),
+    max_profiles: maxProfiles,
+    batch_size: batchSize,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  }, {
+    type: 'withdraw_connection_requests',
+    campaignId,
+    olderThanDays,
+    maxProfiles,
+    batchSize,
+    priority
+  });
+};
+
+/**
+ * Queue a sync of an account's Sales Navigator inbox, which marks the leads who replied
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} params
+ * @param {number|string} params.campaignId - Campaign whose LinkedIn account is synced; leads of
+ *   every campaign on the same account are matched
+ * @param {number} [params.maxThreads] - Most recent conversations to read
+ * @param {string} [params.priority] - Job queue priority class
+ * @param {Object} [options]
+ * @param {string|null} [options.idempotencyKey] - Idempotency key
+ * @returns {Promise<StartedJob>}
+ */
+const startReplySync = async (supabase, {
+  campaignId,
+  maxThreads = 50,
+  priority
+}, { idempotencyKey = null } = {}) => {
+  if (!campaignId || !Number.isInteger(Number(campaignId))) {
+    throw requestError('Missing or invalid required field: campaignId must be an integer', 400);
+  }
+  if (!Number.isInteger(maxThreads) || maxThreads < 1 || maxThreads > 200) {
+    throw requestError('maxThreads must be an integer between 1 and 200', 400);
+  }
+  assertValidPriority(priority);
+
+  return startJob(supabase, idempotencyKey, {
+    type: 'sync_replies',
+    status: 'queued',
+    progress: 0,
+    error: null,
+    campaign_id: campaignId.toString(),
+    max_profiles: maxThreads,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  }, {
+    type: 'sync_replies',
+    campaignId,
+    maxThreads,
+    priority
+  });
+};
+
+/**
+ * Queue follow-up messages for one stage of a campaign's message sequence
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} params
+ * @param {number|string} params.campaignId - Campaign ID
+ * @param {number} params.messageStage - Stage to send
+ * @param {number} [params.batchSize] - Most messages to send
+ * @param {Array<number|string>} [params.leadIds] - Only message these leads
+ * @param {string} [params.priority] - Job queue priority class
+ * @param {Object} [options]
+ * @param {string|null} [options.idempotencyKey] - Idempotency key
+ * @returns {Promise<StartedJob>}
+ */
+const startConnectionMessages = async (supabase, {
+  campaignId,
+  messageStage,
+  batchSize = 5,
+  leadIds = [],
+  priority
+}, { idempotencyKey = null } = {}) => {
+  if (!campaignId || !messageStage) {
+    throw requestError('campaignId and messageStage are required', 400);
+  }
+  assertValidPriority(priority);
+
+  // The stage and requested leads are stored in the result JSON for the job listing, and in the
+  // payload, which progress and outcome writes to the result never touch, for the job to read
+  return startJob(supabase, idempotencyKey, {
+    type: 'send_connection_messages',
+    status: 'queued',
+    progress: 0,
+    error: null,
+    result: { message_stage: messageStage, lead_ids: leadIds },
+    campaign_id: campaignId.toString(),
+    max_profiles: batchSize,
+    batch_size: batchSize,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  }, {
+    type: 'send_connection_messages',
+    campaignId,
+    messageStage,
+    leadIds,
+    priority
+  });
+};
+
+/**
+ * Schedule another try at queueing a message stage whose job could not be queued. The retry is a
+ * delayed retry_message_stage job, so it survives restarts and shows in the job listing. Only one
+ * retry per campaign and stage waits at a time, and at most MAX_PENDING_STAGE_RETRIES in total.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} params
+ * @param {number|string} params.campaignId - Campaign ID
+ * @param {number} params.messageStage - Stage to send
+ * @param {string} params.idempotencyKey - Key of the failed attempt, so the retry can't queue the stage twice
+ * @param {string} [params.priority] - Job queue priority class
+ * @param {Object} options
+ * @param {number} options.delay - Milliseconds until the retry
+ * @returns {Promise<{job: Object|null, reason: string|null}>} job is null, with a reason, when no retry was scheduled
+ */
+const scheduleMessageStageRetry = async (supabase, {
+  campaignId,
+  messageStage,
+  idempotencyKey,
+  priority
+}, { delay }) => {
+  const { count: pendingRetries, error: countError } = await withTimeout(
+    supabase
+      .from('jobs')
+      .select('job_id', { count: 'exact', head: true })
+      .eq('type', 'retry_message_stage')
+      .eq('status', 'queued'),
+    10000,
+    'Timeout while counting pending retries'
+  );
+
+  if (countError) {
+    throw requestError(`Failed to count pending retries: ${countError.message}`, 500);
+  }
+
+  if ((pendingRetries || 0) >= MAX_PENDING_STAGE_RETRIES) {
+    logger.warn(`${pendingRetries} message stage retries are already waiting, not retrying stage ${messageStage} of campaign ${campaignId}`);
+    return { job: null, reason: 'retry_limit_reached' };
+  }
+
+  const runAt = new Date(Date.now() + delay).toISOString();
+  const { data: job, error: jobError } = await withTimeout(
+    supabase
+      .from('jobs')
+      .insert({
+        type: 'retry_message_stage',
+        status: 'queued',
+        progress: 0,
+        error: null,
+        result: { message_stage: messageStage },
+        campaign_id: campaignId.toString(),
+        dedupe_key: `retry_message_stage:${campaignId}:${messageStage}`,
+        next_attempt_at: runAt,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select('job_id, type, status, campaign_id')
+      .single(),
+    10000,
+    'Timeout while creating retry job'
+  );
+
+  if (jobError?.code === UNIQUE_VIOLATION) {
+    logger.info(`A retry of stage ${messageStage} for campaign ${campaignId} is already scheduled`);
+    return { job: null, reason: 'already_scheduled' };
+  }
+
+  if (jobError || !job) {
+    throw requestError(`Failed to create retry job: ${jobError?.message}`, 500);
+  }
+
+  await queueJob(supabase, job, {
+    type: 'retry_message_stage',
+    campaignId,
+    messageStage,
+    idempotencyKey,
+    priority,
+    runAt
+  });
+
+  logger.info(`Scheduled retry job ${job.job_id} for stage ${messageStage} of campaign ${campaignId} at ${runAt}`);
+  return { job, reason: null };
+};
+
+module.exports = {
+  startCookieCheck,
+  startConnectionRequests,
+  startConnectionCheck,
+  startConnectionWithdrawal,
+  startReplySync,
+  startConnectionMessages,
+  scheduleMessageStageRetry
+};
@@ -2,7 +2,6 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const createLogger = require('./utils/logger');
 const { withTimeout } = require('./utils/databaseUtils');
-const jobQueueManager = require('./utils/jobQueueManager');
 
 const logger = createLogger();
 
@@ -422,6 +421,7 @@ const sendJobStatusReport = async (jobId, jobType, status, details = {}) => {
     if (status === 'completed') emoji = '✅';
     if (status === 'failed') emoji = '❌';
     if (status === 'started') emoji = '🚀';
+    if (status === 'dead_letter') emoji = '🪦';
     
     let message = `${emoji} Job ${jobId} (${jobType}) ${status}\n`;
     
@@ -0,0 +1,251 @@
+/**
+ * Invitation caps for LinkedIn sending accounts. Campaigns on the same account share its daily and
+ * rolling 7-day invitation limits, and the day's invitations are split between those campaigns by
+ * campaigns.invitation_weight. The account is campaigns.linkedin_account_id where it is set, since
+ * that survives the account logging in again; the cookie hash only stands in until it is. Every
+ * invitation sent is recorded in account_invitations, which the counts are taken from, so jobs on
+ * any instance see each other's sends straight away. Days are UTC days, like daily_connection_tracking.
+ * @module utils/accountLimits
+ */
+
+const crypto = require('crypto');
+const { withTimeout } = require('./databaseUtils');
+
+// Invitations per account. LinkedIn restricts accounts that go much past about 100 a week.
+const ACCOUNT_LIMITS = {
+  invitationsPerDay: Math.max(1, parseInt(process.env.ACCOUNT_INVITATIONS_PER_DAY, 10) || 20),
+  invitationsPerWeek: Math.max(1, parseInt(process.env.ACCOUNT_INVITATIONS_PER_WEEK, 10) || 100)
+};
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} AccountUsage
+ * @property {string} accountKey - Account the counts are for, see getLimitKey
+ * @property {number} sentToday - Invitations sent since the start of the UTC day
+ * @property {number} sentThisWeek - Invitations sent in the last 7 days
+ * @property {number} dailyLimit - ACCOUNT_LIMITS.invitationsPerDay
+ * @property {number} weeklyLimit - ACCOUNT_LIMITS.invitationsPerWeek
+ * @property {number} remainingToday - Invitations the account can still send today under both caps
+ * @property {string|null} capReached - 'account_daily_cap_reached', 'account_weekly_cap_reached' or null
+ */
+
+/**
+ * Key of the LinkedIn account behind a set of cookies. It is a hash so the cookie itself never
+ * ends up in logs, job lanes or the database.
+ * @param {Object} [cookies] - campaigns.cookies
+ * @returns {string|null} null without an li_at cookie
+ */
+const getAccountKey = (cookies) => {
+  const accountCookie = cookies?.li_at;
+  if (!accountCookie) return null;
+  return crypto.createHash('sha256').update(accountCookie).digest('hex').substring(0, 12);
+};
+
+/**
+ * Key the invitations of a campaign's LinkedIn account are counted under: its linkedin_account_id,
+ * which stays the same when the account logs in again and gets new cookies, or until that is set,
+ * the cookie hash from getAccountKey. Job lanes keep using the cookie hash.
+ * @param {Object} campaign - Campaign row with linkedin_account_id and cookies
+ * @returns {string|null} null when the campaign has neither
+ */
+const getLimitKey = (campaign) => {
+  const accountId = typeof campaign?.linkedin_account_id === 'string' ? campaign.linkedin_account_id.trim() : '';
+  if (accountId) return `account:${accountId}`;
+  return getAccountKey(campaign?.cookies);
+};
+
+/**
+ * Keys an account's invitations are stored under: its limit key, and the cookie hashes of its
+ * campaigns, which invitations were recorded under before their linkedin_account_id was set
+ * @param {Object[]} campaigns - The account's campaigns, with linkedin_account_id and cookies
+ * @returns {string[]}
+ */
+const getCountedKeys = (campaigns) => [...new Set(campaigns
+  .flatMap((campaign) => [getLimitKey(campaign), getAccountKey(campaign.cookies)])
+  .filter(Boolean))];
+
+/**
+ * Start of the UTC day an instant falls on
+ * @param {Date} now - Instant
+ * @returns {Date}
+ */
+const startOfDay = (now) => new Date(`${now.toISOString().split('T')[0]}T00:00:00.000Z`);
+
+/**
+ * Count an account's invitations since an instant, optionally for one campaign
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string[]} accountKeys - Keys the account's invitations are stored under, see getCountedKeys
+ * @param {Date} since - Start of the period
+ * @param {number|string} [campaignId] - Only count this campaign's invitations
+ * @returns {Promise<number>}
+ */
+const countInvitations = async (supabase, accountKeys, since, campaignId = null) => {
+  let query = supabase
+    .from('account_invitations')
+    .select('id', { count: 'exact', head: true })
+    .in('account_key', accountKeys)
+    .gte('sent_at', since.toISOString());
+  if (campaignId !== null) {
+    query = query.eq('campaign_id', campaignId);
+  }
+
+  const { count, error } = await withTimeout(query, 10000, 'Timeout while counting account invitations');
+  if (error) {
+    throw new Error(`Failed to count invitations for account ${accountKeys[0]}: ${error.message}`);
+  }
+  return count || 0;
+};
+
+/**
+ * How many invitations an account has sent today and in the last 7 days, against its caps
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} accountKey - Account key, see getLimitKey
+ * @param {Date} [now] - Defaults to now
+ * @param {string[]} [countedKeys] - Every key the account's invitations are stored under, see getCountedKeys
+ * @returns {Promise<AccountUsage>}
+ */
+const getAccountUsage = async (supabase, accountKey, now = new Date(), countedKeys = [accountKey]) => {
+  const [sentToday, sentThisWeek] = await Promise.all([
+    countInvitations(supabase, countedKeys, startOfDay(now)),
+    countInvitations(supabase, countedKeys, new Date(now.getTime() - WEEK_MS))
+  ]);
+
+  const dailyLimit = ACCOUNT_LIMITS.invitationsPerDay;
+  const weeklyLimit = ACCOUNT_LIMITS.invitationsPerWeek;
+  const remainingToday = Math.max(0, Math.min(dailyLimit - sentToday, weeklyLimit - sentThisWeek));
+
+  let capReached = null;
+  if (sentThisWeek >= weeklyLimit) capReached = 'account_weekly_cap_reached';
+  else if (sentToday >= dailyLimit) capReached = 'account_daily_cap_reached';
+
+  return { accountKey, sentToday, sentThisWeek, dailyLimit, weeklyLimit, remainingToday, capReached };
+};
+
+/**
+ * Split a number of invitations between campaigns in proportion to their weights. Shares are whole
+ * numbers that add up to the total; leftover invitations go to the largest remainders, then to the
+ * lowest campaign IDs.
+ * @param {number} total - Invitations to split
+ * @param {Object[]} campaigns - Campaigns with id and invitation_weight (missing or invalid weights count as 1)
+ * @returns {Map<string, number>} Share by campaign ID, as a string
+ */
+const allocateByWeight = (total, campaigns) => {
+  const weightOf = (campaign) => {
+    const weight = Number(campaign.invitation_weight);
+    return Number.isFinite(weight) && weight > 0 ? weight : 1;
+  };
+  const totalWeight = campaigns.reduce((sum, campaign) => sum + weightOf(campaign), 0);
+
+  const shares = campaigns.map((campaign) => {
+    const exact = totalWeight > 0 ? (total * weightOf(campaign)) / totalWeight : 0;
+    return { id: String(campaign.id), share: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = total - shares.reduce((sum, entry) => sum + entry.share, 0);
+  const byRemainder = [...shares].sort((a, b) => b.remainder - a.remainder || Number(a.id) - Number(b.id));
+  for (const entry of byRemainder) {
+    if (leftover <= 0) break;
+    entry.share++;
+    leftover--;
+  }
+
+  return new Map(shares.map((entry) => [entry.id, entry.share]));
+};
+
+/**
+ * How many invitations a campaign may send now. The account's budget for today, the daily cap or
+ * what the weekly cap leaves if that is less, is split by weight between the account's campaigns
+ * with automation enabled; the campaign gets its share less what it has sent today, and never more
+ * than the account has left.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} campaign - Campaign row with id, cookies, linkedin_account_id and invitation_weight
+ * @param {Date} [now] - Defaults to now
+ * @returns {Promise<Object|null>} Usage of the account with the campaign's share, sentToday and
+ *   allowance, its dailyShare and weeklyShare of the full caps, and the campaigns sharing the
+ *   account; null when the campaign has no account cookie
+ */
+const getCampaignAllowance = async (supabase, campaign, now = new Date()) => {
+  const accountKey = getLimitKey(campaign);
+  if (!accountKey) return null;
+
+  const { data: campaigns, error } = await withTimeout(
+    supabase
+      .from('campaigns')
+      .select('id, cookies, linkedin_account_id, invitation_weight')
+      .eq('status', 'active')
+      .eq('automation_enabled', true),
+    10000,
+    'Timeout while fetching campaigns sharing an account'
+  );
+
+  if (error) {
+    throw new Error(`Failed to fetch campaigns for account ${accountKey}: ${error.message}`);
+  }
+
+  // The campaign itself always takes part, e.g. in a dry run before automation is switched on
+  const sharing = (campaigns || []).filter((other) => String(other.id) !== String(campaign.id)
+    && getLimitKey(other) === accountKey);
+  sharing.push(campaign);
+  sharing.sort((a, b) => Number(a.id) - Number(b.id));
+
+  const countedKeys = getCountedKeys(sharing);
+  const [usage, campaignSentToday] = await Promise.all([
+    getAccountUsage(supabase, accountKey, now, countedKeys),
+    countInvitations(supabase, countedKeys, startOfDay(now), campaign.id)
+  ]);
+
+  // Today's invitations are split, not what is left of them, so a campaign's share doesn't shrink as the others send
+  const sentBeforeToday = usage.sentThisWeek - usage.sentToday;
+  const budgetToday = Math.max(0, Math.min(usage.dailyLimit, usage.weeklyLimit - sentBeforeToday));
+  const share = allocateByWeight(budgetToday, sharing).get(String(campaign.id));
+
+  return {
+    ...usage,
+    share,
+    campaignSentToday,
+    allowance: Math.max(0, Math.min(share - campaignSentToday, usage.remainingToday)),
+    dailyShare: allocateByWeight(usage.dailyLimit, sharing).get(String(campaign.id)),
+    weeklyShare: allocateByWeight(usage.weeklyLimit, sharing).get(String(campaign.id)),
+    sharedWith: sharing.map((other) => other.id).filter((id) => String(id) !== String(campaign.id))
+  };
+};
+
+/**
+ * Record an invitation sent from an account
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} invitation
+ * @param {string} invitation.accountKey - Account key, see getLimitKey
+ * @param {number|string} invitation.campaignId - Campaign that sent it
+ * @param {string} [invitation.profileId] - scraped_profiles ID it was sent to
+ * @returns {Promise<void>}
+ */
+const recordInvitation = async (supabase, { accountKey, campaignId, profileId = null }) => {
+  const { error } = await withTimeout(
+    supabase
+      .from('account_invitations')
+      .insert({
+        account_key: accountKey,
+        campaign_id: campaignId,
+        profile_id: profileId,
+        sent_at: new Date().toISOString()
+      }),
+    10000,
+    'Timeout while recording account invitation'
+  );
+
+  if (error) {
+    throw new Error(`Failed to record invitation for account ${accountKey}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  ACCOUNT_LIMITS,
+  getAccountKey,
+  getLimitKey,
+  getCountedKeys,
+  getAccountUsage,
+  allocateByWeight,
+  getCampaignAllowance,
+  recordInvitation
+};
@@ -25,7 +25,7 @@ const validateActivityParams = ({ campaignId, activityType, status, counts }) =>
     throw new Error('Invalid campaign ID');
   }
 
-  const validActivityTypes = ['connection_request', 'connection_check', 'message_sent'];
+  const validActivityTypes = ['connection_request', 'connection_check', 'connection_withdrawal', 'reply_sync', 'message_sent'];
   if (!validActivityTypes.includes(activityType)) {
     throw new Error(`Invalid activity type: ${activityType}`);
   }
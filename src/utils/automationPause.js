@@ -0,0 +1,212 @@
+/**
+ * Global and per-campaign pause state for the automation.
+ * Paused campaigns get no new scheduler runs and their queued jobs are held by the job queue until resumed.
+ * @module utils/automationPause
+ */
+
+const createLogger = require('./logger');
+const { withTimeout } = require('./databaseUtils');
+
+/**
+ * Keeps the pause state in memory for the job queue and schedulers, backed by
+ * campaigns.paused_at and the single-row automation_state table so it survives restarts and reaches
+ * every instance; the job queue reloads it with refresh() on an interval
+ * @class AutomationPause
+ */
+class AutomationPause {
+  /**
+   * Create a new AutomationPause
+   */
+  constructor() {
+    this.supabase = null;
+    this.globalPausedAt = null;
+    this.pausedCampaigns = new Map(); // campaignId -> paused_at
+    this.logger = createLogger();
+  }
+
+  /**
+   * Attach the database and load the stored pause state
+   * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+   * @returns {Promise<void>}
+   */
+  async initialize(supabase) {
+    this.supabase = supabase;
+
+    try {
+      await this.refresh();
+
+      if (this.globalPausedAt) {
+        this.logger.warn(`Automation is paused since ${this.globalPausedAt}`);
+      }
+      if (this.pausedCampaigns.size > 0) {
+        this.logger.warn(`Paused campaigns: ${[...this.pausedCampaigns.keys()].join(', ')}`);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to load pause state, starting unpaused: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reload the pause state from the database, picking up pauses and resumes made through other
+   * instances. The state in memory is kept when the database can't be read.
+   * @returns {Promise<boolean>} Whether the state changed
+   * @throws {Error} When the state can't be read
+   */
+  async refresh() {
+    const { data: state, error: stateError } = await withTimeout(
+      this.supabase
+        .from('automation_state')
+        .select('paused_at')
+        .maybeSingle(),
+      10000,
+      'Timeout while fetching automation state'
+    );
+    if (stateError) throw stateError;
+
+    const { data: campaigns, error: campaignsError } = await withTimeout(
+      this.supabase
+        .from('campaigns')
+        .select('id, paused_at')
+        .not('paused_at', 'is', null),
+      10000,
+      'Timeout while fetching paused campaigns'
+    );
+    if (campaignsError) throw campaignsError;
+
+    const globalPausedAt = state?.paused_at || null;
+    const pausedCampaigns = new Map((campaigns || []).map((campaign) => [String(campaign.id), campaign.paused_at]));
+
+    const changed = Boolean(globalPausedAt) !== Boolean(this.globalPausedAt)
+      || pausedCampaigns.size !== this.pausedCampaigns.size
+      || [...pausedCampaigns.keys()].some((campaignId) => !this.pausedCampaigns.has(campaignId));
+
+    this.globalPausedAt = globalPausedAt;
+    this.pausedCampaigns = pausedCampaigns;
+    return changed;
+  }
+
+  /**
+   * Whether work for a campaign must wait, either because the campaign or all automation is paused
+   * @param {string|number} [campaignId] - Campaign ID; jobs without a campaign only follow the global pause
+   * @returns {boolean}
+   */
+  isPaused(campaignId) {
+    if (this.globalPausedAt) return true;
+    return campaignId !== undefined && campaignId !== null && this.pausedCampaigns.has(String(campaignId));
+  }
+
+  /**
+   * Whether all automation is paused
+   * @returns {boolean}
+   */
+  isGloballyPaused() {
+    return Boolean(this.globalPausedAt);
+  }
+
+  /**
+   * Pause a campaign
+   * @param {string|number} campaignId - Campaign ID
+   * @returns {Promise<string|null>} When the campaign was paused, or null if it does not exist
+   */
+  async pauseCampaign(campaignId) {
+    const key = String(campaignId);
+    const pausedAt = this.pausedCampaigns.get(key) || new Date().toISOString();
+    if (!(await this.setCampaignPausedAt(campaignId, pausedAt))) return null;
+
+    this.pausedCampaigns.set(key, pausedAt);
+    this.logger.info(`Paused campaign ${campaignId}`);
+    return pausedAt;
+  }
+
+  /**
+   * Resume a paused campaign
+   * @param {string|number} campaignId - Campaign ID
+   * @returns {Promise<boolean>} false if the campaign does not exist
+   */
+  async resumeCampaign(campaignId) {
+    if (!(await this.setCampaignPausedAt(campaignId, null))) return false;
+
+    this.pausedCampaigns.delete(String(campaignId));
+    this.logger.info(`Resumed campaign ${campaignId}`);
+    return true;
+  }
+
+  /**
+   * Store campaigns.paused_at
+   * @param {string|number} campaignId - Campaign ID
+   * @param {string|null} pausedAt - Timestamp, or null to resume
+   * @returns {Promise<boolean>} Whether the campaign exists
+   */
+  async setCampaignPausedAt(campaignId, pausedAt) {
+    const { data, error } = await withTimeout(
+      this.supabase
+        .from('campaigns')
+        .update({ paused_at: pausedAt })
+        .eq('id', campaignId)
+        .select('id'),
+      10000,
+      'Timeout while updating campaign pause state'
+    );
+
+    if (error) throw new Error(`Failed to update campaign ${campaignId}: ${error.message}`);
+    return Array.isArray(data) && data.length > 0;
+  }
+
+  /**
+   * Pause all automation
+   * @returns {Promise<string>} When automation was paused
+   */
+  async pauseAll() {
+    const pausedAt = this.globalPausedAt || new Date().toISOString();
+    await this.setGlobalPausedAt(pausedAt);
+
+    this.globalPausedAt = pausedAt;
+    this.logger.warn('Paused all automation');
+    return pausedAt;
+  }
+
+  /**
+   * Resume all automation. Campaigns paused on their own stay paused.
+   * @returns {Promise<void>}
+   */
+  async resumeAll() {
+    await this.setGlobalPausedAt(null);
+
+    this.globalPausedAt = null;
+    this.logger.info('Resumed all automation');
+  }
+
+  /**
+   * Store the global pause in automation_state
+   * @param {string|null} pausedAt - Timestamp, or null to resume
+   * @returns {Promise<void>}
+   */
+  async setGlobalPausedAt(pausedAt) {
+    const { error } = await withTimeout(
+      this.supabase
+        .from('automation_state')
+        .upsert({ id: true, paused_at: pausedAt, updated_at: new Date().toISOString() }),
+      10000,
+      'Timeout while updating automation state'
+    );
+
+    if (error) throw new Error(`Failed to update automation state: ${error.message}`);
+  }
+
+  /**
+   * Current pause state
+   * @returns {{paused: boolean, pausedAt: string|null, pausedCampaigns: Array<{campaignId: string, pausedAt: string}>}}
+   */
+  getState() {
+    return {
+      paused: this.isGloballyPaused(),
+      pausedAt: this.globalPausedAt,
+      pausedCampaigns: [...this.pausedCampaigns].map(([campaignId, pausedAt]) => ({ campaignId, pausedAt }))
+    };
+  }
+}
+
+// Singleton instance
+const automationPause = new AutomationPause();
+
+module.exports = automationPause;
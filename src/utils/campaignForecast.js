@@ -0,0 +1,269 @@
+/**
+ * Day-by-day projection of a campaign's remaining work: connection requests to the profiles not
+ * sent yet, the acceptances expected from them and from pending requests, and the follow-up
+ * messages each stage of the sequence then sends.
+ *
+ * Counts are expected values worked out on the campaign's local dates. Requests and messages go
+ * out on days the sending window opens and that aren't holidays, acceptances arrive a number of
+ * working days after the request, and each stage waits its working-day delay after the previous
+ * one. Replies aren't predicted, so message counts assume nobody answers.
+ * @module utils/campaignForecast
+ */
+
+const { addWorkingDays } = require('./dateUtils');
+const { getLocalTime, fromLocalTime, shiftDate, getWeekday } = require('./sendingWindow');
+const { getNextStage, getNextSendTime } = require('./messageSequence');
+
+// Used until a campaign has enough answered requests of its own
+const DEFAULT_ACCEPTANCE_RATE = 0.3;
+const DEFAULT_ACCEPTANCE_LAG_DAYS = 3;
+const MIN_ACCEPTANCE_HISTORY = 20;
+
+// Projections stop here even if work remains, e.g. for a window that never opens
+const MAX_FORECAST_DAYS = 365;
+
+/**
+ * @typedef {Object} ForecastInput
+ * @property {number} notSent - Profiles waiting for a connection request
+ * @property {number} pending - Requests sent but not accepted yet
+ * @property {number} requestsPerDay - Connection requests per day, may be fractional for a small share of an account
+ * @property {number} sentToday - Requests already sent today
+ * @property {number} [requestsToday] - Requests the account's caps still allow today, when they allow fewer
+ * @property {number} acceptanceRate - Share of requests expected to be accepted, 0-1
+ * @property {number} acceptanceLagDays - Working days from request to acceptance
+ * @property {Object[]} leads - Unreplied 1st-degree leads with message_stage and last_contacted
+ * @property {import('./messageSequence').MessageStage[]} sequence - Message sequence
+ * @property {import('./sendingWindow').SendingWindow} window - Campaign sending window
+ * @property {import('./holidayCalendar').HolidayCalendar} calendar - Campaign holiday calendar
+ * @property {Date} [now] - Defaults to now
+ */
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} null for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Working days between two instants, counted in the calendar's timezone
+ * @param {Date} from - Start
+ * @param {Date} to - End
+ * @param {import('./holidayCalendar').HolidayCalendar} calendar - Holiday calendar
+ * @returns {number}
+ */
+const countWorkingDays = (from, to, calendar) => {
+  const end = getLocalTime(to, calendar.timeZone).date;
+  let date = getLocalTime(from, calendar.timeZone).date;
+  let days = 0;
+
+  while (date < end && days <= MAX_FORECAST_DAYS) {
+    date = shiftDate(date, 1);
+    if (getWeekday(date) <= 5 && !calendar.isHoliday(date)) days++;
+  }
+
+  return days;
+};
+
+/**
+ * Acceptance rate and lag from a campaign's answered connection requests
+ * @param {Object} history
+ * @param {number} history.connected - Profiles that accepted
+ * @param {number} history.pending - Profiles still pending
+ * @param {Object[]} history.accepted - Recently accepted profiles with last_connection_attempt and last_checked
+ * @param {import('./holidayCalendar').HolidayCalendar} calendar - Holiday calendar
+ * @returns {{acceptanceRate: number, acceptanceLagDays: number, source: string}} source is 'history' or 'default'
+ */
+const getAcceptanceStats = ({ connected, pending, accepted }, calendar) => {
+  if (connected + pending < MIN_ACCEPTANCE_HISTORY) {
+    return { acceptanceRate: DEFAULT_ACCEPTANCE_RATE, acceptanceLagDays: DEFAULT_ACCEPTANCE_LAG_DAYS, source: 'default' };
+  }
+
+  // Acceptances are only noticed by the next connection check, so the lag is an upper bound
+  const lags = accepted
+    .filter((profile) => profile.last_connection_attempt && profile.last_checked)
+    .map((profile) => countWorkingDays(new Date(profile.last_connection_attempt), new Date(profile.last_checked), calendar));
+
+  return {
+    acceptanceRate: connected / (connected + pending),
+    acceptanceLagDays: Math.round(median(lags) ?? DEFAULT_ACCEPTANCE_LAG_DAYS),
+    source: 'history'
+  };
+};
+
+/**
+ * Local date a number of working days after another, as the messaging scheduler counts delays
+ * @param {string} date - Local YYYY-MM-DD
+ * @param {number} days - Working days
+ * @param {import('./holidayCalendar').HolidayCalendar} calendar - Holiday calendar
+ * @returns {string} Local YYYY-MM-DD
+ */
+const addWorkingDates = (date, days, calendar) => {
+  if (days <= 0) return date;
+  const midday = fromLocalTime(date, 12, 0, calendar.timeZone);
+  return getLocalTime(addWorkingDays(midday, days, calendar), calendar.timeZone).date;
+};
+
+/**
+ * Round running totals so daily counts are whole numbers that add up to the rounded total
+ * @param {number[]} values - Expected counts per day
+ * @returns {number[]}
+ */
+const roundCumulative = (values) => {
+  let total = 0;
+  let rounded = 0;
+  return values.map((value) => {
+    total += value;
+    const next = Math.round(total);
+    const count = next - rounded;
+    rounded = next;
+    return count;
+  });
+};
+
+/**
+ * Project a campaign day by day until its profiles have been sent requests and every expected
+ * connection has been through the message sequence
+ * @param {ForecastInput} input - Campaign state and settings
+ * @returns {{days: Object[], completed: boolean, lastRequestDate: string|null, completionDate: string|null, totals: Object}}
+ *   completed is false when work is left after MAX_FORECAST_DAYS
+ */
+const buildForecast = ({
+  notSent,
+  pending,
+  requestsPerDay,
+  sentToday,
+  requestsToday = Infinity,
+  acceptanceRate,
+  acceptanceLagDays,
+  leads,
+  sequence,
+  window,
+  calendar,
+  now = new Date()
+}) => {
+  const { timeZone } = window;
+  const today = getLocalTime(now, timeZone).date;
+  const firstStage = getNextStage(sequence, null);
+  const activeStages = sequence.filter((stage) => stage.active);
+
+  // The schedulers only send while the window is open on a non-holiday; today only counts if it still opens
+  const isSendDay = (date) => {
+    if (!window.days.includes(getWeekday(date)) || calendar.isHoliday(date)) return false;
+    if (date !== today) return true;
+    const closes = fromLocalTime(window.endHour < window.startHour ? shiftDate(date, 1) : date, window.endHour, 0, timeZone);
+    return now < closes;
+  };
+
+  // Expected arrivals keyed by local date: acceptances, and leads becoming due each stage
+  const acceptancesOn = new Map();
+  const dueOn = new Map(activeStages.map((stage) => [stage.stage, new Map()]));
+  const add = (map, date, count) => map.set(date, (map.get(date) || 0) + count);
+
+  // Pending requests are somewhere in their wait, so their acceptances are spread over the lag
+  const pendingAccepted = pending * acceptanceRate;
+  const spread = Math.max(1, acceptanceLagDays);
+  for (let i = 1; pendingAccepted > 0 && i <= spread; i++) {
+    add(acceptancesOn, addWorkingDates(today, acceptanceLagDays > 0 ? i : 0, calendar), pendingAccepted / spread);
+  }
+
+  // Leads that are already connections continue from their current stage
+  for (const lead of leads) {
+    const { stage, nextSendAt } = getNextSendTime(lead, sequence, window, calendar, now);
+    if (!stage || !nextSendAt) continue;
+    const date = getLocalTime(nextSendAt, timeZone).date;
+    add(dueOn.get(stage.stage), date < today ? today : date, 1);
+  }
+
+  const waiting = new Map(activeStages.map((stage) => [stage.stage, 0])); // Due but held back by the daily cap
+  const raw = [];
+  let remaining = notSent;
+  let date = today;
+
+  // Days are removed from the maps once projected, so anything left is still to come
+  const hasFutureWork = () => remaining > 0
+    || acceptancesOn.size > 0
+    || [...dueOn.values()].some((byDate) => byDate.size > 0)
+    || [...waiting.values()].some((count) => count > 1e-6);
+
+  for (let i = 0; i < MAX_FORECAST_DAYS && hasFutureWork(); i++, date = shiftDate(date, 1)) {
+    const sendDay = isSendDay(date);
+    const day = { date, sendDay, requests: 0, acceptances: 0, messages: {} };
+
+    if (sendDay && remaining > 0) {
+      const capacity = date === today
+        ? Math.max(0, Math.min(requestsPerDay - sentToday, requestsToday))
+        : requestsPerDay;
+      day.requests = Math.min(capacity, remaining);
+      remaining -= day.requests;
+      add(acceptancesOn, addWorkingDates(date, acceptanceLagDays, calendar), day.requests * acceptanceRate);
+    }
+
+    day.acceptances = acceptancesOn.get(date) || 0;
+    acceptancesOn.delete(date);
+    // New connections become leads that are due the first stage straight away
+    if (firstStage && day.acceptances > 0) {
+      add(dueOn.get(firstStage.stage), date, day.acceptances);
+    }
+
+    for (const stage of activeStages) {
+      const byDate = dueOn.get(stage.stage);
+      const due = waiting.get(stage.stage) + (byDate.get(date) || 0);
+      byDate.delete(date);
+
+      const sent = sendDay ? Math.min(due, stage.maxPerDay) : 0;
+      waiting.set(stage.stage, due - sent);
+      day.messages[stage.stage] = sent;
+
+      const nextStage = getNextStage(sequence, stage.stage);
+      if (nextStage && sent > 0) {
+        add(dueOn.get(nextStage.stage), addWorkingDates(date, nextStage.delayDays, calendar), sent);
+      }
+    }
+
+    raw.push(day);
+  }
+
+  // Whole numbers for the response
+  const requests = roundCumulative(raw.map((day) => day.requests));
+  const acceptances = roundCumulative(raw.map((day) => day.acceptances));
+  const messages = new Map(activeStages.map((stage) => [
+    stage.stage,
+    roundCumulative(raw.map((day) => day.messages[stage.stage]))
+  ]));
+
+  const days = raw.map((day, index) => ({
+    date: day.date,
+    sendDay: day.sendDay,
+    requests: requests[index],
+    acceptances: acceptances[index],
+    messages: Object.fromEntries(activeStages.map((stage) => [stage.stage, messages.get(stage.stage)[index]]))
+  }));
+
+  const active = days.filter((day) => day.requests > 0 || day.acceptances > 0
+    || Object.values(day.messages).some((count) => count > 0));
+  const withRequests = days.filter((day) => day.requests > 0);
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  return {
+    days,
+    completed: !hasFutureWork(),
+    lastRequestDate: withRequests.length ? withRequests[withRequests.length - 1].date : null,
+    completionDate: active.length ? active[active.length - 1].date : null,
+    totals: {
+      requests: sum(requests),
+      acceptances: sum(acceptances),
+      messages: Object.fromEntries(activeStages.map((stage) => [stage.stage, sum(messages.get(stage.stage))]))
+    }
+  };
+};
+
+module.exports = {
+  getAcceptanceStats,
+  buildForecast
+};
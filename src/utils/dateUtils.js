@@ -1,5 +1,31 @@
-// Utility function to add working days (excluding weekends) to a timestamp
-const addWorkingDays = (startDate, days) => {
+const { getLocalTime, shiftDate, getWeekday, fromLocalTime } = require('./sendingWindow');
+
+// Whether a local YYYY-MM-DD date is a working day in a holiday calendar
+const isWorkingDay = (date, calendar) => getWeekday(date) <= 5 && !calendar.isHoliday(date);
+
+// Utility function to add working days to a timestamp, counted in the calendar's timezone and
+// skipping its holidays when a holiday calendar is given, otherwise skipping weekends in server time
+const addWorkingDays = (startDate, days, calendar = null) => {
+  if (calendar) {
+    const local = getLocalTime(new Date(startDate), calendar.timeZone);
+    let date = local.date;
+    let daysAdded = 0;
+
+    while (daysAdded < days) {
+      date = shiftDate(date, 1);
+      if (isWorkingDay(date, calendar)) {
+        daysAdded++;
+      }
+    }
+
+    // If the resulting date is not a working day, move to the next one
+    while (!isWorkingDay(date, calendar)) {
+      date = shiftDate(date, 1);
+    }
+
+    return fromLocalTime(date, local.hour, local.minute, calendar.timeZone);
+  }
+
   let currentDate = new Date(startDate);
   let daysAdded = 0;
 
@@ -21,13 +47,13 @@ const addWorkingDays = (startDate, days) => {
 };
 
 // Utility function to check if the delay period has passed using working days
-const hasDelayPassed = (lastContacted, delayDays) => {
+const hasDelayPassed = (lastContacted, delayDays, calendar = null) => {
   if (!lastContacted) return false; // If never contacted, delay hasn't passed (for stages > 1)
   if (!delayDays || delayDays <= 0) return true; // No delay required or stage 1
   
   const lastContactedDate = new Date(lastContacted);
   // Calculate the date when the lead is eligible for the next message using working days
-  const eligibleDate = addWorkingDays(lastContactedDate, delayDays);
+  const eligibleDate = addWorkingDays(lastContactedDate, delayDays, calendar);
   
   // Check if the current date is on or after the eligible date
   return new Date() >= eligibleDate;
@@ -0,0 +1,78 @@
+/**
+ * Reports for scheduler dry runs. A dry run goes through a scheduler's real campaign selection,
+ * cooldown, daily-cap and eligibility checks and records what the run would queue instead of
+ * queueing it: no job is created, no browser is launched and nothing is written to the database.
+ * @module utils/dryRun
+ */
+
+/**
+ * Start the report of a dry run
+ * @param {string} scheduler - Scheduler name, e.g. 'send-messages'
+ * @param {Object} options - Run options
+ * @param {number|string} [options.campaignId] - Only simulate this campaign
+ * @returns {Object} Report that the scheduler fills in and returns
+ */
+const createDryRunReport = (scheduler, { campaignId = null } = {}) => ({
+  scheduler,
+  dryRun: true,
+  generatedAt: new Date().toISOString(),
+  campaignId,
+  skipReason: null,
+  campaigns: []
+});
+
+/**
+ * Add a campaign the run looked at to a report
+ * @param {Object|null} report - Dry run report, null outside a dry run
+ * @param {Object} campaign - Campaign row
+ * @returns {Object|null} The campaign's entry, null outside a dry run
+ */
+const addCampaign = (report, campaign) => {
+  if (!report) return null;
+
+  const entry = {
+    campaignId: campaign.id,
+    name: campaign.name || null,
+    automationEnabled: campaign.automation_enabled === true,
+    action: null,
+    skipReason: null
+  };
+  report.campaigns.push(entry);
+  return entry;
+};
+
+/**
+ * Record why a campaign, or the whole run, would be skipped
+ * @param {Object|null} entry - Campaign entry or report, null outside a dry run
+ * @param {string} reason - e.g. 'paused', 'cooldown' or 'daily_cap_reached'
+ * @param {Object} [details] - Extra fields for the entry, e.g. nextWindowAt
+ */
+const skip = (entry, reason, details = {}) => {
+  if (!entry) return;
+  Object.assign(entry, { action: 'skip', skipReason: reason, ...details });
+};
+
+/**
+ * Narrow a scheduler's campaigns query to the campaigns it runs for. A dry run for one campaign
+ * includes it before automation_enabled is switched on, so a new campaign can be checked first.
+ * @param {Object} query - Supabase query on campaigns
+ * @param {Object} options - Run options
+ * @param {boolean} [options.dryRun] - Whether this is a dry run
+ * @param {number|string} [options.campaignId] - Only simulate this campaign
+ * @param {Object} [selection]
+ * @param {boolean} [selection.automationOnly] - Whether the scheduler only runs for campaigns with automation enabled
+ * @returns {Object} The narrowed query
+ */
+const scopeCampaignQuery = (query, { dryRun = false, campaignId = null } = {}, { automationOnly = true } = {}) => {
+  if (dryRun && campaignId) {
+    return query.eq('id', campaignId);
+  }
+  return automationOnly ? query.eq('automation_enabled', true) : query;
+};
+
+module.exports = {
+  createDryRunReport,
+  addCampaign,
+  skip,
+  scopeCampaignQuery
+};
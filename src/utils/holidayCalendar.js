@@ -0,0 +1,141 @@
+/**
+ * Holiday calendars for working-day delays and sending windows.
+ * Public holidays come from the bundled files in src/data/holidays, one per country or region code
+ * (campaigns.holiday_calendar), and clients can add their own blackout dates (clients.blackout_dates).
+ * Each file lists the years it covers; dates in other years only skip blackout dates, with a warning
+ * so the file gets extended.
+ * @module utils/holidayCalendar
+ */
+
+const fs = require('fs');
+const path = require('path');
+const createLogger = require('./logger');
+const { withTimeout } = require('./databaseUtils');
+
+const logger = createLogger();
+
+const HOLIDAY_DATA_DIR = path.join(__dirname, '..', 'data', 'holidays');
+
+// Parsed holiday files by code, loaded on first use
+const regions = new Map();
+
+// Calendar years already warned about as not covered, as 'GB:2028'
+const uncoveredWarnings = new Set();
+
+/**
+ * @typedef {Object} HolidayCalendar
+ * @property {string|null} region - Holiday calendar code, e.g. 'GB'
+ * @property {string} timeZone - IANA timezone the dates are local to
+ * @property {function(string): boolean} isHoliday - Whether a YYYY-MM-DD date is a holiday or blackout date
+ * @property {function(string): string|null} getHolidayName - Name of the holiday on a YYYY-MM-DD date
+ */
+
+/**
+ * Codes of the bundled holiday calendars
+ * @returns {string[]}
+ */
+const listHolidayCalendars = () => fs.readdirSync(HOLIDAY_DATA_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => path.basename(file, '.json'))
+  .sort();
+
+/**
+ * Load a bundled holiday calendar
+ * @param {string} code - Calendar code, e.g. 'GB' or 'US'
+ * @returns {{byDate: Map<string, string>, years: Set<number>}|null} Holiday name by YYYY-MM-DD date and
+ *   the years the file covers, or null if there is no such calendar
+ */
+const loadRegionHolidays = (code) => {
+  const key = String(code).toUpperCase();
+  if (regions.has(key)) return regions.get(key);
+
+  // Codes are looked up in a list so they can't point outside the data directory
+  if (!listHolidayCalendars().includes(key)) {
+    regions.set(key, null);
+    return null;
+  }
+
+  const { holidays, years } = JSON.parse(fs.readFileSync(path.join(HOLIDAY_DATA_DIR, `${key}.json`), 'utf8'));
+  const calendar = {
+    byDate: new Map(holidays.map((holiday) => [holiday.date, holiday.name])),
+    // Files without a list cover the years their holidays fall in
+    years: new Set(years || holidays.map((holiday) => Number(holiday.date.substring(0, 4))))
+  };
+  regions.set(key, calendar);
+  return calendar;
+};
+
+/**
+ * Build a holiday calendar
+ * @param {Object} options
+ * @param {string|null} [options.region] - Bundled calendar code
+ * @param {string[]|null} [options.blackoutDates] - Extra YYYY-MM-DD dates to skip
+ * @param {string} options.timeZone - IANA timezone the dates are local to
+ * @returns {HolidayCalendar}
+ */
+const createHolidayCalendar = ({ region = null, blackoutDates = null, timeZone }) => {
+  let holidays = null;
+  if (region) {
+    holidays = loadRegionHolidays(region);
+    if (!holidays) {
+      logger.warn(`Unknown holiday calendar ${region}, only blackout dates apply`);
+    }
+  }
+
+  const code = holidays ? String(region).toUpperCase() : null;
+  const blackouts = new Set(blackoutDates || []);
+
+  const getHolidayName = (date) => {
+    if (blackouts.has(date)) return 'Blackout date';
+    if (!holidays) return null;
+
+    const year = Number(String(date).substring(0, 4));
+    if (!holidays.years.has(year) && !uncoveredWarnings.has(`${code}:${year}`)) {
+      uncoveredWarnings.add(`${code}:${year}`);
+      logger.warn(`Holiday calendar ${code} has no holidays for ${year}, only blackout dates apply then; add them to src/data/holidays/${code}.json`);
+    }
+    return holidays.byDate.get(date) || null;
+  };
+
+  return {
+    region: code,
+    timeZone,
+    isHoliday: (date) => getHolidayName(date) !== null,
+    getHolidayName
+  };
+};
+
+/**
+ * Build the holiday calendar for a campaign, fetching its client's blackout dates
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {Object} campaign - Campaign row with holiday_calendar and client_id
+ * @param {string} timeZone - IANA timezone of the campaign's sending window
+ * @returns {Promise<HolidayCalendar>}
+ */
+const loadHolidayCalendar = async (supabase, campaign, timeZone) => {
+  let blackoutDates = null;
+
+  try {
+    const { data, error } = await withTimeout(
+      supabase
+        .from('clients')
+        .select('blackout_dates')
+        .eq('id', campaign.client_id)
+        .maybeSingle(),
+      10000,
+      'Timeout while fetching client blackout dates'
+    );
+    if (error) throw error;
+    blackoutDates = data?.blackout_dates || null;
+  } catch (error) {
+    logger.error(`Failed to fetch blackout dates for client ${campaign.client_id}: ${error.message}`);
+  }
+
+  return createHolidayCalendar({ region: campaign.holiday_calendar, blackoutDates, timeZone });
+};
+
+module.exports = {
+  listHolidayCalendars,
+  createHolidayCalendar,
+  loadHolidayCalendar
+};
@@ -0,0 +1,129 @@
+/**
+ * Idempotency keys for the POST endpoints that create jobs.
+ * A client that retries a request with the same Idempotency-Key header gets the job
+ * created by the first request instead of a second job for the same batch.
+ * @module utils/idempotency
+ */
+
+const createLogger = require('./logger');
+const { withTimeout } = require('./databaseUtils');
+
+const logger = createLogger();
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// Postgres unique_violation, raised when two requests with the same key insert at once
+const UNIQUE_VIOLATION = '23505';
+
+// Columns of the existing job returned to a repeated request
+const REPLAY_COLUMNS = 'job_id, type, status, campaign_id';
+
+/**
+ * Read the Idempotency-Key header
+ * @param {import('express').Request} req - Express request object
+ * @returns {{key: string|null, error: string|null}} key is null when the header is absent
+ */
+const readIdempotencyKey = (req) => {
+  const raw = req.get(IDEMPOTENCY_HEADER);
+  if (raw === undefined) return { key: null, error: null };
+
+  const key = raw.trim();
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return { key: null, error: `Invalid ${IDEMPOTENCY_HEADER} header: must be 1 to ${MAX_KEY_LENGTH} characters` };
+  }
+
+  return { key, error: null };
+};
+
+/**
+ * Find the job created for an idempotency key
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object|null>} The job row, or null when the key has not been used
+ */
+const findJobByIdempotencyKey = async (supabase, key) => {
+  const { data, error } = await withTimeout(
+    supabase
+      .from('jobs')
+      .select(REPLAY_COLUMNS)
+      .eq('idempotency_key', key)
+      .maybeSingle(),
+    10000,
+    'Timeout while looking up idempotency key'
+  );
+
+  if (error) throw new Error(`Failed to look up idempotency key: ${error.message}`);
+  return data;
+};
+
+/**
+ * Insert a jobs row unless a job already exists for the idempotency key.
+ * Without a key the row is always inserted.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {string|null} key - Idempotency key from the request
+ * @param {Object} row - Row to insert into the jobs table
+ * @returns {Promise<{data: Object|null, error: Object|null, replayed: boolean}>}
+ * data is the new row, or the existing one when replayed is true
+ */
+const createJobOnce = async (supabase, key, row) => {
+  if (key) {
+    const existing = await findJobByIdempotencyKey(supabase, key);
+    if (existing) return { data: existing, error: null, replayed: true };
+  }
+
+  const { data, error } = await withTimeout(
+    supabase
+      .from('jobs')
+      .insert({ ...row, idempotency_key: key })
+      .select(REPLAY_COLUMNS)
+      .single(),
+    10000,
+    'Timeout while creating job in database'
+  );
+
+  // A concurrent request with the same key won the insert, so return its job
+  if (key && error?.code === UNIQUE_VIOLATION) {
+    const existing = await findJobByIdempotencyKey(supabase, key);
+    if (existing) return { data: existing, error: null, replayed: true };
+  }
+
+  return { data, error, replayed: false };
+};
+
+/**
+ * Respond to a repeated request with the job created by the first one
+ * @param {import('express').Response} res - Express response object
+ * @param {string} key - Idempotency key from the request
+ * @param {Object} job - Existing job row
+ * @param {string} type - Job type the route creates
+ * @param {Object} [body] - Extra fields the route returns on success, e.g. message
+ * @returns {import('express').Response}
+ */
+const sendExistingJob = (res, key, job, type, body = {}) => {
+  if (job.type !== type) {
+    logger.warn(`${IDEMPOTENCY_HEADER} ${key} was used for a ${job.type} job, rejecting ${type} request`);
+    return res.status(422).json({
+      success: false,
+      error: `${IDEMPOTENCY_HEADER} ${key} was already used for a different request`
+    });
+  }
+
+  logger.info(`${IDEMPOTENCY_HEADER} ${key} matches job ${job.job_id}, returning it instead of creating a new job`);
+  res.set('Idempotent-Replayed', 'true');
+  return res.json({
+    success: true,
+    ...body,
+    jobId: job.job_id,
+    status: job.status,
+    replayed: true
+  });
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  readIdempotencyKey,
+  findJobByIdempotencyKey,
+  createJobOnce,
+  sendExistingJob
+};
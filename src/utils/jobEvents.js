@@ -0,0 +1,133 @@
+/**
+ * In-process event bus for job lifecycle, resistance and cooldown events, streamed to clients over SSE
+ * @module utils/jobEvents
+ */
+
+const { EventEmitter } = require('events');
+
+// Recent events kept so a reconnecting client can catch up from its Last-Event-ID
+const HISTORY_SIZE = 500;
+
+// Statuses after which a job publishes no more events unless it is requeued.
+// A failed job is not final: the retry policy follows it with queued or dead_letter.
+const FINAL_STATUSES = ['completed', 'cancelled', 'dead_letter'];
+
+/**
+ * Publishes events to every subscriber in this process. Each event gets an increasing id
+ * that doubles as the SSE event id.
+ * @class JobEventBus
+ */
+class JobEventBus extends EventEmitter {
+  /**
+   * Create a new JobEventBus
+   */
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per open SSE connection
+    this.sequence = 0;
+    this.history = [];
+    this.jobs = new Map(); // jobId -> { type, campaignId } of jobs that have not finished
+  }
+
+  /**
+   * Publish a job lifecycle event. Type and campaign are filled in from earlier events
+   * for callers that only know the job ID, such as per-lead progress updates.
+   * @param {string} event - 'queued', 'started', 'in_progress', 'completed', 'failed', 'cancelled' or 'dead_letter'
+   * @param {Object} job - The job
+   * @param {string} job.jobId - Job ID
+   * @param {string} [job.type] - Job type
+   * @param {string|number} [job.campaignId] - Campaign ID
+   * @param {Object} [data] - Event details
+   * @returns {Object} The published event
+   */
+  publishJobEvent(event, { jobId, type, campaignId }, data = {}) {
+    const key = String(jobId);
+    const known = this.jobs.get(key) || {};
+    const job = {
+      type: type ?? known.type ?? null,
+      campaignId: campaignId ?? known.campaignId ?? null
+    };
+
+    // Retries publish the job's type and campaign again, so they need not be remembered past a failure
+    if (this.isFinalStatus(event) || event === 'failed') {
+      this.jobs.delete(key);
+    } else {
+      this.jobs.set(key, job);
+    }
+
+    return this.publish({
+      event,
+      jobId: key,
+      type: job.type,
+      campaignId: job.campaignId === null ? null : String(job.campaignId),
+      ...data
+    });
+  }
+
+  /**
+   * Publish an event about a campaign rather than a single job
+   * @param {string} event - 'resistance' or 'cooldown'
+   * @param {string|number} campaignId - Campaign ID
+   * @param {Object} [data] - Event details
+   * @returns {Object} The published event
+   */
+  publishCampaignEvent(event, campaignId, data = {}) {
+    return this.publish({
+      event,
+      jobId: null,
+      type: null,
+      campaignId: String(campaignId),
+      ...data
+    });
+  }
+
+  /**
+   * Stamp an event, keep it in the history and hand it to subscribers
+   * @param {Object} fields - Event fields
+   * @returns {Object} The published event
+   */
+  publish(fields) {
+    const record = { id: ++this.sequence, ...fields, timestamp: new Date().toISOString() };
+
+    this.history.push(record);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+
+    this.emit('event', record);
+    return record;
+  }
+
+  /**
+   * Events published after the given id that are still in the history
+   * @param {number} lastEventId - Id of the last event the client received
+   * @returns {Object[]}
+   */
+  eventsSince(lastEventId) {
+    return this.history.filter((record) => record.id > lastEventId);
+  }
+
+  /**
+   * Whether a job in this status is finished
+   * @param {string} status - Job status
+   * @returns {boolean}
+   */
+  isFinalStatus(status) {
+    return FINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Call a listener for every event published from now on
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribes the listener
+   */
+  subscribe(listener) {
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+}
+
+// Singleton instance
+const jobEvents = new JobEventBus();
+
+module.exports = jobEvents;
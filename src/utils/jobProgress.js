@@ -0,0 +1,82 @@
+/**
+ * Per-lead progress that running jobs record in jobs.result.progress
+ * @module utils/jobProgress
+ */
+
+const createLogger = require('./logger');
+const { withTimeout } = require('./databaseUtils');
+const jobEvents = require('./jobEvents');
+
+const logger = createLogger();
+
+/**
+ * Build the progress block stored in jobs.result.progress
+ * @param {Object} counts - Progress counts
+ * @param {number} counts.total - Number of leads/profiles the job will process
+ * @param {number} counts.processed - Number already processed
+ * @param {number} counts.succeeded - Number processed successfully
+ * @param {number} counts.failed - Number that failed
+ * @param {Object|null} [counts.currentLead] - Lead/profile currently being worked on
+ * @returns {Object} Progress block
+ */
+const buildProgress = ({ total = 0, processed = 0, succeeded = 0, failed = 0, currentLead = null }) => ({
+  total,
+  processed,
+  succeeded,
+  failed,
+  current_lead: currentLead,
+  updated_at: new Date().toISOString()
+});
+
+/**
+ * Describe a lead or scraped profile for the current_lead field
+ * @param {Object} lead - Lead or scraped profile row
+ * @returns {{id: *, name: string, linkedin: string|null}}
+ */
+const describeLead = (lead) => ({
+  id: lead.id,
+  name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim(),
+  linkedin: lead.linkedin || null
+});
+
+/**
+ * Record progress for a running job. Failures are logged and never interrupt the job.
+ * @param {Object} supabase - Supabase client
+ * @param {string} jobId - Job ID
+ * @param {Object} counts - See buildProgress
+ * @param {Object} [result] - Other fields of jobs.result to keep alongside the progress block
+ * @returns {Promise<void>}
+ */
+const updateJobProgress = async (supabase, jobId, counts, result = {}) => {
+  const progress = counts.total ? counts.processed / counts.total : 0;
+  const progressDetails = buildProgress(counts);
+
+  // Published whether or not the write succeeds, so live viewers still follow the job
+  jobEvents.publishJobEvent('in_progress', { jobId }, { status: 'in_progress', progress, progressDetails });
+
+  try {
+    const { error } = await withTimeout(
+      supabase
+        .from('jobs')
+        .update({
+          status: 'in_progress',
+          progress,
+          result: { ...result, progress: progressDetails },
+          updated_at: new Date().toISOString(),
+        })
+        .eq('job_id', jobId),
+      10000,
+      'Timeout while updating job progress'
+    );
+
+    if (error) throw error;
+  } catch (error) {
+    logger.warn(`Failed to update progress for job ${jobId}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  buildProgress,
+  describeLead,
+  updateJobProgress
+};
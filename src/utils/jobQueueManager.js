@@ -1,16 +1,84 @@
 /**
- * Job Queue Manager for sequential job processing
+ * Job Queue Manager for job processing in per-account lanes
  * @module utils/jobQueueManager
  */
 
 const createLogger = require('./logger');
+const { withTimeout } = require('./databaseUtils');
+const { sendJobStatusReport } = require('../telegramBot');
+const { getRetryPolicy, getRetryDelay } = require('./retryPolicy');
+const jobEvents = require('./jobEvents');
+const automationPause = require('./automationPause');
+const leaseManager = require('./leaseManager');
+const { getAccountKey } = require('./accountLimits');
 const debugJobs = process.env.DEBUG_JOBS === 'true';
 
 // Job types that can bypass the queue and run concurrently
 const BYPASS_QUEUE_TYPES = ['check_cookies', 'telegram_command', 'system_task'];
 
+// Statuses of a job row that is currently being worked on
+const ACTIVE_STATUSES = ['started', 'in_progress'];
+
+// Upper bound on jobs (and so browser instances) running at the same time across all lanes
+const MAX_CONCURRENT_BROWSERS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_BROWSERS, 10) || 2);
+
+// Maximum runtime per job type before the watchdog kills the job.
+// Override with JOB_TIMEOUT_MINUTES_<TYPE>, e.g. JOB_TIMEOUT_MINUTES_CONNECT=90
+const JOB_TIMEOUTS = {
+  connect: 60 * 60 * 1000,
+  check_connection_requests: 45 * 60 * 1000,
+  withdraw_connection_requests: 30 * 60 * 1000,
+  sync_replies: 20 * 60 * 1000,
+  send_connection_messages: 30 * 60 * 1000,
+  send_open_profile_messages: 30 * 60 * 1000
+};
+const DEFAULT_JOB_TIMEOUT = 60 * 60 * 1000;
+
+// How long a timed-out job gets to unwind after its browser is killed before the timeout is recorded
+const TIMEOUT_GRACE_PERIOD = 5000;
+
+// AbortSignal reason for a running job stopped because its campaign or all automation was paused
+const PAUSE_REASON = 'paused';
+
+// How often pauses, resumes and cancellations made through other instances are picked up
+const SHARED_STATE_SYNC_INTERVAL = 30 * 1000;
+
+// Lane for jobs that are not tied to a campaign
+const DEFAULT_LANE = 'default';
+
+// How long a job waits before trying again when another instance is running a job in its lane
+const LANE_BUSY_RETRY_DELAY = 60 * 1000;
+
+// Priority classes, highest first. A queued job never starts while a runnable job of a higher class is waiting.
+const PRIORITY_CLASSES = ['manual', 'follow_up_message', 'connection_request', 'status_check'];
+
+// Priority class of each job type when addJob metadata does not set one
+const DEFAULT_PRIORITIES = {
+  send_connection_messages: 'follow_up_message',
+  send_open_profile_messages: 'follow_up_message',
+  retry_message_stage: 'follow_up_message',
+  sync_replies: 'follow_up_message', // Replies are synced ahead of the messages they would stop
+  connect: 'connection_request',
+  check_connection_requests: 'status_check',
+  withdraw_connection_requests: 'status_check'
+};
+
 /**
- * Manages a queue of jobs to be processed sequentially
+ * Strip non-serializable values (functions, the Supabase client) from job metadata
+ * so it can be stored in the jobs.payload column
+ * @param {Object} metadata - Job metadata passed to addJob
+ * @returns {Object} JSON-safe payload
+ */
+const toPayload = (metadata) => JSON.parse(JSON.stringify(metadata, (key, value) => {
+  if (key === 'supabase' || typeof value === 'function') return undefined;
+  return value;
+}));
+
+/**
+ * Manages a queue of jobs split into lanes, one per LinkedIn account (the campaign's cookie identity).
+ * Jobs in the same lane run one at a time in queue order; jobs in different lanes run concurrently,
+ * up to MAX_CONCURRENT_BROWSERS at once.
+ * The queue is persisted in the `jobs` table so queued and interrupted jobs survive restarts.
  * @class JobQueueManager
  */
 class JobQueueManager {
@@ -19,107 +87,1267 @@ class JobQueueManager {
    */
   constructor() {
     this.queue = [];
-    this.processing = false;
-    this.activeJob = null; // Track only the currently active job
+    this.activeJobs = new Map(); // Queue entry -> running job, including its AbortController
+    this.maxConcurrentJobs = MAX_CONCURRENT_BROWSERS;
+    this.lastProcessedJob = null;
+    this.lastServed = new Map(); // `${priority}:${campaignId}` -> serveSequence when it last started a job
+    this.serveSequence = 0;
+    this.supabase = null;
+    this.handlers = new Map();
+    this.instanceId = leaseManager.instanceId;
+    this.orphanSweepTimer = null;
+    this.sharedStateTimer = null;
     this.logger = createLogger();
     this.logger.info('Job Queue Manager initialized');
   }
 
+  /**
+   * Attach the database and recover jobs left behind by a previous process.
+   * Afterwards jobs orphaned by other instances that stop are picked up every lease TTL, and the
+   * pause state and cancellation requests every SHARED_STATE_SYNC_INTERVAL.
+   * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+   * @returns {Promise<void>}
+   */
+  async initialize(supabase) {
+    this.supabase = supabase;
+    await leaseManager.initialize(supabase);
+    await automationPause.initialize(supabase);
+    await this.recoverJobs();
+
+    this.orphanSweepTimer = setInterval(() => this.recoverOrphanedJobs(), leaseManager.ttl);
+    this.orphanSweepTimer.unref();
+
+    this.sharedStateTimer = setInterval(() => this.syncSharedState(), SHARED_STATE_SYNC_INTERVAL);
+    this.sharedStateTimer.unref();
+  }
+
+  /**
+   * Register the function that runs jobs of the given type: new ones added with addRegisteredJob
+   * and persisted ones re-run after a restart
+   * @param {string} type - Job type as passed in addJob metadata
+   * @param {Function} handler - Called with (payload, context) and returns a Promise
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job that runs with the handler registered for its type, the same way it is re-run after a restart
+   * @param {Object} metadata - As for addJob, with type set; also the payload passed to the handler
+   * @param {boolean} [bypassQueue] - Whether to bypass the queue (for system tasks)
+   * @returns {Promise} - Resolves when the job is completed
+   * @throws {Error} When no handler is registered for the job type
+   */
+  addRegisteredJob(metadata, bypassQueue = false) {
+    const handler = this.handlers.get(metadata.type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${metadata.type}`);
+    }
+
+    const payload = toPayload(metadata);
+    return this.addJob((context) => handler(payload, context), metadata, bypassQueue);
+  }
+
+  /**
+   * Whether a value is one of the priority classes accepted by addJob
+   * @param {string} priority - Priority class
+   * @returns {boolean}
+   */
+  isValidPriority(priority) {
+    return PRIORITY_CLASSES.includes(priority);
+  }
+
+  /**
+   * Priority class for a job, falling back to the default for its type
+   * @param {string} type - Job type
+   * @param {string} [priority] - Requested priority class
+   * @returns {string} Priority class
+   */
+  resolvePriority(type, priority) {
+    if (this.isValidPriority(priority)) {
+      return priority;
+    }
+    if (priority) {
+      this.logger.warn(`Unknown job priority ${priority}, using the default for ${type}`);
+    }
+    return DEFAULT_PRIORITIES[type] || PRIORITY_CLASSES[PRIORITY_CLASSES.length - 1];
+  }
+
   /**
    * Add a job to the queue
-   * @param {Function} jobFunction - The job function to execute
+   * @param {Function} jobFunction - The job function to execute, called with { jobId, type, campaignId, signal, registerBrowser }
    * @param {Object} metadata - Metadata about the job (for logging and tracking)
+   * @param {string} [metadata.priority] - One of 'manual', 'follow_up_message', 'connection_request' or 'status_check'
+   * @param {string} [metadata.runAt] - ISO time before which the job doesn't start, stored as next_attempt_at
    * @param {boolean} bypassQueue - Whether to bypass the queue (for system tasks)
    * @returns {Promise} - Resolves when the job is completed
    */
   addJob(jobFunction, metadata = {}, bypassQueue = false) {
     const { jobId = `job_${Date.now()}`, type = 'unknown', campaignId } = metadata;
-    
+    const priority = this.resolvePriority(type, metadata.priority);
+
     // Check if this job type should bypass the queue
     const shouldBypassQueue = bypassQueue || BYPASS_QUEUE_TYPES.includes(type);
-    
+
     if (shouldBypassQueue) {
       this.logger.info(`Job ${jobId} of type ${type} is bypassing the queue`);
+      const job = { jobId, type, campaignId };
+      jobEvents.publishJobEvent('started', job, { status: 'started' });
+
       // Execute immediately without queueing
-      return Promise.resolve().then(() => jobFunction());
+      return Promise.resolve()
+        .then(() => jobFunction({
+          ...job,
+          signal: new AbortController().signal,
+          registerBrowser: () => {}
+        }))
+        .then(async (result) => {
+          await this.publishJobOutcome(job, 'completed');
+          return result;
+        }, async (error) => {
+          await this.publishJobOutcome(job, 'failed', error);
+          throw error;
+        });
     }
-    
+
     return new Promise((resolve, reject) => {
-      // Check if a job is currently running
-      if (this.processing) {
-        this.logger.info(`Job ${jobId} of type ${type} added to queue. Queue length: ${this.queue.length + 1}`);
-        this.queue.push({
-          jobFunction,
-          metadata: { jobId, type, campaignId },
-          resolve,
-          reject
-        });
+      const entry = {
+        jobFunction,
+        metadata: { jobId, type, campaignId, priority },
+        queuedAt: new Date().toISOString(),
+        notBefore: metadata.runAt ? new Date(metadata.runAt).getTime() : null,
+        durable: false,
+        lane: null,
+        resolve,
+        reject
+      };
+      const nextAttemptAt = entry.notBefore ? new Date(entry.notBefore).toISOString() : null;
+      entry.persisted = this.persistJob(entry, toPayload({ ...metadata, priority }))
+        .then(() => jobEvents.publishJobEvent('queued', entry.metadata, {
+          status: 'queued',
+          priority,
+          ...(nextAttemptAt && { nextAttemptAt })
+        }));
+
+      this.queue.push(entry);
+      this.logger.info(`Job ${jobId} of type ${type} added to queue with ${priority} priority` +
+        `${nextAttemptAt ? `, not before ${nextAttemptAt}` : ''}. Queue length: ${this.queue.length}`);
+      this.scheduleWakeUp(entry);
+      this.assignLane(entry);
+    });
+  }
+
+  /**
+   * Work out which lane a campaign's jobs belong to. Campaigns sharing LinkedIn cookies share a lane;
+   * the key is a hash so the cookie itself never ends up in logs or status output.
+   * @param {string|number} [campaignId] - Campaign ID
+   * @returns {Promise<string>} Lane key
+   */
+  async resolveLane(campaignId) {
+    if (campaignId === undefined || campaignId === null) {
+      return DEFAULT_LANE;
+    }
+
+    if (this.supabase) {
+      try {
+        const { data, error } = await withTimeout(
+          this.supabase
+            .from('campaigns')
+            .select('cookies')
+            .eq('id', campaignId)
+            .maybeSingle(),
+          10000,
+          'Timeout while fetching campaign cookies for job lane'
+        );
+        if (error) throw error;
+
+        const accountKey = getAccountKey(data?.cookies);
+        if (accountKey) {
+          return `account:${accountKey}`;
+        }
+      } catch (error) {
+        this.logger.warn(`Could not resolve account for campaign ${campaignId}, using a campaign lane: ${error.message}`);
+      }
+    }
+
+    return `campaign:${campaignId}`;
+  }
+
+  /**
+   * Resolve the lane of a queued entry, then try to start it
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<void>}
+   */
+  async assignLane(entry) {
+    entry.lane = await this.resolveLane(entry.metadata.campaignId);
+    if (debugJobs) {
+      this.logger.info(`Job ${entry.metadata.jobId} assigned to lane ${entry.lane}`);
+    }
+    this.processQueue();
+  }
+
+  /**
+   * Store a queued job in the jobs table. Rows created by a controller are updated in place,
+   * anything else gets a new row whose job_id replaces the in-memory id.
+   * Never rejects: if the database is unavailable the job still runs from memory.
+   * @param {Object} entry - Queue entry
+   * @param {Object} payload - JSON-safe job metadata used to re-run the job after a restart
+   * @returns {Promise<void>}
+   */
+  async persistJob(entry, payload) {
+    if (!this.supabase) {
+      this.logger.warn(`Job queue has no database attached, job ${entry.metadata.jobId} is kept in memory only`);
+      return;
+    }
+
+    const { jobId, type, campaignId } = entry.metadata;
+    const now = new Date().toISOString();
+    const queueFields = {
+      status: 'queued',
+      payload,
+      queued_at: entry.queuedAt,
+      next_attempt_at: entry.notBefore ? new Date(entry.notBefore).toISOString() : null,
+      claimed_by: null,
+      updated_at: now,
+    };
+
+    try {
+      const { data: existing, error: lookupError } = await withTimeout(
+        this.supabase
+          .from('jobs')
+          .select('job_id')
+          .eq('job_id', jobId)
+          .maybeSingle(),
+        10000,
+        'Timeout while looking up queued job'
+      );
+
+      if (!lookupError && existing) {
+        const { error } = await withTimeout(
+          this.supabase
+            .from('jobs')
+            .update(queueFields)
+            .eq('job_id', jobId),
+          10000,
+          'Timeout while persisting queued job'
+        );
+        if (error) throw error;
       } else {
-        // No job is running, start processing immediately
-        this.logger.info(`No active job, starting job ${jobId} of type ${type} immediately`);
-        this.queue.push({
-          jobFunction,
-          metadata: { jobId, type, campaignId },
-          resolve,
-          reject
+        const { data, error } = await withTimeout(
+          this.supabase
+            .from('jobs')
+            .insert({
+              type,
+              campaign_id: campaignId !== undefined && campaignId !== null ? campaignId.toString() : null,
+              progress: 0,
+              created_at: now,
+              ...queueFields,
+            })
+            .select('job_id')
+            .single(),
+          10000,
+          'Timeout while persisting queued job'
+        );
+        if (error) throw error;
+        entry.metadata.jobId = data.job_id;
+      }
+
+      entry.durable = true;
+      if (debugJobs) {
+        this.logger.info(`Persisted job ${entry.metadata.jobId} (queued at ${entry.queuedAt})`);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to persist job ${jobId}, keeping it in memory only: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim a persisted job by moving it from queued to started.
+   * Fails when the row was cancelled or claimed elsewhere in the meantime.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} Whether this process now owns the job
+   */
+  async claimJob(jobId) {
+    const now = new Date().toISOString();
+    const { data, error } = await withTimeout(
+      this.supabase
+        .from('jobs')
+        .update({
+          status: 'started',
+          claimed_by: this.instanceId,
+          started_at: now,
+          updated_at: now,
+        })
+        .eq('job_id', jobId)
+        .eq('status', 'queued')
+        .select('job_id'),
+      10000,
+      'Timeout while claiming job'
+    );
+
+    if (error) {
+      // A database hiccup should not stall the queue, run the job anyway
+      this.logger.warn(`Could not claim job ${jobId}, running it anyway: ${error.message}`);
+      return true;
+    }
+
+    return Array.isArray(data) && data.length > 0;
+  }
+
+  /**
+   * Record the outcome of a job unless the job function already wrote a final status itself
+   * @param {string} jobId - Job ID
+   * @param {string} status - 'completed', 'failed' or 'cancelled'
+   * @param {Error} [error] - Error that failed the job, its `category` is stored as error_category
+   * @param {string[]} [replaceStatuses] - Row statuses this outcome may overwrite
+   * @returns {Promise<void>}
+   */
+  async finalizeJob(jobId, status, error = null, replaceStatuses = ACTIVE_STATUSES) {
+    const now = new Date().toISOString();
+    const update = { status, completed_at: now, updated_at: now };
+    if (status === 'completed') {
+      update.progress = 1;
+    }
+    if (error) {
+      update.error = error.message.substring(0, 500);
+      update.error_category = error.category || 'unknown';
+    }
+
+    try {
+      const { error: updateError } = await withTimeout(
+        this.supabase
+          .from('jobs')
+          .update(update)
+          .eq('job_id', jobId)
+          .in('status', replaceStatuses),
+        10000,
+        'Timeout while finalizing job'
+      );
+      if (updateError) throw updateError;
+    } catch (finalizeError) {
+      this.logger.error(`Failed to record ${status} status for job ${jobId}: ${finalizeError.message}`);
+    }
+  }
+
+  /**
+   * Re-queue jobs that were running when the previous process died and reload
+   * everything still queued, in the original queue order
+   * @returns {Promise<void>}
+   */
+  async recoverJobs() {
+    try {
+      const interrupted = await this.resetOrphanedJobs();
+      if (interrupted.length) {
+        this.logger.warn(`Re-queued ${interrupted.length} job(s) interrupted by a restart`);
+      }
+
+      const { data: queuedJobs, error: fetchError } = await withTimeout(
+        this.supabase
+          .from('jobs')
+          .select('job_id, type, campaign_id, payload, queued_at, next_attempt_at')
+          .eq('status', 'queued')
+          .not('queued_at', 'is', null)
+          .order('queued_at', { ascending: true }),
+        10000,
+        'Timeout while fetching queued jobs'
+      );
+
+      if (fetchError) throw fetchError;
+
+      const recovered = await this.createRecoveredEntries(queuedJobs || []);
+      if (recovered.length === 0) {
+        return;
+      }
+
+      // Recovered jobs are older than anything added since startup
+      this.queue.unshift(...recovered);
+      this.logger.info(`Recovered ${recovered.length} queued job(s) from the database`);
+
+      recovered.forEach((entry) => {
+        this.scheduleWakeUp(entry);
+        this.assignLane(entry);
+      });
+    } catch (error) {
+      this.logger.error(`Failed to recover queued jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick up jobs that another instance claimed and then stopped without finishing, e.g. because it crashed
+   * @returns {Promise<void>}
+   */
+  async recoverOrphanedJobs() {
+    try {
+      const orphaned = await this.resetOrphanedJobs();
+      const queuedJobIds = new Set(this.queue.map((entry) => entry.metadata.jobId));
+      const recovered = await this.createRecoveredEntries(orphaned.filter((row) => !queuedJobIds.has(row.job_id)));
+      if (recovered.length === 0) {
+        return;
+      }
+
+      this.queue.push(...recovered);
+      this.logger.warn(`Re-queued ${recovered.length} job(s) left running by a stopped instance`);
+
+      recovered.forEach((entry) => {
+        jobEvents.publishJobEvent('queued', entry.metadata, { status: 'queued', priority: entry.metadata.priority });
+        this.scheduleWakeUp(entry);
+        this.assignLane(entry);
+      });
+    } catch (error) {
+      this.logger.error(`Failed to recover orphaned jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set running jobs back to queued when the instance that claimed them is gone, i.e. its liveness
+   * lease has run out. Jobs running on live instances, including this one, are left alone, and
+   * orphaned jobs someone asked to cancel are marked cancelled instead.
+   * @returns {Promise<Object[]>} The re-queued jobs rows
+   */
+  async resetOrphanedJobs() {
+    const { data: running, error: fetchError } = await withTimeout(
+      this.supabase
+        .from('jobs')
+        .select('job_id, claimed_by, cancel_requested_at')
+        .in('status', ACTIVE_STATUSES)
+        .not('queued_at', 'is', null),
+      10000,
+      'Timeout while fetching running jobs'
+    );
+
+    if (fetchError) throw fetchError;
+    if (!running?.length) return [];
+
+    const liveInstances = await leaseManager.getLiveInstances();
+    const orphaned = running.filter((job) => !job.claimed_by || !liveInstances.has(job.claimed_by));
+
+    const cancelledJobIds = orphaned.filter((job) => job.cancel_requested_at).map((job) => job.job_id);
+    if (cancelledJobIds.length > 0) {
+      const now = new Date().toISOString();
+      const { error: cancelError } = await withTimeout(
+        this.supabase
+          .from('jobs')
+          .update({
+            status: 'cancelled',
+            completed_at: now,
+            updated_at: now,
+          })
+          .in('job_id', cancelledJobIds)
+          .in('status', ACTIVE_STATUSES),
+        10000,
+        'Timeout while cancelling interrupted jobs'
+      );
+      if (cancelError) throw cancelError;
+      this.logger.info(`Marked ${cancelledJobIds.length} interrupted job(s) with a cancellation request as cancelled`);
+    }
+
+    const orphanedJobIds = orphaned.filter((job) => !job.cancel_requested_at).map((job) => job.job_id);
+    if (orphanedJobIds.length === 0) return [];
+
+    const { data: reset, error: resetError } = await withTimeout(
+      this.supabase
+        .from('jobs')
+        .update({
+          status: 'queued',
+          claimed_by: null,
+          updated_at: new Date().toISOString(),
+        })
+        .in('job_id', orphanedJobIds)
+        .in('status', ACTIVE_STATUSES)
+        .select('job_id, type, campaign_id, payload, queued_at, next_attempt_at'),
+      10000,
+      'Timeout while resetting interrupted jobs'
+    );
+
+    if (resetError) throw resetError;
+    return reset || [];
+  }
+
+  /**
+   * Build queue entries for queued job rows loaded from the database. Rows of a type
+   * without a registered handler are marked as failed instead.
+   * @param {Object[]} rows - jobs rows with job_id, type, campaign_id, payload, queued_at and next_attempt_at
+   * @returns {Promise<Object[]>} Queue entries
+   */
+  async createRecoveredEntries(rows) {
+    const entries = [];
+    for (const row of rows) {
+      const handler = this.handlers.get(row.type);
+      if (!handler) {
+        this.logger.warn(`No handler registered for job type ${row.type}, marking job ${row.job_id} as failed`);
+        await withTimeout(
+          this.supabase
+            .from('jobs')
+            .update({
+              status: 'failed',
+              error: `Job of type ${row.type} cannot be recovered after a restart`,
+              error_category: 'unrecoverable',
+              updated_at: new Date().toISOString(),
+            })
+            .eq('job_id', row.job_id),
+          10000,
+          'Timeout while updating job status'
+        );
+        continue;
+      }
+
+      entries.push(this.createStoredEntry(row, (context) => handler(row.payload || {}, context)));
+    }
+    return entries;
+  }
+
+  /**
+   * Build a queue entry for a job row that is already queued in the database,
+   * i.e. a recovered, retried or requeued job
+   * @param {Object} row - jobs row with job_id, type, campaign_id, payload, queued_at and next_attempt_at
+   * @param {Function} jobFunction - Function that runs the job
+   * @returns {Object} Queue entry
+   */
+  createStoredEntry(row, jobFunction) {
+    return {
+      jobFunction,
+      metadata: {
+        jobId: row.job_id,
+        type: row.type,
+        campaignId: row.campaign_id,
+        priority: this.resolvePriority(row.type, row.payload?.priority)
+      },
+      queuedAt: row.queued_at,
+      notBefore: row.next_attempt_at ? new Date(row.next_attempt_at).getTime() : null,
+      durable: true,
+      lane: null,
+      persisted: Promise.resolve(),
+      resolve: () => {},
+      reject: (error) => this.logger.error(`Job ${row.job_id} failed: ${error.message}`)
+    };
+  }
+
+  /**
+   * Make sure the queue is looked at again once a delayed entry becomes runnable
+   * @param {Object} entry - Queue entry with an optional notBefore timestamp
+   */
+  scheduleWakeUp(entry) {
+    const delay = entry.notBefore ? entry.notBefore - Date.now() : 0;
+    if (delay > 0) {
+      setTimeout(() => this.processQueue(), delay + 100);
+    }
+  }
+
+  /**
+   * Apply the retry policy to a job that finished as failed: queue it again after its backoff,
+   * or move it to dead_letter once the policy for its error_category allows no more attempts
+   * @param {Object} entry - Queue entry of the job that just ran
+   * @returns {Promise<void>}
+   */
+  async applyRetryPolicy(entry) {
+    const { jobId, type, campaignId } = entry.metadata;
+
+    try {
+      const { data: row, error: fetchError } = await withTimeout(
+        this.supabase
+          .from('jobs')
+          .select('job_id, type, campaign_id, payload, status, error, error_category, attempts')
+          .eq('job_id', jobId)
+          .maybeSingle(),
+        10000,
+        'Timeout while fetching failed job'
+      );
+
+      if (fetchError) throw fetchError;
+      if (!row || row.status !== 'failed') return;
+
+      const attempts = (row.attempts || 0) + 1;
+      const policy = getRetryPolicy(row.error_category);
+      const now = new Date();
+
+      if (!policy.retryable || attempts >= policy.maxAttempts) {
+        const { error: updateError } = await withTimeout(
+          this.supabase
+            .from('jobs')
+            .update({ status: 'dead_letter', attempts, updated_at: now.toISOString() })
+            .eq('job_id', jobId)
+            .eq('status', 'failed'),
+          10000,
+          'Timeout while moving job to dead letter'
+        );
+        if (updateError) throw updateError;
+
+        this.logger.warn(`Job ${jobId} moved to dead letter after ${attempts} attempt(s) (${row.error_category})`);
+        jobEvents.publishJobEvent('dead_letter', entry.metadata, {
+          status: 'dead_letter',
+          attempts,
+          error: row.error,
+          errorCategory: row.error_category
         });
-        this.processNextJob();
+        await sendJobStatusReport(jobId, type, 'dead_letter', {
+          campaignId,
+          message: `Gave up after ${attempts} attempt(s), requeue it with POST /api/jobs/${jobId}/requeue`,
+          error: row.error
+        });
+        return;
       }
-    });
+
+      const delay = getRetryDelay(policy, attempts);
+      const nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+      const { data: requeued, error: updateError } = await withTimeout(
+        this.supabase
+          .from('jobs')
+          .update({
+            status: 'queued',
+            attempts,
+            next_attempt_at: nextAttemptAt,
+            queued_at: now.toISOString(),
+            claimed_by: null,
+            updated_at: now.toISOString(),
+          })
+          .eq('job_id', jobId)
+          .eq('status', 'failed')
+          .select('job_id'),
+        10000,
+        'Timeout while queueing job retry'
+      );
+      if (updateError) throw updateError;
+      if (!requeued?.length) return;
+
+      const retryEntry = this.createStoredEntry(
+        { ...row, queued_at: now.toISOString(), next_attempt_at: nextAttemptAt },
+        entry.jobFunction
+      );
+      this.queue.push(retryEntry);
+      this.scheduleWakeUp(retryEntry);
+      this.assignLane(retryEntry);
+      jobEvents.publishJobEvent('queued', retryEntry.metadata, {
+        status: 'queued',
+        priority: retryEntry.metadata.priority,
+        attempts,
+        nextAttemptAt
+      });
+
+      this.logger.info(`Retrying job ${jobId} (${row.error_category}) in ${Math.round(delay / 1000)}s, ` +
+        `attempt ${attempts + 1} of ${policy.maxAttempts}`);
+    } catch (error) {
+      this.logger.error(`Failed to apply retry policy to job ${jobId}: ${error.message}`);
+    }
   }
 
   /**
-   * Process the next job in the queue
+   * Put a dead-lettered job back on the queue with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @returns {Promise<{status: string}|null>} null if the job is not dead-lettered or its type cannot be re-run
    */
-  async processNextJob() {
-    if (this.queue.length === 0) {
-      this.processing = false;
-      this.activeJob = null;
-      return;
+  async requeueJob(jobId) {
+    const now = new Date().toISOString();
+    const { data, error } = await withTimeout(
+      this.supabase
+        .from('jobs')
+        .select('job_id, type, campaign_id, payload, status')
+        .eq('job_id', jobId)
+        .maybeSingle(),
+      10000,
+      'Timeout while fetching job'
+    );
+
+    if (error) throw error;
+    if (!data || data.status !== 'dead_letter') return null;
+
+    const handler = this.handlers.get(data.type);
+    if (!handler) {
+      this.logger.warn(`No handler registered for job type ${data.type}, cannot requeue job ${jobId}`);
+      return null;
     }
 
-    this.processing = true;
-    const { jobFunction, metadata, resolve, reject } = this.queue.shift();
-    const { jobId, type, campaignId } = metadata;
-    
+    const { data: requeued, error: updateError } = await withTimeout(
+      this.supabase
+        .from('jobs')
+        .update({
+          status: 'queued',
+          attempts: 0,
+          next_attempt_at: null,
+          queued_at: now,
+          claimed_by: null,
+          error: null,
+          error_category: null,
+          updated_at: now,
+        })
+        .eq('job_id', jobId)
+        .eq('status', 'dead_letter')
+        .select('job_id'),
+      10000,
+      'Timeout while requeueing job'
+    );
+
+    if (updateError) throw updateError;
+    if (!requeued?.length) return null;
+
+    const entry = this.createStoredEntry({ ...data, queued_at: now, next_attempt_at: null },
+      (context) => handler(data.payload || {}, context));
+    this.queue.push(entry);
+    this.assignLane(entry);
+    jobEvents.publishJobEvent('queued', entry.metadata, { status: 'queued', priority: entry.metadata.priority });
+    this.logger.info(`Requeued dead-lettered job ${jobId} of type ${data.type}`);
+
+    return { status: 'queued' };
+  }
+
+  /**
+   * Start queued jobs while there is browser capacity
+   */
+  processQueue() {
+    while (this.activeJobs.size < this.maxConcurrentJobs) {
+      const entry = this.nextRunnableEntry();
+      if (!entry) break;
+
+      this.queue.splice(this.queue.indexOf(entry), 1);
+      this.lastServed.set(this.fairnessKey(entry), ++this.serveSequence);
+      this.runJob(entry);
+    }
+  }
+
+  /**
+   * Pick the next job to start among those whose lane is resolved and idle, whose retry delay has passed
+   * and whose campaign is not paused:
+   * highest priority class first,
+   * then the campaign that was served longest ago within that class, then queue order
+   * @returns {Object|null} Queue entry
+   */
+  nextRunnableEntry() {
+    const busyLanes = new Set([...this.activeJobs.values()].map((job) => job.lane));
+    let next = null;
+
+    for (const entry of this.queue) {
+      if (!entry.lane || busyLanes.has(entry.lane)) continue;
+      if (entry.notBefore && entry.notBefore > Date.now()) continue;
+      if (automationPause.isPaused(entry.metadata.campaignId)) continue;
+      if (!next || this.compareEntries(entry, next) < 0) {
+        next = entry;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Order two queue entries; a negative result means `a` should start first.
+   * Ties return 0 so the earlier entry in the queue wins.
+   * @param {Object} a - Queue entry
+   * @param {Object} b - Queue entry
+   * @returns {number}
+   */
+  compareEntries(a, b) {
+    const byPriority = PRIORITY_CLASSES.indexOf(a.metadata.priority) - PRIORITY_CLASSES.indexOf(b.metadata.priority);
+    if (byPriority !== 0) return byPriority;
+
+    // Round-robin across campaigns within a priority class
+    return (this.lastServed.get(this.fairnessKey(a)) || 0) - (this.lastServed.get(this.fairnessKey(b)) || 0);
+  }
+
+  /**
+   * Key used to rotate between campaigns within a priority class
+   * @param {Object} entry - Queue entry
+   * @returns {string}
+   */
+  fairnessKey(entry) {
+    return `${entry.metadata.priority}:${entry.metadata.campaignId ?? ''}`;
+  }
+
+  /**
+   * Run a queued job in its lane
+   * @param {Object} entry - Queue entry taken off the queue by processQueue
+   * @returns {Promise<void>}
+   */
+  async runJob(entry) {
+    const { jobFunction, resolve, reject } = entry;
+    const abortController = new AbortController();
+    const { signal } = abortController;
+
+    // Mark this job as active before any await so processQueue keeps its lane busy
+    const activeJob = {
+      ...entry.metadata,
+      lane: entry.lane,
+      startedAt: new Date().toISOString(),
+      abortController,
+      browsers: new Set()
+    };
+    this.activeJobs.set(entry, activeJob);
+    let jobPromise = null;
+    let claimed = false;
+    let laneLease = null;
+
     try {
-      // Mark this job as active
-      this.activeJob = { jobId, type, campaignId };
-      this.logger.info(`Processing job ${jobId} of type ${type} for campaign ${campaignId}. Remaining in queue: ${this.queue.length}`);
-      
+      await entry.persisted;
+      const { jobId, type, campaignId } = entry.metadata;
+      activeJob.jobId = jobId;
+
+      // Lanes are shared across instances through a lease, so two instances never drive the same account at once
+      if (entry.lane !== DEFAULT_LANE) {
+        if (!(await leaseManager.acquire(`lane:${entry.lane}`))) {
+          this.logger.info(`Lane ${entry.lane} is busy on another instance, job ${jobId} will try again later`);
+          // A new entry object, because this run still removes the old one from activeJobs
+          const retryEntry = { ...entry, notBefore: Date.now() + LANE_BUSY_RETRY_DELAY };
+          this.queue.unshift(retryEntry);
+          this.scheduleWakeUp(retryEntry);
+          return;
+        }
+        laneLease = `lane:${entry.lane}`;
+      }
+
+      if (entry.durable && !(await this.claimJob(jobId))) {
+        this.logger.warn(`Job ${jobId} is no longer queued in the database, skipping it`);
+        resolve(null);
+        return;
+      }
+      claimed = true;
+
+      this.logger.info(`Processing job ${jobId} of type ${type} for campaign ${campaignId} in lane ${entry.lane}. ` +
+        `Running: ${this.activeJobs.size}/${this.maxConcurrentJobs}, remaining in queue: ${this.queue.length}`);
+      jobEvents.publishJobEvent('started', entry.metadata, { status: 'started', lane: entry.lane });
+
+      // Jobs hand over the browsers they launch so the watchdog can kill them if the job hangs
+      const registerBrowser = (browser) => {
+        if (browser) activeJob.browsers.add(browser);
+      };
+
       // Execute the job
-      const result = await jobFunction();
+      jobPromise = Promise.resolve().then(() => jobFunction({ jobId, type, campaignId, signal, registerBrowser }));
+      const result = await this.withWatchdog(jobPromise, activeJob);
+
+      // A job stopped by a pause goes back on the queue, where it waits until its campaign is resumed
+      if (signal.reason === PAUSE_REASON && await this.holdPausedJob(entry)) {
+        this.recordProcessedJob(activeJob, PAUSE_REASON);
+        return;
+      }
+
+      const status = signal.aborted ? 'cancelled' : 'completed';
+      if (entry.durable) {
+        await this.finalizeJob(jobId, status);
+      }
+      this.recordProcessedJob(activeJob, status);
+      await this.publishJobOutcome(entry.metadata, status);
       resolve(result);
     } catch (error) {
-      this.logger.error(`Error processing job ${jobId}: ${error.message}`);
+      this.logger.error(`Error processing job ${entry.metadata.jobId}: ${error.message}`);
+      if (error.category === 'timeout') {
+        await this.handleJobTimeout(entry, activeJob, jobPromise, error);
+      } else if (entry.durable) {
+        await this.finalizeJob(entry.metadata.jobId, 'failed', error);
+      }
+      this.recordProcessedJob(activeJob, 'failed');
+      if (claimed) {
+        await this.publishJobOutcome(entry.metadata, 'failed', error);
+      }
       reject(error);
     } finally {
-      // Clear active job
-      this.activeJob = null;
-      
-      // Process the next job after a delay
-      setTimeout(() => this.processNextJob(), 1000);
+      // Decide on a retry before the lane is released so a retry keeps its place in the lane
+      if (claimed && entry.durable) {
+        await this.applyRetryPolicy(entry);
+      }
+      if (laneLease) {
+        await leaseManager.release(laneLease);
+      }
+      this.activeJobs.delete(entry);
+
+      // Give the lane a moment before its next job
+      setTimeout(() => this.processQueue(), 1000);
+    }
+  }
+
+  /**
+   * Stop running jobs whose campaign is now paused and start held jobs that were resumed.
+   * Call after changing the pause state.
+   * @returns {{stopping: number, held: number}} Running jobs asked to stop, and queued jobs waiting on a pause
+   */
+  applyPauseState() {
+    let stopping = 0;
+    for (const job of this.activeJobs.values()) {
+      if (automationPause.isPaused(job.campaignId) && !job.abortController.signal.aborted) {
+        job.abortController.abort(PAUSE_REASON);
+        stopping++;
+        this.logger.info(`Pausing running job ${job.jobId} after its current lead`);
+      }
+    }
+
+    const held = this.queue.filter((entry) => automationPause.isPaused(entry.metadata.campaignId)).length;
+    this.processQueue();
+
+    return { stopping, held };
+  }
+
+  /**
+   * Pick up what was changed through other instances: stop running jobs of campaigns paused
+   * elsewhere, start held jobs resumed elsewhere and stop running jobs someone asked to cancel
+   * @returns {Promise<void>}
+   */
+  async syncSharedState() {
+    try {
+      if (await automationPause.refresh()) {
+        this.applyPauseState();
+      }
+    } catch (error) {
+      this.logger.error(`Failed to reload pause state: ${error.message}`);
+    }
+
+    try {
+      await this.applyCancelRequests();
+    } catch (error) {
+      this.logger.error(`Failed to check for cancellation requests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop running jobs whose row has a cancellation request, made through another instance
+   * @returns {Promise<void>}
+   */
+  async applyCancelRequests() {
+    const running = [...this.activeJobs.values()].filter((job) => job.jobId && !job.abortController.signal.aborted);
+    if (running.length === 0) return;
+
+    const { data, error } = await withTimeout(
+      this.supabase
+        .from('jobs')
+        .select('job_id')
+        .in('job_id', running.map((job) => job.jobId))
+        .not('cancel_requested_at', 'is', null),
+      10000,
+      'Timeout while fetching cancellation requests'
+    );
+    if (error) throw error;
+
+    const requested = new Set((data || []).map((row) => String(row.job_id)));
+    for (const job of running) {
+      if (requested.has(String(job.jobId))) {
+        job.abortController.abort();
+        this.logger.info(`Cancellation requested for running job ${job.jobId} through another instance`);
+      }
+    }
+  }
+
+  /**
+   * Put a job that stopped early because of a pause back at the front of the queue.
+   * Only jobs that recorded themselves as cancelled are held; a job that finished its work
+   * before noticing the pause completes as usual.
+   * @param {Object} entry - Queue entry of the job that just stopped
+   * @returns {Promise<boolean>} Whether the job was put back on the queue
+   */
+  async holdPausedJob(entry) {
+    if (!entry.durable) return false;
+
+    const { jobId } = entry.metadata;
+    const now = new Date().toISOString();
+
+    try {
+      const { data, error } = await withTimeout(
+        this.supabase
+          .from('jobs')
+          .update({
+            status: 'queued',
+            claimed_by: null,
+            completed_at: null,
+            updated_at: now,
+          })
+          .eq('job_id', jobId)
+          .eq('status', 'cancelled')
+          .select('job_id'),
+        10000,
+        'Timeout while holding paused job'
+      );
+      if (error) throw error;
+      if (!data?.length) return false;
+    } catch (error) {
+      this.logger.error(`Failed to hold paused job ${jobId}: ${error.message}`);
+      return false;
+    }
+
+    // A new entry object, because the finished run still removes the old one from activeJobs
+    this.queue.unshift({ ...entry, notBefore: null });
+    jobEvents.publishJobEvent('queued', entry.metadata, {
+      status: 'queued',
+      priority: entry.metadata.priority,
+      paused: true
+    });
+    this.logger.info(`Job ${jobId} paused and held in the queue until its campaign is resumed`);
+    return true;
+  }
+
+  /**
+   * Maximum runtime for a job type
+   * @param {string} type - Job type
+   * @returns {number} Milliseconds
+   */
+  getJobTimeout(type) {
+    const override = parseFloat(process.env[`JOB_TIMEOUT_MINUTES_${type.toUpperCase()}`]);
+    if (override > 0) {
+      return override * 60 * 1000;
+    }
+    return JOB_TIMEOUTS[type] || DEFAULT_JOB_TIMEOUT;
+  }
+
+  /**
+   * Wait for a job, rejecting with a 'timeout' error once it runs past the maximum runtime for its type
+   * @param {Promise} jobPromise - The running job
+   * @param {Object} activeJob - The job's entry in activeJobs
+   * @returns {Promise} Resolves with the job's result
+   */
+  async withWatchdog(jobPromise, activeJob) {
+    const timeoutMs = this.getJobTimeout(activeJob.type);
+    let timer = null;
+
+    const watchdog = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Job exceeded its maximum runtime of ${Math.round(timeoutMs / 60000)} minutes`);
+        error.category = 'timeout';
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([jobPromise, watchdog]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Stop a job that hit its maximum runtime: abort it, kill its browsers, record the timeout and alert Telegram.
+   * The job's lane is released by runJob afterwards whether or not the hung job ever returns.
+   * @param {Object} entry - Queue entry
+   * @param {Object} activeJob - The job's entry in activeJobs
+   * @param {Promise} jobPromise - The hung job
+   * @param {Error} error - The watchdog's timeout error
+   * @returns {Promise<void>}
+   */
+  async handleJobTimeout(entry, activeJob, jobPromise, error) {
+    const { jobId, type, campaignId } = activeJob;
+    this.logger.error(`Job ${jobId} of type ${type} timed out, killing ${activeJob.browsers.size} browser(s)`);
+
+    activeJob.abortController.abort();
+    for (const browser of activeJob.browsers) {
+      try {
+        const browserProcess = browser.process();
+        if (browserProcess) {
+          browserProcess.kill('SIGKILL');
+        } else {
+          browser.disconnect();
+        }
+      } catch (killError) {
+        this.logger.warn(`Failed to kill browser for job ${jobId}: ${killError.message}`);
+      }
+    }
+
+    // Let the job unwind and record its own failure first, so the timeout is what stays on the row
+    if (jobPromise) {
+      await Promise.race([
+        jobPromise.catch(() => {}),
+        new Promise((resolve) => setTimeout(resolve, TIMEOUT_GRACE_PERIOD))
+      ]);
+    }
+
+    if (entry.durable) {
+      await this.finalizeJob(jobId, 'failed', error, [...ACTIVE_STATUSES, 'failed', 'cancelled']);
+    }
+
+    await sendJobStatusReport(jobId, type, 'failed', {
+      campaignId,
+      message: `⏱️ Job killed by the watchdog and the queue moved on`,
+      error: error.message
+    });
+  }
+
+  /**
+   * Publish how a job ended. Job functions often record their own outcome, e.g. a handled
+   * failure that still returns normally, so the status on the job row wins when there is one.
+   * @param {Object} job - Job metadata with jobId, type and campaignId
+   * @param {string} status - Outcome seen by the queue: 'completed', 'failed' or 'cancelled'
+   * @param {Error} [error] - Error that failed the job
+   * @returns {Promise<void>}
+   */
+  async publishJobOutcome(job, status, error = null) {
+    let outcome = {
+      status,
+      error: error ? error.message : null,
+      errorCategory: error ? error.category || 'unknown' : null
+    };
+
+    if (this.supabase) {
+      try {
+        const { data, error: fetchError } = await withTimeout(
+          this.supabase
+            .from('jobs')
+            .select('status, error, error_category')
+            .eq('job_id', job.jobId)
+            .maybeSingle(),
+          10000,
+          'Timeout while fetching job outcome'
+        );
+        if (fetchError) throw fetchError;
+
+        if (data && (jobEvents.isFinalStatus(data.status) || data.status === 'failed')) {
+          outcome = { status: data.status, error: data.error, errorCategory: data.error_category };
+        }
+      } catch (fetchError) {
+        if (debugJobs) {
+          this.logger.warn(`Could not read the outcome of job ${job.jobId}: ${fetchError.message}`);
+        }
+      }
+    }
+
+    jobEvents.publishJobEvent(outcome.status, job, outcome);
+  }
+
+  /**
+   * Remember the outcome of a finished job for the health endpoint
+   * @param {Object} activeJob - The job's entry in activeJobs
+   * @param {string} status - 'completed', 'failed', 'cancelled' or 'paused'
+   */
+  recordProcessedJob(activeJob, status) {
+    const { abortController, browsers, ...job } = activeJob;
+    this.lastProcessedJob = {
+      ...job,
+      completedAt: new Date().toISOString(),
+      status
+    };
+  }
+
+  /**
+   * Cancel a job. Queued jobs are removed from the queue straight away; the running job is
+   * signalled through its AbortSignal and is expected to stop after the item it is working on.
+   * A job running on another instance gets a cancellation request, which that instance picks up
+   * within SHARED_STATE_SYNC_INTERVAL.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<{status: string}|null>} 'cancelled' or 'cancelling', or null if the job cannot be cancelled
+   */
+  async cancelJob(jobId) {
+    const index = this.queue.findIndex((entry) => String(entry.metadata.jobId) === String(jobId));
+    if (index !== -1) {
+      const [entry] = this.queue.splice(index, 1);
+      await entry.persisted;
+      if (entry.durable) {
+        await this.markQueuedJobCancelled(entry.metadata.jobId);
+      }
+      entry.resolve({ cancelled: true });
+      jobEvents.publishJobEvent('cancelled', entry.metadata, { status: 'cancelled' });
+      this.logger.info(`Removed job ${jobId} from the queue. Queue length: ${this.queue.length}`);
+      return { status: 'cancelled' };
+    }
+
+    const runningJob = [...this.activeJobs.values()].find((job) => String(job.jobId) === String(jobId));
+    if (runningJob) {
+      runningJob.abortController.abort();
+      this.logger.info(`Cancellation requested for running job ${jobId}`);
+      return { status: 'cancelling' };
+    }
+
+    // Not held by this process, but a queued row must never be claimed again
+    if (this.supabase && await this.markQueuedJobCancelled(jobId)) {
+      jobEvents.publishJobEvent('cancelled', { jobId }, { status: 'cancelled' });
+      return { status: 'cancelled' };
+    }
+
+    if (this.supabase && await this.requestCancellation(jobId)) {
+      this.logger.info(`Cancellation requested for job ${jobId} running on another instance`);
+      return { status: 'cancelling' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Ask the instance running a job to cancel it
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} Whether a running row was marked
+   */
+  async requestCancellation(jobId) {
+    try {
+      const { data, error } = await withTimeout(
+        this.supabase
+          .from('jobs')
+          .update({
+            cancel_requested_at: new Date().toISOString(),
+          })
+          .eq('job_id', jobId)
+          .in('status', ACTIVE_STATUSES)
+          .select('job_id'),
+        10000,
+        'Timeout while requesting job cancellation'
+      );
+      if (error) throw error;
+      return Array.isArray(data) && data.length > 0;
+    } catch (error) {
+      this.logger.error(`Failed to request cancellation of job ${jobId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Mark a job row as cancelled if it has not been claimed yet
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} Whether a queued row was cancelled
+   */
+  async markQueuedJobCancelled(jobId) {
+    const now = new Date().toISOString();
+    try {
+      const { data, error } = await withTimeout(
+        this.supabase
+          .from('jobs')
+          .update({
+            status: 'cancelled',
+            completed_at: now,
+            updated_at: now,
+          })
+          .eq('job_id', jobId)
+          .eq('status', 'queued')
+          .select('job_id'),
+        10000,
+        'Timeout while cancelling job'
+      );
+      if (error) throw error;
+      return Array.isArray(data) && data.length > 0;
+    } catch (error) {
+      this.logger.error(`Failed to mark job ${jobId} as cancelled: ${error.message}`);
+      return false;
     }
   }
 
   getQueueStatus() {
     return {
       queueLength: this.queue.length,
-      isProcessing: this.processing,
-      activeJob: this.activeJob
+      isProcessing: this.isProcessing(),
+      activeJobs: this.getActiveJobs()
     };
   }
 
   isProcessing() {
-    return this.processing;
+    return this.activeJobs.size > 0;
   }
 
   getQueueLength() {
     return this.queue.length;
   }
 
-  getActiveJob() {
-    return this.activeJob;
+  /**
+   * Jobs currently running, one per busy lane
+   * @returns {Array<{jobId: string, type: string, campaignId: *, lane: string, startedAt: string}>}
+   */
+  getActiveJobs() {
+    return [...this.activeJobs.values()].map(({ abortController, browsers, ...job }) => job);
+  }
+
+  /**
+   * Whether a job is running in this process
+   * @param {string} jobId - Job ID
+   * @returns {boolean}
+   */
+  isRunning(jobId) {
+    return this.getActiveJobs().some((job) => String(job.jobId) === String(jobId));
+  }
+
+  /**
+   * Position of a job in the in-memory queue
+   * @param {string} jobId - Job ID
+   * @returns {number|null} 1-based position, or null if the job is not waiting in this process
+   */
+  getQueuePosition(jobId) {
+    const index = this.queue.findIndex((entry) => String(entry.metadata.jobId) === String(jobId));
+    return index === -1 ? null : index + 1;
   }
 
   /**
@@ -127,17 +1355,26 @@ class JobQueueManager {
    * @returns {Object} Status object with queue information
    */
   getStatus() {
+    const activeJobs = this.getActiveJobs();
     return {
       queueLength: this.queue.length,
-      isProcessing: this.processing,
-      currentJob: this.processing ? {
-        type: this.activeJob?.type,
-        campaignId: this.activeJob?.campaignId,
-        startedAt: this.activeJob?.startedAt
-      } : null,
+      heldJobs: this.queue.filter((entry) => automationPause.isPaused(entry.metadata.campaignId)).length,
+      pause: automationPause.getState(),
+      isProcessing: activeJobs.length > 0,
+      maxConcurrentJobs: this.maxConcurrentJobs,
+      currentJobs: activeJobs.map((job) => ({
+        jobId: job.jobId,
+        type: job.type,
+        campaignId: job.campaignId,
+        priority: job.priority,
+        lane: job.lane,
+        startedAt: job.startedAt
+      })),
       lastProcessedJob: this.lastProcessedJob ? {
+        jobId: this.lastProcessedJob.jobId,
         type: this.lastProcessedJob.type,
         campaignId: this.lastProcessedJob.campaignId,
+        lane: this.lastProcessedJob.lane,
         completedAt: this.lastProcessedJob.completedAt,
         status: this.lastProcessedJob.status
       } : null
@@ -148,4 +1385,4 @@ class JobQueueManager {
 // Singleton instance
 const jobQueueManager = new JobQueueManager();
 
-module.exports = jobQueueManager; 
\ No newline at end of file
+module.exports = jobQueueManager;
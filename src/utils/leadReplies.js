@@ -0,0 +1,153 @@
+/**
+ * Replies from leads. The reply sync reads an account's Sales Navigator conversations, matches each
+ * one to a lead by profile URL (or by name when exactly one lead has it and the sequence has already
+ * messaged them, since anyone can write in under a common name) and marks leads who wrote back as
+ * 'replied', which takes them out of the message sequence. The messaging jobs check a lead
+ * again right before sending, so a reply synced while a job runs still stops its next message.
+ * @module utils/leadReplies
+ */
+
+const { withTimeout } = require('./databaseUtils');
+
+// Characters of the reply kept in leads.reply_snippet
+const SNIPPET_LENGTH = 280;
+
+/**
+ * @typedef {Object} InboxThread
+ * @property {string|null} profileUrl - Profile link of the other participant
+ * @property {string|null} name - Name of the other participant
+ * @property {{fromMe: boolean, sentAt: string|null, text: string}[]} messages - Messages, oldest first
+ */
+
+/**
+ * Key that identifies a LinkedIn member across the URL forms leads are stored with: Sales Navigator
+ * lead URLs carry extra ",NAME_SEARCH,..." parts and profile URLs trailing slashes or query strings
+ * @param {string} [url] - Profile URL
+ * @returns {string|null} e.g. 'sales:ACwAAA...' or 'in:jane-doe', null for anything else
+ */
+const getProfileKey = (url) => {
+  if (typeof url !== 'string') return null;
+
+  const salesMatch = url.match(/linkedin\.com\/sales\/(?:lead|people)\/([^,/?#]+)/i);
+  if (salesMatch) return `sales:${salesMatch[1]}`;
+
+  const profileMatch = url.match(/linkedin\.com\/in\/([^/?#]+)/i);
+  if (profileMatch) return `in:${decodeURIComponent(profileMatch[1]).toLowerCase()}`;
+
+  return null;
+};
+
+/**
+ * Lower-case name with collapsed whitespace, for matching a thread to a lead
+ * @param {string} [name] - Name
+ * @returns {string}
+ */
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Match conversations to leads and find the leads who wrote back
+ * @param {InboxThread[]} threads - Conversations read from the inbox
+ * @param {Object[]} leads - Candidate leads with id, first_name, last_name, linkedin and message_stage
+ * @returns {{replies: {lead: Object, repliedAt: string|null, snippet: string}[], unmatched: number}}
+ *   One reply per lead, their latest message; unmatched counts threads with a reply that matched no lead
+ */
+const findReplies = (threads, leads) => {
+  const byProfile = new Map();
+  const byName = new Map();
+  for (const lead of leads) {
+    const key = getProfileKey(lead.linkedin);
+    if (key) byProfile.set(key, lead);
+
+    const name = normalizeName(`${lead.first_name || ''} ${lead.last_name || ''}`);
+    const messaged = lead.message_stage !== null && lead.message_stage !== undefined;
+    // null marks a name several leads share, or one of a lead the sequence hasn't messaged
+    if (name) byName.set(name, byName.has(name) || !messaged ? null : lead);
+  }
+
+  const replies = new Map();
+  let unmatched = 0;
+
+  for (const thread of threads) {
+    const inbound = thread.messages.filter((message) => !message.fromMe);
+    if (inbound.length === 0) continue;
+
+    const lead = byProfile.get(getProfileKey(thread.profileUrl)) || byName.get(normalizeName(thread.name));
+    if (!lead) {
+      unmatched++;
+      continue;
+    }
+
+    const latest = inbound[inbound.length - 1];
+    const previous = replies.get(lead.id);
+    if (!previous || (latest.sentAt && (!previous.repliedAt || latest.sentAt > previous.repliedAt))) {
+      replies.set(lead.id, {
+        lead,
+        repliedAt: latest.sentAt,
+        snippet: latest.text.trim().replace(/\s+/g, ' ').substring(0, SNIPPET_LENGTH)
+      });
+    }
+  }
+
+  return { replies: [...replies.values()], unmatched };
+};
+
+/**
+ * Mark a lead as replied, which stops their message sequence
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {number|string} leadId - Lead ID
+ * @param {Object} reply
+ * @param {string|null} reply.repliedAt - When their latest message was sent, defaults to now
+ * @param {string} reply.snippet - Start of the message
+ * @returns {Promise<boolean>} false when the lead wasn't waiting for a reply any more
+ */
+const markLeadReplied = async (supabase, leadId, { repliedAt, snippet }) => {
+  const { data, error } = await withTimeout(
+    supabase
+      .from('leads')
+      .update({
+        status: 'replied',
+        replied_at: repliedAt || new Date().toISOString(),
+        reply_snippet: snippet
+      })
+      .eq('id', leadId)
+      .eq('status', 'not_replied')
+      .select('id'),
+    10000,
+    `Timeout while marking lead ${leadId} as replied`
+  );
+
+  if (error) {
+    throw new Error(`Failed to mark lead ${leadId} as replied: ${error.message}`);
+  }
+  return Array.isArray(data) && data.length > 0;
+};
+
+/**
+ * Whether a lead is no longer waiting for a message, e.g. because they replied since the job started
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+ * @param {number|string} leadId - Lead ID
+ * @returns {Promise<boolean>}
+ */
+const hasReplied = async (supabase, leadId) => {
+  const { data, error } = await withTimeout(
+    supabase
+      .from('leads')
+      .select('status')
+      .eq('id', leadId)
+      .single(),
+    10000,
+    `Timeout while checking lead ${leadId} status`
+  );
+
+  if (error) {
+    throw new Error(`Failed to check lead ${leadId} status: ${error.message}`);
+  }
+  return data.status !== 'not_replied';
+};
+
+module.exports = {
+  getProfileKey,
+  findReplies,
+  markLeadReplied,
+  hasReplied
+};
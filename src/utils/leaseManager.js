@@ -0,0 +1,260 @@
+/**
+ * Leases stored in the `leases` table, so several instances of the app can share the database
+ * without doing the same work twice. A lease has one holder and an expiry that the holder keeps
+ * pushing back with a heartbeat while it works; a lease whose holder crashed simply runs out and
+ * can then be taken by another instance.
+ *
+ * Expiry is compared against each instance's own clock, so instances are expected to have
+ * roughly synchronised clocks; the TTL is far larger than normal clock skew.
+ * @module utils/leaseManager
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const createLogger = require('./logger');
+const { withTimeout } = require('./databaseUtils');
+
+// Postgres unique_violation, raised when another instance inserted the lease first
+const UNIQUE_VIOLATION = '23505';
+
+// How long a lease lasts without a heartbeat. Override with LEASE_TTL_SECONDS.
+const LEASE_TTL = Math.max(30, parseInt(process.env.LEASE_TTL_SECONDS, 10) || 90) * 1000;
+
+// Heartbeats per TTL, so a single slow or failed heartbeat doesn't lose the lease
+const HEARTBEATS_PER_TTL = 3;
+
+/**
+ * Acquires, renews and releases leases on behalf of this process
+ * @class LeaseManager
+ */
+class LeaseManager {
+  /**
+   * Create a new LeaseManager
+   */
+  constructor() {
+    this.supabase = null;
+    // A restarted container comes back with the same hostname and pid, so the random part keeps
+    // it from passing for the process it replaced and taking over that process's leases and jobs
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.ttl = LEASE_TTL;
+    this.held = new Map(); // lease name -> heartbeat timer
+    this.logger = createLogger();
+  }
+
+  /**
+   * Attach the database and take this instance's liveness lease, which other instances check
+   * before re-queueing jobs claimed by it
+   * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Supabase client instance
+   * @returns {Promise<void>}
+   */
+  async initialize(supabase) {
+    this.supabase = supabase;
+
+    if (!(await this.acquire(this.getInstanceLeaseName()))) {
+      this.logger.error(`Could not take the liveness lease for instance ${this.instanceId}`);
+    }
+  }
+
+  /**
+   * Name of the liveness lease of an instance
+   * @param {string} [instanceId] - Defaults to this instance
+   * @returns {string}
+   */
+  getInstanceLeaseName(instanceId = this.instanceId) {
+    return `instance:${instanceId}`;
+  }
+
+  /**
+   * Take a lease if it is free, expired or already ours in the database, and keep it alive with a
+   * heartbeat until released. Fails when the database can't be reached, so work is skipped rather
+   * than possibly done twice.
+   * @param {string} name - Lease name, e.g. 'scheduler:send-messages'
+   * @returns {Promise<boolean>} Whether this instance now holds the lease
+   */
+  async acquire(name) {
+    if (this.held.has(name)) return false;
+
+    if (!this.supabase) {
+      this.logger.warn(`Lease manager has no database attached, lease ${name} only applies to this instance`);
+      this.held.set(name, null);
+      return true;
+    }
+
+    const now = new Date();
+    const lease = {
+      holder: this.instanceId,
+      acquired_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + LEASE_TTL).toISOString(),
+      renewed_at: now.toISOString(),
+    };
+
+    try {
+      // Take over the lease if it ran out or this process still holds it in the database
+      const { data: taken, error: updateError } = await withTimeout(
+        this.supabase
+          .from('leases')
+          .update(lease)
+          .eq('name', name)
+          .or(`holder.eq."${this.instanceId}",expires_at.lt.${now.toISOString()}`)
+          .select('name'),
+        10000,
+        'Timeout while taking lease'
+      );
+      if (updateError) throw updateError;
+
+      if (!taken?.length) {
+        const { error: insertError } = await withTimeout(
+          this.supabase
+            .from('leases')
+            .insert({ name, ...lease }),
+          10000,
+          'Timeout while creating lease'
+        );
+
+        if (insertError?.code === UNIQUE_VIOLATION) {
+          return false;
+        }
+        if (insertError) throw insertError;
+      }
+    } catch (error) {
+      this.logger.error(`Failed to acquire lease ${name}: ${error.message}`);
+      return false;
+    }
+
+    this.startHeartbeat(name);
+    return true;
+  }
+
+  /**
+   * Renew a held lease on an interval until it is released
+   * @param {string} name - Lease name
+   */
+  startHeartbeat(name) {
+    const timer = setInterval(() => {
+      this.renew(name).catch((error) => {
+        this.logger.error(`Failed to renew lease ${name}: ${error.message}`);
+      });
+    }, LEASE_TTL / HEARTBEATS_PER_TTL);
+    timer.unref();
+    this.held.set(name, timer);
+  }
+
+  /**
+   * Push back the expiry of a lease this instance holds
+   * @param {string} name - Lease name
+   * @returns {Promise<boolean>} false when another instance took the lease over
+   */
+  async renew(name) {
+    const now = new Date();
+    const { data, error } = await withTimeout(
+      this.supabase
+        .from('leases')
+        .update({
+          expires_at: new Date(now.getTime() + LEASE_TTL).toISOString(),
+          renewed_at: now.toISOString(),
+        })
+        .eq('name', name)
+        .eq('holder', this.instanceId)
+        .select('name'),
+      10000,
+      'Timeout while renewing lease'
+    );
+
+    if (error) throw error;
+
+    if (!data?.length) {
+      this.logger.error(`Lease ${name} was taken over by another instance after it expired`);
+      this.stopHeartbeat(name);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop renewing a lease without touching the database
+   * @param {string} name - Lease name
+   */
+  stopHeartbeat(name) {
+    const timer = this.held.get(name);
+    if (timer) clearInterval(timer);
+    this.held.delete(name);
+  }
+
+  /**
+   * Give up a lease so other instances can take it straight away
+   * @param {string} name - Lease name
+   * @returns {Promise<void>}
+   */
+  async release(name) {
+    if (!this.held.has(name)) return;
+    this.stopHeartbeat(name);
+    if (!this.supabase) return;
+
+    try {
+      const { error } = await withTimeout(
+        this.supabase
+          .from('leases')
+          .delete()
+          .eq('name', name)
+          .eq('holder', this.instanceId),
+        10000,
+        'Timeout while releasing lease'
+      );
+      if (error) throw error;
+    } catch (error) {
+      // The lease runs out by itself
+      this.logger.error(`Failed to release lease ${name}, it expires in ${LEASE_TTL / 1000}s: ${error.message}`);
+    }
+  }
+
+  /**
+   * Release every lease this instance holds, e.g. on shutdown
+   * @returns {Promise<void>}
+   */
+  async releaseAll() {
+    await Promise.all([...this.held.keys()].map((name) => this.release(name)));
+  }
+
+  /**
+   * Run a function while holding a lease
+   * @param {string} name - Lease name
+   * @param {Function} fn - Function to run
+   * @returns {Promise<{acquired: boolean, result: *}>} acquired is false, and fn not called, when the lease is taken
+   */
+  async withLease(name, fn) {
+    if (!(await this.acquire(name))) {
+      return { acquired: false, result: undefined };
+    }
+
+    try {
+      return { acquired: true, result: await fn() };
+    } finally {
+      await this.release(name);
+    }
+  }
+
+  /**
+   * Instances whose liveness lease has not expired
+   * @returns {Promise<Set<string>>} Instance IDs
+   */
+  async getLiveInstances() {
+    const { data, error } = await withTimeout(
+      this.supabase
+        .from('leases')
+        .select('holder')
+        .like('name', 'instance:%')
+        .gt('expires_at', new Date().toISOString()),
+      10000,
+      'Timeout while fetching live instances'
+    );
+
+    if (error) throw error;
+    return new Set((data || []).map((lease) => lease.holder));
+  }
+}
+
+// Singleton instance
+const leaseManager = new LeaseManager();
+
+module.exports = leaseManager;
@@ -0,0 +1,173 @@
+/**
+ * Per-campaign follow-up message sequences, read from campaigns.connection_messages.
+ *
+ * Each entry of connection_messages.messages is one stage:
+ * `{ stage, content, delay_days, max_per_day, active }`. Only stage and content are required.
+ * Content is a template, see utils/messageTemplate.
+ * delay_days counts working days since the lead's previous message, max_per_day caps the
+ * messages sent for the stage per day and inactive stages are skipped by leads moving through
+ * the sequence.
+ * @module utils/messageSequence
+ */
+
+const { addWorkingDays, hasDelayPassed } = require('./dateUtils');
+const { getNextWindowOpening } = require('./sendingWindow');
+const { validateTemplate } = require('./messageTemplate');
+
+// Settings for stages that leave them out, matching the fixed sequence used before they were configurable
+const DEFAULT_FIRST_STAGE_DELAY_DAYS = 0;
+const DEFAULT_DELAY_DAYS = 3;
+const DEFAULT_MAX_PER_DAY = 100; // High safety limit for 1st-degree connections
+
+/**
+ * @typedef {Object} MessageStage
+ * @property {number} stage - Stage number, stored in leads.message_stage once sent
+ * @property {string} content - Message template
+ * @property {number} delayDays - Working days to wait after the lead's previous message
+ * @property {number} maxPerDay - Daily cap for the stage
+ * @property {boolean} active - Whether leads are sent this stage
+ * @property {string} description - Label for logs
+ */
+
+/**
+ * Read a campaign's message sequence
+ * @param {Object|null} connectionMessages - campaigns.connection_messages
+ * @returns {MessageStage[]} Stages ordered by stage number, including inactive ones
+ */
+const getMessageSequence = (connectionMessages) => {
+  const messages = Array.isArray(connectionMessages?.messages) ? connectionMessages.messages : [];
+
+  return messages
+    .map((message) => ({
+      stage: message.stage,
+      content: message.content,
+      delayDays: message.delay_days ?? (message.stage === 1 ? DEFAULT_FIRST_STAGE_DELAY_DAYS : DEFAULT_DELAY_DAYS),
+      maxPerDay: message.max_per_day ?? DEFAULT_MAX_PER_DAY,
+      active: message.active !== false,
+      description: `stage ${message.stage} message`
+    }))
+    .sort((a, b) => a.stage - b.stage);
+};
+
+/**
+ * Check a campaign's message sequence
+ * @param {Object|null} connectionMessages - campaigns.connection_messages
+ * @returns {string[]} Problems found, empty when the sequence can be sent
+ */
+const validateMessageSequence = (connectionMessages) => {
+  const messages = connectionMessages?.messages;
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return ['connection_messages.messages must list at least one stage'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  for (const message of messages) {
+    const { stage } = message || {};
+    if (!Number.isInteger(stage) || stage < 1) {
+      errors.push(`Invalid stage number: ${JSON.stringify(stage)}`);
+      continue;
+    }
+    if (seen.has(stage)) {
+      errors.push(`Stage ${stage} is defined more than once`);
+    }
+    seen.add(stage);
+
+    if (message.active !== undefined && typeof message.active !== 'boolean') {
+      errors.push(`Stage ${stage}: active must be a boolean`);
+    }
+    if (message.active !== false && (typeof message.content !== 'string' || message.content.trim().length === 0)) {
+      errors.push(`Stage ${stage}: content is required`);
+    }
+    // Inactive stages are checked too, so a stage can be switched on without another review
+    if (typeof message.content === 'string') {
+      validateTemplate(message.content).forEach((error) => errors.push(`Stage ${stage}: ${error}`));
+    }
+    if (message.delay_days !== undefined && (typeof message.delay_days !== 'number' || message.delay_days < 0)) {
+      errors.push(`Stage ${stage}: delay_days must be a number of days, 0 or more`);
+    }
+    if (message.max_per_day !== undefined && (!Number.isInteger(message.max_per_day) || message.max_per_day < 1)) {
+      errors.push(`Stage ${stage}: max_per_day must be a positive integer`);
+    }
+  }
+
+  if (errors.length === 0 && !messages.some((message) => message.active !== false)) {
+    errors.push('At least one stage must be active');
+  }
+
+  return errors;
+};
+
+/**
+ * Find a stage by number
+ * @param {MessageStage[]} sequence - Message sequence
+ * @param {number} stage - Stage number
+ * @returns {MessageStage|null}
+ */
+const getStage = (sequence, stage) => sequence.find((s) => s.stage === stage) || null;
+
+/**
+ * The stage a lead gets next
+ * @param {MessageStage[]} sequence - Message sequence
+ * @param {number|null} currentStage - leads.message_stage, null when the lead has not been messaged
+ * @returns {MessageStage|null} The first active stage after currentStage, or null once the sequence is done
+ */
+const getNextStage = (sequence, currentStage) => sequence.find((s) =>
+  s.active && (currentStage === null || currentStage === undefined || s.stage > currentStage)
+) || null;
+
+/**
+ * Leads due a stage now: it is the next active stage in their sequence and its delay has passed
+ * @param {Object[]} leads - Lead rows with message_stage and last_contacted
+ * @param {MessageStage[]} sequence - Message sequence
+ * @param {MessageStage} stage - Stage to send
+ * @param {import('./holidayCalendar').HolidayCalendar|null} calendar - Campaign holiday calendar
+ * @returns {Object[]}
+ */
+const getLeadsDueStage = (leads, sequence, stage, calendar) => leads.filter((lead) => {
+  if (getNextStage(sequence, lead.message_stage)?.stage !== stage.stage) {
+    return false;
+  }
+  return lead.message_stage === null || hasDelayPassed(lead.last_contacted, stage.delayDays, calendar);
+});
+
+/**
+ * When a lead is next due a message: once its delay has passed, at the first open sending window
+ * that isn't a holiday. Schedulers send on their next run after that time, within the stage's daily cap.
+ * @param {Object} lead - Lead row with message_stage and last_contacted
+ * @param {MessageStage[]} sequence - Message sequence
+ * @param {import('./sendingWindow').SendingWindow} window - Campaign sending window
+ * @param {import('./holidayCalendar').HolidayCalendar} calendar - Campaign holiday calendar
+ * @param {Date} [now] - Defaults to now
+ * @returns {{stage: MessageStage|null, eligibleAt: Date|null, nextSendAt: Date|null, reason: string|null}}
+ *   reason says why nextSendAt is null
+ */
+const getNextSendTime = (lead, sequence, window, calendar, now = new Date()) => {
+  const stage = getNextStage(sequence, lead.message_stage);
+  if (!stage) {
+    return { stage: null, eligibleAt: null, nextSendAt: null, reason: 'sequence_complete' };
+  }
+
+  let eligibleAt = now;
+  if (lead.message_stage !== null && lead.message_stage !== undefined) {
+    if (!lead.last_contacted) {
+      return { stage, eligibleAt: null, nextSendAt: null, reason: 'missing_last_contacted' };
+    }
+    if (stage.delayDays > 0) {
+      eligibleAt = addWorkingDays(new Date(lead.last_contacted), stage.delayDays, calendar);
+    }
+  }
+
+  const nextSendAt = getNextWindowOpening(window, eligibleAt > now ? eligibleAt : now, calendar);
+  return { stage, eligibleAt, nextSendAt, reason: nextSendAt ? null : 'window_never_opens' };
+};
+
+module.exports = {
+  getMessageSequence,
+  validateMessageSequence,
+  getStage,
+  getNextStage,
+  getLeadsDueStage,
+  getNextSendTime
+};
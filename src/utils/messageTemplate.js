@@ -0,0 +1,225 @@
+/**
+ * The template language of campaign messages, connection notes and subjects.
+ *
+ * - `{first_name}` inserts a variable, `{custom.pain_point}` or `{custom.team.size}` a field from
+ *   the lead's personalization JSON
+ * - `{first_name|there}` falls back to a default when the variable is empty
+ * - `{company|title}` applies a filter: lower, upper, title or capitalize. Filters come before the
+ *   default and only change the variable's value, e.g. `{company|title|your team}`
+ * - `{#if company} at {company}{/if}` keeps its text only when the variable isn't empty, with an
+ *   optional `{else}`. Conditionals can be nested.
+ *
+ * Anything else in braces that isn't a variable name, e.g. `{ }` or `{Jane Doe}`, is left as text.
+ * Unknown variables are an error when a template is validated, and are left as written when one is
+ * rendered regardless.
+ * @module utils/messageTemplate
+ */
+
+// Variables a template can use besides custom.*
+const TEMPLATE_VARIABLES = ['first_name', 'last_name', 'company', 'job_title', 'position', 'linkedin', 'landingpage', 'cpdlanding'];
+
+// Prefix of fields read from the lead's personalization JSON
+const CUSTOM_PREFIX = 'custom.';
+
+const FILTERS = {
+  lower: (value) => value.toLowerCase(),
+  upper: (value) => value.toUpperCase(),
+  title: (value) => value.toLowerCase().replace(/(^|[\s\-/])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase()),
+  capitalize: (value) => value.charAt(0).toUpperCase() + value.slice(1)
+};
+
+// A tag: {#if name}, {else}, {/if} or {name|segment|...}. Other braces are text.
+const TAG_PATTERN = /\{(?:#if\s+([A-Za-z_][\w.-]*)\s*|(else)|(\/if)|([A-Za-z_][\w.-]*)((?:\|[^{}|]*)*))\}/g;
+
+/**
+ * Whether a template may use a variable
+ * @param {string} name - Variable name, e.g. 'company' or 'custom.pain_point'
+ * @returns {boolean}
+ */
+const isKnownVariable = (name) => TEMPLATE_VARIABLES.includes(name)
+  || (name.startsWith(CUSTOM_PREFIX) && name.length > CUSTOM_PREFIX.length && !name.endsWith('.'));
+
+/**
+ * Split a template into text, variables and conditionals
+ * @param {string} template - Template text
+ * @returns {{nodes: Object[], errors: string[]}} Syntax errors and unknown variables, empty when the
+ *   template is valid; nodes are usable either way
+ */
+const parseTemplate = (template) => {
+  const root = { nodes: [] };
+  const stack = [];
+  let current = root.nodes;
+  const errors = [];
+  let lastIndex = 0;
+
+  const checkVariable = (name, raw) => {
+    if (!isKnownVariable(name)) {
+      errors.push(`Unknown variable ${raw}`);
+    }
+  };
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const [raw, ifName, elseTag, endTag, name, segmentText] = match;
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + raw.length;
+
+    if (ifName) {
+      checkVariable(ifName, raw);
+      const node = { type: 'if', name: ifName, raw, then: [], otherwise: null };
+      current.push(node);
+      stack.push(node);
+      current = node.then;
+    } else if (elseTag) {
+      const open = stack[stack.length - 1];
+      if (!open) {
+        errors.push('{else} outside of an {#if}');
+      } else if (open.otherwise) {
+        errors.push(`${open.raw} has more than one {else}`);
+      } else {
+        open.otherwise = [];
+        current = open.otherwise;
+      }
+    } else if (endTag) {
+      if (stack.length === 0) {
+        errors.push('{/if} without an {#if}');
+      } else {
+        stack.pop();
+        const open = stack[stack.length - 1];
+        current = open ? (open.otherwise || open.then) : root.nodes;
+      }
+    } else {
+      checkVariable(name, raw);
+      const segments = segmentText ? segmentText.slice(1).split('|') : [];
+      const filters = [];
+      let defaultValue = null;
+      segments.forEach((segment, index) => {
+        if (FILTERS[segment.trim()]) {
+          filters.push(segment.trim());
+        } else if (index === segments.length - 1) {
+          defaultValue = segment;
+        } else {
+          errors.push(`Unknown filter "${segment}" in ${raw}`);
+        }
+      });
+      current.push({ type: 'variable', name, raw, filters, defaultValue });
+    }
+  }
+
+  if (lastIndex < template.length) {
+    current.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  for (const open of stack) {
+    errors.push(`${open.raw} is missing its {/if}`);
+  }
+
+  return { nodes: root.nodes, errors };
+};
+
+/**
+ * Check a template
+ * @param {string} template - Template text
+ * @returns {string[]} Problems found, empty when the template is valid
+ */
+const validateTemplate = (template) => {
+  if (typeof template !== 'string') {
+    return ['Template must be a string'];
+  }
+  return parseTemplate(template).errors;
+};
+
+/**
+ * A variable's value as text, '' when it's missing, empty or not a plain value
+ * @param {Object} values - Template values, custom fields under values.custom
+ * @param {string} name - Variable name
+ * @returns {string}
+ */
+const lookup = (values, name) => {
+  const value = name.startsWith(CUSTOM_PREFIX)
+    ? name.slice(CUSTOM_PREFIX.length).split('.').reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), values.custom)
+    : values[name];
+
+  if (typeof value === 'string') return value.trim() === '' ? '' : value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return '';
+};
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} values - Variable values, with the lead's personalization fields in values.custom
+ * @returns {{text: string, missing: string[], unknown: string[]}} missing lists variables that were
+ *   empty and had no default, unknown the tags left as written
+ */
+const renderTemplate = (template, values) => {
+  const { nodes } = parseTemplate(template);
+  const missing = new Set();
+  const unknown = new Set();
+
+  const render = (list) => list.map((node) => {
+    if (node.type === 'text') return node.value;
+
+    if (!isKnownVariable(node.name)) {
+      unknown.add(node.raw);
+      return node.type === 'if' ? render(node.otherwise || []) : node.raw;
+    }
+
+    const value = lookup(values, node.name);
+    if (node.type === 'if') {
+      return value ? render(node.then) : render(node.otherwise || []);
+    }
+
+    if (value) {
+      return node.filters.reduce((text, filter) => FILTERS[filter](text), value);
+    }
+    if (node.defaultValue === null) {
+      missing.add(node.name);
+      return '';
+    }
+    return node.defaultValue;
+  }).join('');
+
+  return { text: render(nodes), missing: [...missing], unknown: [...unknown] };
+};
+
+/**
+ * Check the templates a campaign stores besides its follow-up stages, which
+ * utils/messageSequence checks with the rest of the sequence: the connection request note and the
+ * open profile messages and subjects
+ * @param {Object} campaign - Campaign fields, any of connection_messages and open_profile_messages
+ * @returns {string[]} Problems found, empty when every template is valid
+ */
+const validateCampaignTemplates = ({ connection_messages: connectionMessages, open_profile_messages: openProfileMessages }) => {
+  const errors = [];
+  const check = (template, label) => {
+    validateTemplate(template).forEach((error) => errors.push(`${label}: ${error}`));
+  };
+
+  const note = connectionMessages?.connection_request_message?.content;
+  if (note !== undefined && note !== null) {
+    check(note, 'Connection request message');
+  }
+
+  const openMessages = openProfileMessages?.messages;
+  if (openProfileMessages && !Array.isArray(openMessages)) {
+    errors.push('open_profile_messages.messages must be a list');
+  }
+  for (const message of Array.isArray(openMessages) ? openMessages : []) {
+    const label = `Open profile stage ${message?.stage}`;
+    check(message?.content, label);
+    if (message?.subject !== undefined && message?.subject !== null) {
+      check(message.subject, `${label} subject`);
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  parseTemplate,
+  validateTemplate,
+  renderTemplate,
+  validateCampaignTemplates
+};
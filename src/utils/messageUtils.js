@@ -1,63 +1,155 @@
+/**
+ * Personalization of every message the automation sends: 1st-degree follow-ups, open profile
+ * InMails and their subjects, and connection request notes all render their templates here, so a
+ * template reads the same wherever it is used. See utils/messageTemplate for the syntax.
+ * @module utils/messageUtils
+ */
+
 const createLogger = require('./logger');
 const logger = createLogger();
+const { renderTemplate } = require('./messageTemplate');
+
+// Subject of open profile messages whose stage doesn't set one
+const DEFAULT_INMAIL_SUBJECT = '{#if company}{company} {/if}Financial Forecasting';
+
+// LinkedIn's length limits, in characters, for what each kind of message can hold
+const MESSAGE_LIMITS = {
+  connection_note: 300,
+  inmail: 1900,
+  inmail_subject: 200,
+  message: 8000
+};
+
+// Function to construct landing page URL in `{firstNameLastInitial}.{companySlug}` format
+const constructLandingPageURL = (lead) => {
+  if (!lead.first_name || !lead.last_name || !lead.company) {
+    console.warn('🚨 Missing lead details for landing page:', lead);
+    return `/landing-page/${encodeURIComponent(lead.id)}?linkedin=true`; // Fallback
+  }
+  const firstName = lead.first_name.toLowerCase();
+  const lastInitial = lead.last_name.charAt(0).toLowerCase();
+  const companySlug = lead.company.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return `/${firstName}${lastInitial}.${companySlug}`;
+};
+
+// Function to construct the correct landing page URL with subdomain
+const constructURLWithSubdomain = (lead, client, queryParam = '') => {
+  const basePath = constructLandingPageURL(lead);
+  if (client?.subdomain && client.status === 'verified') {
+    return `https://${client.subdomain}${basePath}${queryParam}`;
+  }
+  return `https://default-landing-page.com${basePath}${queryParam}`;
+};
 
 /**
- * Personalizes a message template by replacing placeholders with actual values
- * @param {string} template - The message template with placeholders
- * @param {Object} profile - The profile data to use for personalization
- * @param {string} [landingPageUrl] - Optional landing page URL
- * @param {string} [cpdLandingPageUrl] - Optional CPD landing page URL
- * @returns {string} The personalized message
+ * Constructs a Cost Per Demo landing page URL
+ * @param {Object} lead - The lead object
+ * @returns {string} - The CPD landing page URL
  */
-const personalizeMessage = (template, profile, landingPageUrl = null, cpdLandingPageUrl = null) => {
+const constructCPDLandingPageURL = (lead) => {
+  if (!lead.first_name || !lead.last_name || !lead.company) {
+    console.warn('🚨 Missing lead details for CPD landing page:', lead);
+    return `https://costperdemo.com/landing-page/${encodeURIComponent(lead.id)}?linkedin=true`; // Fallback
+  }
+  const firstName = lead.first_name.toLowerCase();
+  const lastInitial = lead.last_name.charAt(0).toLowerCase();
+  const companySlug = lead.company.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return `https://costperdemo.com/${firstName}${lastInitial}.${companySlug}`;
+};
+
+/**
+ * Read a lead's personalization JSON
+ * @param {Object} profile - Lead or scraped profile
+ * @returns {Object} The custom fields, empty when there are none or they can't be parsed
+ */
+const getCustomFields = (profile) => {
   try {
-    let message = template;
-
-    // Replace profile data placeholders
-    const replacements = {
-      '{first_name}': profile.first_name || '',
-      '{last_name}': profile.last_name || '',
-      '{company}': profile.company || '',
-      '{job_title}': profile.job_title || '',
-      '{linkedin}': profile.linkedin || '',
-      '{landingpage}': landingPageUrl || '',
-      '{cpdlanding}': cpdLandingPageUrl || ''
-    };
-
-    // Replace all placeholders in the template
-    Object.entries(replacements).forEach(([placeholder, value]) => {
-      message = message.replace(new RegExp(placeholder, 'g'), value);
-    });
-
-    // Handle custom fields if available
-    let customFields = {};
-    try {
-      if (typeof profile.personalization === 'string' && profile.personalization) {
-        logger.info(`Parsing personalization JSON for profile: ${profile.personalization}`);
-        customFields = JSON.parse(profile.personalization);
-      } else if (typeof profile.personalization === 'object' && profile.personalization !== null) {
-        logger.info(`Using personalization object for profile`);
-        customFields = profile.personalization;
-      }
-      
-      // Replace custom field placeholders
-      message = message.replace(/\{custom\.(.*?)\}/g, (match, key) => {
-        return customFields[key] ?? match;
-      });
-    } catch (error) {
-      logger.error(`Error handling custom fields: ${error.message}`);
+    if (typeof profile.personalization === 'string' && profile.personalization) {
+      return JSON.parse(profile.personalization);
     }
+    if (typeof profile.personalization === 'object' && profile.personalization !== null) {
+      return profile.personalization;
+    }
+  } catch (error) {
+    logger.error(`Error parsing personalization JSON for profile ${profile.id}: ${error.message}`);
+  }
+  return {};
+};
+
+/**
+ * Render a template for a lead, reporting the variables that came out empty
+ * @param {string} template - The message template
+ * @param {Object} profile - Lead or scraped profile
+ * @param {Object|null} [client] - Client row with subdomain and status, for {landingpage}
+ * @returns {{text: string, missing: string[], unknown: string[]}} See messageTemplate.renderTemplate
+ */
+const renderPersonalizedMessage = (template, profile, client = null) => {
+  const { text, missing, unknown } = renderTemplate(template, {
+    first_name: profile.first_name,
+    last_name: profile.last_name,
+    company: profile.company,
+    // Leads have a position and scraped profiles a job_title; either name works in a template
+    job_title: profile.job_title ?? profile.position,
+    position: profile.position ?? profile.job_title,
+    linkedin: profile.linkedin,
+    // Only built when a template uses them
+    get landingpage() { return constructURLWithSubdomain(profile, client); },
+    get cpdlanding() { return constructCPDLandingPageURL(profile); },
+    custom: getCustomFields(profile)
+  });
 
-    // Ensure \n renders as newlines
-    message = message.replace(/\\n/g, '\n');
+  // Ensure \n renders as newlines
+  return { text: text.replace(/\\n/g, '\n'), missing, unknown };
+};
 
-    return message;
+/**
+ * Personalizes a message template with a lead's data
+ * @param {string} template - The message template with placeholders
+ * @param {Object} profile - The profile data to use for personalization
+ * @param {Object|null} [client] - Client row with subdomain and status, for {landingpage}
+ * @returns {string} The personalized message
+ */
+const personalizeMessage = (template, profile, client = null) => {
+  try {
+    return renderPersonalizedMessage(template, profile, client).text;
   } catch (error) {
     logger.error(`Error personalizing message: ${error.message}`);
     return template; // Return original template if personalization fails
   }
 };
 
+/**
+ * Personalizes a campaign's connection request note for a scraped profile
+ * @param {Object|null} connectionMessages - campaigns.connection_messages
+ * @param {Object} profile - scraped_profiles row
+ * @param {Object|null} [client] - Client row with subdomain and status, for {landingpage}
+ * @returns {string|null} The note, or null when the campaign has no connection request message
+ */
+const personalizeConnectionNote = (connectionMessages, profile, client = null) => {
+  const template = connectionMessages?.connection_request_message?.content;
+  if (!template) return null;
+
+  return personalizeMessage(template, profile, client);
+};
+
+/**
+ * Personalizes the subject of an open profile message
+ * @param {Object} stage - Entry of campaigns.open_profile_messages.messages
+ * @param {Object} lead - Lead row
+ * @param {Object|null} [client] - Client row with subdomain and status, for {landingpage}
+ * @returns {string}
+ */
+const personalizeSubject = (stage, lead, client = null) =>
+  personalizeMessage(stage?.subject || DEFAULT_INMAIL_SUBJECT, lead, client);
+
 module.exports = {
-  personalizeMessage
-}; 
\ No newline at end of file
+  DEFAULT_INMAIL_SUBJECT,
+  MESSAGE_LIMITS,
+  personalizeMessage,
+  renderPersonalizedMessage,
+  personalizeConnectionNote,
+  personalizeSubject,
+  constructLandingPageURL,
+  constructURLWithSubdomain,
+  constructCPDLandingPageURL
+};
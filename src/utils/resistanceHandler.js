@@ -1,5 +1,6 @@
 const createLogger = require('./logger');
 const { withTimeout } = require('./databaseUtils');
+const jobEvents = require('./jobEvents');
 
 const logger = createLogger();
 
@@ -97,6 +98,8 @@ class ResistanceHandler {
       return null;
     }
 
+    jobEvents.publishCampaignEvent('resistance', campaignId, { resistanceType, error: errorMessage });
+
     const cooldownDuration = await this.calculateCooldownDuration(campaignId, resistanceType);
     const cooldownUntil = new Date(Date.now() + cooldownDuration);
 
@@ -116,6 +119,11 @@ class ResistanceHandler {
       );
 
       logger.info(`Set ${cooldownDuration/3600000}h cooldown for campaign ${campaignId} due to ${resistanceType}`);
+      jobEvents.publishCampaignEvent('cooldown', campaignId, {
+        resistanceType,
+        cooldownUntil: cooldownUntil.toISOString(),
+        cooldownDuration
+      });
       
       return {
         cooldownDuration,
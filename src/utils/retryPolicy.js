@@ -0,0 +1,62 @@
+/**
+ * Retry policy for failed jobs, keyed by the error_category written to the jobs table
+ * @module utils/retryPolicy
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Policy per error category.
+ * maxAttempts counts every run of the job, so a job with maxAttempts 3 is retried at most twice.
+ * The delay before retry n is backoffMs * 2^(n - 1).
+ * @type {Object<string, {retryable: boolean, backoffMs: number, maxAttempts: number}>}
+ */
+const RETRY_POLICIES = {
+  // Database or network hiccups while loading or saving job data
+  campaign_load_failed: { retryable: true, backoffMs: 2 * MINUTE, maxAttempts: 3 },
+  client_load_failed: { retryable: true, backoffMs: 2 * MINUTE, maxAttempts: 3 },
+  database_fetch_failed: { retryable: true, backoffMs: 2 * MINUTE, maxAttempts: 3 },
+  database_update_failed: { retryable: true, backoffMs: 2 * MINUTE, maxAttempts: 3 },
+  database_error: { retryable: true, backoffMs: 2 * MINUTE, maxAttempts: 3 },
+  queue_processing_failed: { retryable: true, backoffMs: 5 * MINUTE, maxAttempts: 2 },
+
+  // LinkedIn page problems that often clear up on their own
+  selector_timeout: { retryable: true, backoffMs: 10 * MINUTE, maxAttempts: 3 },
+  message_button_not_found: { retryable: true, backoffMs: 10 * MINUTE, maxAttempts: 2 },
+  timeout: { retryable: true, backoffMs: 15 * MINUTE, maxAttempts: 2 },
+
+  // Repeated failures can mean LinkedIn is pushing back, so wait longer and retry once
+  consecutive_failures: { retryable: true, backoffMs: 30 * MINUTE, maxAttempts: 2 },
+
+  unknown: { retryable: true, backoffMs: 5 * MINUTE, maxAttempts: 2 },
+
+  // Retrying cannot help until someone fixes the cookies, campaign or request
+  authentication_failed: { retryable: false, backoffMs: 0, maxAttempts: 1 },
+  missing_message_stage: { retryable: false, backoffMs: 0, maxAttempts: 1 },
+  invalid_message_stage: { retryable: false, backoffMs: 0, maxAttempts: 1 },
+  invalid_stage_sequence: { retryable: false, backoffMs: 0, maxAttempts: 1 },
+  request_validation_failed: { retryable: false, backoffMs: 0, maxAttempts: 1 },
+  validation_error: { retryable: false, backoffMs: 0, maxAttempts: 1 },
+  unrecoverable: { retryable: false, backoffMs: 0, maxAttempts: 1 }
+};
+
+/**
+ * Get the retry policy for an error category. Categories without an entry use the `unknown` policy.
+ * @param {string|null} errorCategory - jobs.error_category
+ * @returns {{retryable: boolean, backoffMs: number, maxAttempts: number}}
+ */
+const getRetryPolicy = (errorCategory) => RETRY_POLICIES[errorCategory] || RETRY_POLICIES.unknown;
+
+/**
+ * Delay before the next run of a job
+ * @param {Object} policy - Retry policy
+ * @param {number} failedAttempts - Number of runs that have failed so far
+ * @returns {number} Milliseconds
+ */
+const getRetryDelay = (policy, failedAttempts) => policy.backoffMs * Math.pow(2, Math.max(0, failedAttempts - 1));
+
+module.exports = {
+  RETRY_POLICIES,
+  getRetryPolicy,
+  getRetryDelay
+};
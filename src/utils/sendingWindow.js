@@ -0,0 +1,224 @@
+/**
+ * Campaign sending windows: local hours and weekdays in the campaign's IANA timezone.
+ * Local time is worked out with Intl for every check, so windows follow DST in their own zone
+ * whatever timezone the server runs in.
+ * @module utils/sendingWindow
+ */
+
+// Campaigns that only set the old `timezone` region keep the hours it stood for, which were in UK time
+const LEGACY_TIME_ZONE = 'Europe/London';
+const LEGACY_REGION_WINDOWS = {
+  'Europe': { startHour: 7, endHour: 13 },
+  'North America': { startHour: 13, endHour: 19 },
+  'Asia': { startHour: 0, endHour: 6 }
+};
+
+// ISO weekday numbers, Monday = 1 ... Sunday = 7
+const ALL_DAYS = [1, 2, 3, 4, 5, 6, 7];
+
+// Intl formatters are slow to build, so keep one per zone
+const formatters = new Map();
+
+/**
+ * @typedef {Object} SendingWindow
+ * @property {string} timeZone - IANA timezone, e.g. 'America/New_York'
+ * @property {number} startHour - First local hour of the window, 0-23
+ * @property {number} endHour - Local hour the window ends, 1-24; below startHour for windows past midnight
+ * @property {number[]} days - ISO weekdays the window is open on, Monday = 1
+ */
+
+/**
+ * Whether a string is a timezone this runtime knows
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Move a YYYY-MM-DD date by whole days
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} YYYY-MM-DD
+ */
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+};
+
+/**
+ * ISO weekday of a YYYY-MM-DD date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Monday = 1 ... Sunday = 7
+ */
+const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+
+/**
+ * Wall-clock time in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {{date: string, weekday: number, hour: number, minute: number}} date is YYYY-MM-DD, weekday is ISO
+ */
+const getLocalTime = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date: localDate,
+    weekday: getWeekday(localDate),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10)
+  };
+};
+
+/**
+ * The instant a wall-clock time occurs in a timezone. Times skipped by a DST change resolve to the hour after.
+ * @param {string} date - Local YYYY-MM-DD
+ * @param {number} hour - Local hour, 0-24
+ * @param {number} minute - Local minute
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const fromLocalTime = (date, hour, minute, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct by the zone's offset, then once more in case the first guess crossed a DST change
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalTime(new Date(instant), timeZone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    instant += wallClock - Date.UTC(y, m - 1, d, local.hour, local.minute);
+  }
+  return new Date(instant);
+};
+
+/**
+ * Read a campaign's sending window from sending_timezone, sending_start_hour, sending_end_hour and
+ * sending_days, falling back to the hours of its legacy `timezone` region
+ * @param {Object} campaign - Campaign row
+ * @returns {SendingWindow|null} null when the campaign has no usable window
+ */
+const getSendingWindow = (campaign) => {
+  const days = Array.isArray(campaign.sending_days) && campaign.sending_days.length > 0
+    ? campaign.sending_days
+    : ALL_DAYS;
+
+  if (campaign.sending_timezone) {
+    const { sending_timezone: timeZone, sending_start_hour: startHour, sending_end_hour: endHour } = campaign;
+    if (!isValidTimeZone(timeZone)) return null;
+    if (!Number.isInteger(startHour) || startHour < 0 || startHour > 23) return null;
+    if (!Number.isInteger(endHour) || endHour < 1 || endHour > 24 || endHour === startHour) return null;
+    return { timeZone, startHour, endHour, days };
+  }
+
+  const legacy = LEGACY_REGION_WINDOWS[campaign.timezone];
+  return legacy ? { timeZone: LEGACY_TIME_ZONE, ...legacy, days } : null;
+};
+
+/**
+ * Whole and part hours left in the window at a given time
+ * @param {SendingWindow} window - Sending window
+ * @param {Date} [date] - Defaults to now
+ * @param {import('./holidayCalendar').HolidayCalendar} [calendar] - Keeps the window closed on holidays and blackout dates
+ * @returns {number} 0 when the window is closed
+ */
+const getWindowHoursRemaining = (window, date = new Date(), calendar = null) => {
+  const local = getLocalTime(date, window.timeZone);
+  const hour = local.hour + local.minute / 60;
+  const overnight = window.endHour < window.startHour;
+
+  // A window past midnight opened on the previous local day when we're in its early hours
+  const openedYesterday = overnight && hour < window.endHour;
+  const openedOn = openedYesterday ? shiftDate(local.date, -1) : local.date;
+  if (!window.days.includes(getWeekday(openedOn))) return 0;
+  if (calendar?.isHoliday(openedOn)) return 0;
+
+  if (overnight) {
+    if (openedYesterday) return window.endHour - hour;
+    return hour >= window.startHour ? 24 - hour + window.endHour : 0;
+  }
+  return hour >= window.startHour && hour < window.endHour ? window.endHour - hour : 0;
+};
+
+/**
+ * Whether the window is open at a given time
+ * @param {SendingWindow} window - Sending window
+ * @param {Date} [date] - Defaults to now
+ * @param {import('./holidayCalendar').HolidayCalendar} [calendar] - Keeps the window closed on holidays and blackout dates
+ * @returns {boolean}
+ */
+const isWithinSendingWindow = (window, date = new Date(), calendar = null) =>
+  getWindowHoursRemaining(window, date, calendar) > 0;
+
+// How far ahead to look for an open window before giving up, e.g. for a window with no days
+const MAX_LOOKAHEAD_DAYS = 370;
+
+/**
+ * The first time at or after a given time when the window is open
+ * @param {SendingWindow} window - Sending window
+ * @param {Date} from - Earliest acceptable time
+ * @param {import('./holidayCalendar').HolidayCalendar} [calendar] - Skips holidays and blackout dates
+ * @returns {Date|null} null when the window doesn't open within a year
+ */
+const getNextWindowOpening = (window, from, calendar = null) => {
+  const overnight = window.endHour < window.startHour;
+  // Start a day early so a window opened yesterday that is still open counts
+  let date = shiftDate(getLocalTime(from, window.timeZone).date, -1);
+
+  for (let i = 0; i <= MAX_LOOKAHEAD_DAYS; i++, date = shiftDate(date, 1)) {
+    if (!window.days.includes(getWeekday(date)) || calendar?.isHoliday(date)) continue;
+
+    const opens = fromLocalTime(date, window.startHour, 0, window.timeZone);
+    const closes = fromLocalTime(overnight ? shiftDate(date, 1) : date, window.endHour, 0, window.timeZone);
+    if (from < closes) {
+      return from > opens ? from : opens;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Describe a window for logs
+ * @param {SendingWindow} window - Sending window
+ * @returns {string}
+ */
+const describeSendingWindow = (window) =>
+  `${window.startHour}:00-${window.endHour}:00 ${window.timeZone} on days ${window.days.join(',')}`;
+
+module.exports = {
+  LEGACY_REGION_WINDOWS,
+  isValidTimeZone,
+  getLocalTime,
+  shiftDate,
+  getWeekday,
+  fromLocalTime,
+  getSendingWindow,
+  getWindowHoursRemaining,
+  isWithinSendingWindow,
+  getNextWindowOpening,
+  describeSendingWindow
+};
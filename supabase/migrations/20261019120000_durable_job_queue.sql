@@ -0,0 +1,9 @@
+-- Persist the JobQueueManager queue in the jobs table so queued and
+-- interrupted jobs survive a restart.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS payload jsonb;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS queued_at timestamptz;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS started_at timestamptz;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS completed_at timestamptz;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS claimed_by text;
+
+CREATE INDEX IF NOT EXISTS jobs_status_queued_at_idx ON jobs (status, queued_at);
@@ -0,0 +1,4 @@
+-- Retry bookkeeping for the job retry policy. Failed jobs are re-queued with a
+-- backoff until their attempts run out, then parked in the dead_letter status.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS next_attempt_at timestamptz;
@@ -0,0 +1,7 @@
+-- Idempotency-Key header of the request that created a job. A repeated request
+-- with the same key returns the existing job instead of inserting a new one.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS idempotency_key text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_idempotency_key_idx
+  ON jobs (idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
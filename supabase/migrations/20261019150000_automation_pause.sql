@@ -0,0 +1,11 @@
+-- Pause state for the automation. A campaign with paused_at set gets no scheduler
+-- runs and its queued jobs are held; the automation_state row pauses everything.
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS paused_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS automation_state (
+  id boolean PRIMARY KEY DEFAULT true CHECK (id),
+  paused_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO automation_state (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,21 @@
+-- Sending window per campaign: local hours and ISO weekdays (Monday = 1) in an IANA timezone.
+-- Campaigns without sending_timezone keep the UK-time hours of their legacy `timezone` region,
+-- and sending_days left null means every day.
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS sending_timezone text;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS sending_start_hour smallint;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS sending_end_hour smallint;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS sending_days smallint[];
+
+ALTER TABLE campaigns DROP CONSTRAINT IF EXISTS campaigns_sending_window_check;
+ALTER TABLE campaigns ADD CONSTRAINT campaigns_sending_window_check CHECK (
+  sending_timezone IS NULL OR (
+    sending_start_hour BETWEEN 0 AND 23
+    AND sending_end_hour BETWEEN 1 AND 24
+    AND sending_end_hour <> sending_start_hour
+  )
+);
+
+ALTER TABLE campaigns DROP CONSTRAINT IF EXISTS campaigns_sending_days_check;
+ALTER TABLE campaigns ADD CONSTRAINT campaigns_sending_days_check CHECK (
+  sending_days IS NULL OR sending_days <@ ARRAY[1, 2, 3, 4, 5, 6, 7]::smallint[]
+);
@@ -0,0 +1,4 @@
+-- Holiday calendars for working-day delays and sending windows. holiday_calendar names a bundled
+-- calendar in src/data/holidays (e.g. 'GB', 'US'); blackout_dates are extra days off for a client.
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS holiday_calendar text;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS blackout_dates date[];
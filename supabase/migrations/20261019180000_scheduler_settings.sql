@@ -0,0 +1,9 @@
+-- Runtime settings for the schedulers, keyed by scheduler name ('check-cookies', 'check-connections',
+-- 'send-connections', 'send-messages'). A null cron_expression keeps the scheduler's default;
+-- rows are re-read every few minutes, so edits apply without a restart.
+CREATE TABLE IF NOT EXISTS scheduler_settings (
+  name text PRIMARY KEY,
+  enabled boolean NOT NULL DEFAULT true,
+  cron_expression text,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
@@ -0,0 +1,13 @@
+-- Leases that let several instances of the app share the database without doing the same work
+-- twice: 'scheduler:<name>' for a scheduler run, 'lane:<lane>' for jobs driving one LinkedIn account
+-- and 'instance:<host>:<pid>:<random>' for each live instance. Holders renew expires_at with a heartbeat;
+-- a lease past expires_at is free to take, so a crashed instance's leases lapse by themselves.
+CREATE TABLE IF NOT EXISTS leases (
+  name text PRIMARY KEY,
+  holder text NOT NULL,
+  acquired_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  renewed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS leases_expires_at_idx ON leases (expires_at);
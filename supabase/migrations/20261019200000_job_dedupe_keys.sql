@@ -0,0 +1,8 @@
+-- Delayed jobs that must not pile up, e.g. the retry of a campaign's message stage,
+-- carry a dedupe key. Only one queued job may hold a key at a time; once it has
+-- started, the next one can be queued.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS dedupe_key text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_queued_dedupe_key_idx
+  ON jobs (dedupe_key)
+  WHERE dedupe_key IS NOT NULL AND status = 'queued';
@@ -0,0 +1,17 @@
+-- Invitations sent per LinkedIn account, so campaigns sharing an account's cookies share its daily
+-- and rolling 7-day invitation caps. account_key is a hash of the account's li_at cookie, the same
+-- one that names its job lane. One row per invitation sent.
+CREATE TABLE IF NOT EXISTS account_invitations (
+  id bigserial PRIMARY KEY,
+  account_key text NOT NULL,
+  campaign_id bigint NOT NULL,
+  profile_id text,
+  sent_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS account_invitations_account_sent_at_idx ON account_invitations (account_key, sent_at);
+
+-- Share of an account's daily invitations a campaign gets, relative to the account's other campaigns
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS invitation_weight numeric NOT NULL DEFAULT 1;
+ALTER TABLE campaigns DROP CONSTRAINT IF EXISTS campaigns_invitation_weight_check;
+ALTER TABLE campaigns ADD CONSTRAINT campaigns_invitation_weight_check CHECK (invitation_weight > 0);
@@ -0,0 +1,13 @@
+-- Withdrawal of connection requests nobody answers. A campaign's requests still pending
+-- withdraw_pending_after_days after they were sent are withdrawn; NULL uses the default in
+-- withdrawStaleInvitationsScheduler and 0 never withdraws. Withdrawn profiles get
+-- connection_status 'withdrawn' and the time in withdrawn_at.
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS withdraw_pending_after_days integer;
+ALTER TABLE campaigns DROP CONSTRAINT IF EXISTS campaigns_withdraw_pending_after_days_check;
+ALTER TABLE campaigns ADD CONSTRAINT campaigns_withdraw_pending_after_days_check CHECK (withdraw_pending_after_days >= 0);
+
+ALTER TABLE scraped_profiles ADD COLUMN IF NOT EXISTS withdrawn_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS scraped_profiles_pending_attempt_idx
+  ON scraped_profiles (campaign_id, last_connection_attempt)
+  WHERE connection_status = 'pending';
@@ -0,0 +1,5 @@
+-- Replies found by the reply sync in the Sales Navigator inbox. A lead that answers gets
+-- status 'replied', the time of their latest message and the start of its text, and gets no
+-- more messages from the sequence.
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS replied_at timestamptz;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS reply_snippet text;
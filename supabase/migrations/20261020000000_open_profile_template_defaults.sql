@@ -0,0 +1,10 @@
+-- Open profile messages used to be personalized separately, with built-in fallbacks for empty
+-- fields: 'there' for first_name, 'your company' for company and 'professional' for position.
+-- All messages now share one template renderer without implicit fallbacks, so the existing open
+-- profile templates get them written out as template defaults and keep reading the same.
+UPDATE campaigns
+SET open_profile_messages = replace(replace(replace(open_profile_messages::text,
+      '{first_name}', '{first_name|there}'),
+      '{company}', '{company|your company}'),
+      '{position}', '{position|professional}')::jsonb
+WHERE open_profile_messages IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Cancellation of jobs running on another instance. The cancel endpoint sets cancel_requested_at
+-- on a running job it doesn't run itself; the instance running it checks for requests every 30
+-- seconds and stops the job after its current lead. A job whose instance died before it noticed
+-- is marked cancelled instead of being re-queued.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cancel_requested_at timestamptz;
@@ -0,0 +1,5 @@
+-- Profiles the withdrawal job found without a pending invitation stay 'pending' for the connection
+-- check to resolve, since an accepted invitation doesn't always show on the profile. The time of
+-- that visit goes in withdrawal_checked_at, and the withdrawal job skips the profile for a while
+-- so it doesn't keep taking the place of requests that can be withdrawn.
+ALTER TABLE scraped_profiles ADD COLUMN IF NOT EXISTS withdrawal_checked_at timestamptz;
@@ -0,0 +1,6 @@
+-- Stable identity of a campaign's LinkedIn account, e.g. its member URN. Invitation caps are
+-- counted per linkedin_account_id, so they carry over when the account logs in again and its
+-- cookies change, and campaigns pasted with different sessions of one account share them.
+-- Campaigns without one are counted under the hash of their li_at cookie, as before; those
+-- invitations still count for the account while a campaign on it has that cookie.
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS linkedin_account_id text;